@@ -0,0 +1,182 @@
+/**
+ * Represents constraints that generated words must satisfy. 
+ * 
+ * All constraints on characters are case-insensitive. 
+ * @property {String | undefined} prefix The text every word must start with. 
+ * @property {String | undefined} suffix The text every word must end with. 
+ * @property {String | undefined} contains The text every word must contain. 
+ * @property {Array<String> | undefined} allowedChars If defined, words may contain 
+ * only these characters. 
+ * @property {Array<String> | undefined} forbiddenChars Words must not contain any 
+ * of these characters. 
+ * @property {RegExp | undefined} pattern A regular expression every word must match. 
+ * Unlike the other constraints, it is applied to the word as is. 
+ */
+export default class GenerationConstraints {
+  /**
+   * @type {Set<String> | undefined}
+   * @private
+   */
+  _allowedChars = undefined;
+
+  /**
+   * @type {Set<String>}
+   * @private
+   */
+  _forbiddenChars = new Set();
+
+  /**
+   * @param {Object} args Parameter object. 
+   * @param {String | undefined} args.prefix Optional. The text every word must start with. 
+   * @param {String | undefined} args.suffix Optional. The text every word must end with. 
+   * @param {String | undefined} args.contains Optional. The text every word must contain. 
+   * @param {String | Array<String> | undefined} args.allowedChars Optional. If defined, words 
+   * may contain only these characters. 
+   * @param {String | Array<String> | undefined} args.forbiddenChars Optional. Words must not 
+   * contain any of these characters. 
+   * @param {RegExp | String | undefined} args.pattern Optional. A regular expression every 
+   * word must match. 
+   */
+  constructor(args = {}) {
+    this.prefix = args.prefix;
+    this.suffix = args.suffix;
+    this.contains = args.contains;
+    this.allowedChars = (args.allowedChars !== undefined) ? Array.from(args.allowedChars) : undefined;
+    this.forbiddenChars = (args.forbiddenChars !== undefined) ? Array.from(args.forbiddenChars) : undefined;
+    this.pattern = (typeof args.pattern === "string") ? new RegExp(args.pattern) : args.pattern;
+
+    if (this.allowedChars !== undefined) {
+      this._allowedChars = new Set(this.allowedChars.map(it => it.toLowerCase()));
+    }
+    if (this.forbiddenChars !== undefined) {
+      this._forbiddenChars = new Set(this.forbiddenChars.map(it => it.toLowerCase()));
+    }
+  }
+
+  /**
+   * Returns the given constraints as an instance of this type. 
+   * @param {GenerationConstraints | Object | undefined} constraints An instance, or 
+   * a parameter object, as expected by the constructor. 
+   * @returns {GenerationConstraints | undefined}
+   * @static
+   */
+  static from(constraints) {
+    if (constraints === undefined) return undefined;
+
+    if (constraints instanceof GenerationConstraints) {
+      return constraints;
+    }
+    return new GenerationConstraints(constraints);
+  }
+
+  /**
+   * Returns a new instance with the constraints of this instance, overridden by the given ones. 
+   * @param {Object} args Parameter object, as expected by the constructor. 
+   * @returns {GenerationConstraints}
+   */
+  with(args = {}) {
+    return new GenerationConstraints({
+      prefix: this.prefix,
+      suffix: this.suffix,
+      contains: this.contains,
+      allowedChars: this.allowedChars,
+      forbiddenChars: this.forbiddenChars,
+      pattern: this.pattern,
+      ...args,
+    });
+  }
+
+  /**
+   * Returns true, if the given partial word may still be continued to a word, 
+   * which satisfies the constraints. 
+   * 
+   * Only the prefix and the allowed and forbidden characters can be ruled out for 
+   * a partial word. 
+   * @param {String} word A partial word. 
+   * @returns {Boolean}
+   */
+  isViable(word) {
+    const lowerCaseWord = word.toLowerCase();
+
+    if (this.prefix !== undefined) {
+      const prefix = this.prefix.toLowerCase();
+      if (lowerCaseWord.startsWith(prefix) !== true && prefix.startsWith(lowerCaseWord) !== true) {
+        return false;
+      }
+    }
+
+    return this._hasValidChars(lowerCaseWord);
+  }
+
+  /**
+   * Returns true, if the given partial word may still be preceded by sequences, to form 
+   * a word which satisfies the constraints. 
+   * 
+   * This is the counterpart of `isViable`, for words grown backwards from their ending. 
+   * Only the suffix and the allowed and forbidden characters can be ruled out for 
+   * a partial word. 
+   * @param {String} word The ending of a partial word. 
+   * @returns {Boolean}
+   */
+  isViableEnding(word) {
+    const lowerCaseWord = word.toLowerCase();
+
+    if (this.suffix !== undefined) {
+      const suffix = this.suffix.toLowerCase();
+      if (lowerCaseWord.endsWith(suffix) !== true && suffix.endsWith(lowerCaseWord) !== true) {
+        return false;
+      }
+    }
+
+    return this._hasValidChars(lowerCaseWord);
+  }
+
+  /**
+   * Returns true, if the given word contains only allowed and no forbidden characters. 
+   * @param {String} lowerCaseWord A word, in lower case. 
+   * @returns {Boolean}
+   * @private
+   */
+  _hasValidChars(lowerCaseWord) {
+    for (const char of lowerCaseWord) {
+      if (this._allowedChars !== undefined && this._allowedChars.has(char) !== true) {
+        return false;
+      }
+      if (this._forbiddenChars.has(char) === true) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Returns true, if the given word satisfies all the constraints. 
+   * @param {String} word 
+   * @returns {Boolean}
+   */
+  isSatisfiedBy(word) {
+    const lowerCaseWord = word.toLowerCase();
+    if (this._hasValidChars(lowerCaseWord) !== true) {
+      return false;
+    }
+    if (this.prefix !== undefined && lowerCaseWord.startsWith(this.prefix.toLowerCase()) !== true) {
+      return false;
+    }
+    if (this.suffix !== undefined && lowerCaseWord.endsWith(this.suffix.toLowerCase()) !== true) {
+      return false;
+    }
+    if (this.contains !== undefined && lowerCaseWord.includes(this.contains.toLowerCase()) !== true) {
+      return false;
+    }
+    if (this.pattern !== undefined) {
+      // A global or sticky pattern would otherwise carry its `lastIndex` over. 
+      this.pattern.lastIndex = 0;
+      if (this.pattern.test(word) !== true) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+}
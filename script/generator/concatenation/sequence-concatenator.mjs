@@ -1,5 +1,11 @@
 import RandomSeeded from "../../util/random-seed.mjs";
 import { isInteger } from "../../util/validation.mjs";
+import { getContextKey } from "../probability-building/sequence-probability-builder.mjs";
+import { CONTEXT_SEPARATOR } from "../probability-building/sequence-probability-builder.mjs";
+import { END_TOKEN } from "../probability-building/sequence-probability-builder.mjs";
+import { TRANSITION_POSITIONS } from "../probability-building/sequence-probability-builder.mjs";
+import { ProbableSequence } from "../probability-building/sequence-probability-builder.mjs";
+import GenerationConstraints from "./generation-constraints.mjs";
 
 /**
  * Represents the different modes of how an ending sequence may be picked. 
@@ -11,16 +17,54 @@ import { isInteger } from "../../util/validation.mjs";
  * from the set of ending sequences. 
  * @property {Number} FOLLOW_BRANCH Branches will be followed until eventually 
  * reaching an ending sequence, which is then picked. 
+ * @property {Number} LEARNED Every context has a learned likelihood of ending a word, 
+ * which is represented by the `END_TOKEN` in the chain. Generation stops, when the 
+ * `END_TOKEN` is picked. The minimum and maximum length act only as hard bounds. 
+ * Requires the probabilities to be built with `endToken`. 
  */
 export const ENDING_PICK_MODES = {
   NONE: 0,
   RANDOM: 1,
   FOLLOW_BRANCH: 2,
+  LEARNED: 3,
+}
+
+/**
+ * Represents the different modes of how the target length of a word may be picked. 
+ * @constant
+ * @type {Object}
+ * @property {Number} UNIFORM Every length between the minimum and maximum length is 
+ * equally likely. 
+ * @property {Number} SAMPLE_SET The length is picked from the lengths of the samples, 
+ * weighted by how often they occur. Requires the probabilities to have `lengths`. 
+ */
+export const LENGTH_MODES = {
+  UNIFORM: 0,
+  SAMPLE_SET: 1,
+}
+
+/**
+ * Represents the different ways a sequence may have been picked. 
+ * @constant
+ * @type {Object}
+ * @property {String} WEIGHTED The sequence was picked by its probability, from the sequences 
+ * following a context, or from the starting or ending sequences. 
+ * @property {String} ENTROPY The sequence was picked entirely at random, because of the entropy. 
+ * @property {String} FALLBACK The sequence was picked from all sequences, because no context 
+ * had any known following sequences. 
+ */
+export const PICK_SOURCES = {
+  WEIGHTED: "weighted",
+  ENTROPY: "entropy",
+  FALLBACK: "fallback",
 }
 
 /**
  * Concatenates probability-weighted sequences. 
- * @property {SequenceProbabilities} sequences
+ * @property {SequenceProbabilities} probabilities The chain of probabilities. Its `order` 
+ * determines how many of the preceding sequences are considered when picking a following sequence. 
+ * If it has `positionalBranches`, the following sequence is picked from the table matching 
+ * the current position within the word, if possible. 
  * 
  * Builds new words, based on a given set of probable sequences. 
  * @property {Number} entropy A number between 0 and 1 (inclusive), which determines the 
@@ -31,9 +75,28 @@ export const ENDING_PICK_MODES = {
  * likelihood of the next middle sequence being picked entirely at random. Default `0`.
  * @property {Number} entropyEnd A number between 0 and 1 (inclusive), which determines the 
  * likelihood of the next ending sequence being picked entirely at random. Default `0`.
+ * @property {Number} temperature A number greater than 0, which reshapes the probabilities of 
+ * weighted picks. Values below 1 favour common sequences, values above 1 flatten the 
+ * probabilities, so that rare sequences are picked more often. Default `1`. 
  * @property {String} seed A randomization seed. 
  * @property {ENDING_PICK_MODES} endingPickMode Determines how and if an ending sequence 
  * will be picked for generated words. Default `ENDING_PICK_MODES.RANDOM`.
+ * @property {LENGTH_MODES} lengthMode Determines how the target length of generated words 
+ * is picked. Has no effect with `ENDING_PICK_MODES.LEARNED`. Default `LENGTH_MODES.UNIFORM`. 
+ * @property {Boolean} clampLength If true, only lengths between the minimum and maximum length 
+ * are picked with `LENGTH_MODES.SAMPLE_SET`. Default `true`. 
+ * @property {Number} backoffSmoothing A number between 0 and 1 (inclusive), which determines the 
+ * likelihood of backing off to the next-shorter context, even though the current context 
+ * has known following sequences. Only applies, if the probabilities were built with `backoff`. 
+ * Default `0`.
+ * @property {Number} strictSearchLimit The maximum number of partial words `generateStrict` 
+ * may visit, before giving up. Default `10000`. 
+ * @property {Object<Number, Number>} backoffStatistics Counts how often a context of a given 
+ * length was used to pick a following sequence. 
+ * @property {Boolean} explain If true, the picks that made up the last generated word are 
+ * recorded in `trace`. Default `false`. 
+ * @property {Array<SequencePick> | undefined} trace The picks that made up the last generated 
+ * word, in the order of the word. Only defined, if `explain` is true. 
  */
 export default class SequenceConcatenator {
   /**
@@ -43,6 +106,67 @@ export default class SequenceConcatenator {
    */
   _rng = undefined;
 
+  /**
+   * Counts how often a context of a given length was used to pick a following sequence. 
+   * 
+   * The key is the length of the context, the value the number of picks. The key `0` 
+   * counts the picks made entirely at random, because no context had any known following 
+   * sequences. 
+   * @type {Object<Number, Number>}
+   */
+  backoffStatistics = {};
+
+  /**
+   * The picks that made up the last generated word, in the order of the word. 
+   * 
+   * Only defined, if `explain` is true. 
+   * @type {Array<SequencePick> | undefined}
+   */
+  trace = undefined;
+
+  /**
+   * The last pick made by `_pickSequenceFrom`. Only defined, if `explain` is true. 
+   * @type {SequencePick | undefined}
+   * @private
+   */
+  _lastPick = undefined;
+
+  /**
+   * Every table of branches of the probabilities, mapped to its branches, indexed by the 
+   * key of their context. 
+   * 
+   * The index of a table is created upon first use. 
+   * @type {Map<Array<ProbableSequenceBranch>, Map<String, ProbableSequenceBranch>>}
+   * @private
+   */
+  _branchIndices = new Map();
+
+  /**
+   * The chars of the ending sequences of the probabilities. 
+   * 
+   * Is created upon first use. 
+   * @type {Set<String> | undefined}
+   * @private
+   */
+  _endingIndex = undefined;
+
+  /**
+   * The chars of the starting sequences of the probabilities. 
+   * 
+   * Is created upon first use. 
+   * @type {Set<String> | undefined}
+   * @private
+   */
+  _startIndex = undefined;
+
+  /**
+   * Every list of probable sequences picked from so far, mapped to its copy with 
+   * probabilities reshaped by the `temperature`. 
+   * @type {Map<Array<ProbableSequence>, Array<ProbableSequence>>}
+   * @private
+   */
+  _temperedIndex = new Map();
+
   /**
    * @param {SequenceProbabilities} probabilities
    * @param {Number | undefined} entropy Optional. A number between 0 and 1 (inclusive), which determines the 
@@ -53,9 +177,23 @@ export default class SequenceConcatenator {
    * likelihood of the next middle sequence being picked entirely at random. Default `0`.
    * @param {Number | undefined} entropyEnd Optional. A number between 0 and 1 (inclusive), which determines the 
    * likelihood of the next ending sequence being picked entirely at random. Default `0`.
+   * @param {Number | undefined} temperature Optional. A number greater than 0, which reshapes the 
+   * probabilities of weighted picks. Values below 1 favour common sequences, values above 1 
+   * flatten the probabilities. Default `1`. 
    * @param {String | undefined} seed Optional. A randomization seed. 
    * @param {ENDING_PICK_MODES | undefined} endingPickMode Optional. Determines how and if an ending sequence 
    * will be picked for generated words. Default `ENDING_PICK_MODES.RANDOM`.
+   * @param {LENGTH_MODES | undefined} lengthMode Optional. Determines how the target length of 
+   * generated words is picked. Default `LENGTH_MODES.UNIFORM`. 
+   * @param {Boolean | undefined} clampLength Optional. If true, only lengths between the minimum and 
+   * maximum length are picked with `LENGTH_MODES.SAMPLE_SET`. Default `true`. 
+   * @param {Number | undefined} backoffSmoothing Optional. A number between 0 and 1 (inclusive), which 
+   * determines the likelihood of backing off to the next-shorter context, even though the current context 
+   * has known following sequences. Default `0`.
+   * @param {Number | undefined} strictSearchLimit Optional. The maximum number of partial words 
+   * `generateStrict` may visit, before giving up. Default `10000`. 
+   * @param {Boolean | undefined} explain Optional. If true, the picks that made up the last 
+   * generated word are recorded in `trace`. Default `false`. 
    */
   constructor(args = {}) {
     this.probabilities = args.probabilities;
@@ -64,24 +202,46 @@ export default class SequenceConcatenator {
     this.entropyStart = args.entropyStart ?? 0.0;
     this.entropyMiddle = args.entropyMiddle ?? 0.0;
     this.entropyEnd = args.entropyEnd ?? 0.0;
+    this.temperature = args.temperature ?? 1.0;
     this.seed = args.seed ?? Math.random();
     this.endingPickMode = args.endingPickMode ?? ENDING_PICK_MODES.RANDOM,
+    this.backoffSmoothing = args.backoffSmoothing ?? 0.0;
+    this.lengthMode = args.lengthMode ?? LENGTH_MODES.UNIFORM;
+    this.clampLength = args.clampLength ?? true;
+    this.strictSearchLimit = args.strictSearchLimit ?? 10000;
+    this.explain = args.explain ?? false;
     
     this._rng = new RandomSeeded(args.seed);
+
+    if (typeof this.temperature !== "number" || (this.temperature > 0) !== true) {
+      throw new Error("`args.temperature` must be a number, greater than 0!");
+    }
   }
 
   /**
    * Generates and returns a single word. 
    * 
    * Note, that there is no guarantee that the generated world will be definitely 
-   * shorter than `maxLength`. 
+   * shorter than `maxLength`, unless the ending pick mode is `ENDING_PICK_MODES.LEARNED`. 
+   * 
+   * If constraints are given, the word is generated by the search of `generateStrict`, 
+   * which only follows the chain where the constraints can still be satisfied. 
    * @param {Number | undefined} minLength The minimum length of the generated word, 
    * in characters. Default 1. 
    * @param {Number | undefined} maxLength The maximum length of the generated word, 
    * in characters. Default 10. 
+   * @param {GenerationConstraints | Object | undefined} constraints Optional. Constraints the 
+   * generated word must satisfy. 
    * @returns {String}
+   * @throws {WordRejectedError} Thrown, if the ending pick mode is `ENDING_PICK_MODES.LEARNED` and 
+   * the word ended outside of the length bounds. 
+   * @throws {WordRejectedError} Thrown, if constraints are given and no word satisfying them exists. 
    */
-  generate(minLength = 1, maxLength = 10) {
+  generate(minLength = 1, maxLength = 10, constraints = undefined) {
+    if (constraints !== undefined) {
+      return this.generateStrict(minLength, maxLength, undefined, constraints);
+    }
+
     if (isInteger(minLength) !== true || parseInt(minLength) < 1) {
       throw new Error("minLength must be an integer >= 1");
     }
@@ -89,40 +249,488 @@ export default class SequenceConcatenator {
       throw new Error("maxLength must be an integer >= 1");
     }
 
-    const targetLength = Math.round(this._rng.generate(minLength, maxLength));
+    if (this.endingPickMode === ENDING_PICK_MODES.LEARNED) {
+      return this._generateUntilEnd(minLength, maxLength);
+    }
+
+    const targetLength = this._pickTargetLength(minLength, maxLength);
     
     const startingSequence = this._pickStart();
-    let previousSequence = startingSequence;
     let resultingSequences = [startingSequence];
+    const picks = [this._lastPick];
     let resultLength = startingSequence.sequenceChars.length;
 
     while (resultLength < targetLength) {
-      const nextSequence = this._pickFollowingOf(previousSequence);
+      const position = this._getPositionOf(resultingSequences, resultLength, targetLength);
+      const nextSequence = this._pickFollowingOf(resultingSequences, position);
 
       resultingSequences.push(nextSequence);
+      picks.push(this._lastPick);
       resultLength += nextSequence.sequenceChars.length;
-      
-      previousSequence = nextSequence;
     }
 
     let endingSequence = undefined;
     if (this.endingPickMode === ENDING_PICK_MODES.RANDOM) {
       endingSequence = this._pickEnd();
     } else if (this.endingPickMode === ENDING_PICK_MODES.FOLLOW_BRANCH) {
-      const lastPickedSequence = resultingSequences[resultingSequences.length - 1];
-      endingSequence = this._pickEndByBranchFollow(lastPickedSequence);
+      endingSequence = this._pickEndByBranchFollow(resultingSequences);
     }
     if (endingSequence !== undefined) {
       if (resultLength + endingSequence.sequenceChars.length > targetLength) {
       const removed = resultingSequences.splice(resultingSequences.length - 1, 1)[0];
+        picks.splice(picks.length - 1, 1);
         resultLength -= removed.sequenceChars.length;
       }
       resultingSequences.push(endingSequence);
+      picks.push(this._lastPick);
     }
 
+    this.trace = (this.explain === true) ? picks : undefined;
     return resultingSequences.map(it => it.sequenceChars).join("");
   }
 
+  /**
+   * Generates and returns a single word, by picking following sequences until 
+   * the `END_TOKEN` is picked. 
+   * @param {Number} minLength The minimum length of the generated word, in characters. 
+   * @param {Number} maxLength The maximum length of the generated word, in characters. 
+   * @returns {String}
+   * @throws {WordRejectedError} Thrown, if the word ended before reaching the minimum length, or 
+   * would exceed the maximum length. 
+   * @private
+   */
+  _generateUntilEnd(minLength, maxLength) {
+    const startingSequence = this._pickStart();
+    let resultingSequences = [startingSequence];
+    const picks = [this._lastPick];
+    let resultLength = startingSequence.sequenceChars.length;
+
+    while (true) {
+      if (resultLength > maxLength) {
+        throw new WordRejectedError(`Word exceeded the maximum length of ${maxLength} before reaching its end`);
+      }
+
+      // Whether a pick is at the end can't be known beforehand, so only the start 
+      // position is considered. 
+      const position = (resultingSequences.length === 1) ? TRANSITION_POSITIONS.START : undefined;
+      const nextSequence = this._pickFollowingOf(resultingSequences, position);
+
+      if (nextSequence.sequenceChars === END_TOKEN) {
+        if (resultLength < minLength) {
+          throw new WordRejectedError(`Word reached its end before reaching the minimum length of ${minLength}`);
+        }
+        break;
+      }
+
+      resultingSequences.push(nextSequence);
+      picks.push(this._lastPick);
+      resultLength += nextSequence.sequenceChars.length;
+    }
+
+    this.trace = (this.explain === true) ? picks : undefined;
+    return resultingSequences.map(it => it.sequenceChars).join("");
+  }
+
+  /**
+   * Generates and returns a single word, whose length is guaranteed to be within the given 
+   * bounds and which is guaranteed to end on a valid ending. 
+   * 
+   * Runs a depth-first search over the chain, which tries following sequences in a seeded, 
+   * probability-weighted order. Words are preferably ended once they reach a picked target 
+   * length, but any word within the bounds is accepted, if there is no other. 
+   * 
+   * A word ends on a valid ending, if its last sequence is an ending sequence or, if the 
+   * probabilities were built with `endToken`, if its context may be followed by the `END_TOKEN`. 
+   * 
+   * In contrast to `generate`, entropy and the `positionalBranches` are not considered and 
+   * no sequence is ever picked entirely at random. 
+   * @param {Number | undefined} minLength The minimum length of the generated word, 
+   * in characters. Default 1. 
+   * @param {Number | undefined} maxLength The maximum length of the generated word, 
+   * in characters. Default 10. 
+   * @param {Set<String> | undefined} excludedWords Optional. Words that must not be returned. 
+   * Instead of a `Set`, any object with a `has` method may be given. 
+   * @param {GenerationConstraints | Object | undefined} constraints Optional. Constraints the 
+   * generated word must satisfy. Partial words which can no longer satisfy them are not followed. 
+   * @returns {String}
+   * @throws {WordRejectedError} Thrown, if no word within the bounds and satisfying the constraints exists. 
+   * @throws {SearchLimitError} Thrown, if the search visited more than `strictSearchLimit` partial words. 
+   */
+  generateStrict(minLength = 1, maxLength = 10, excludedWords = new Set(), constraints = undefined) {
+    return this._search(minLength, maxLength, excludedWords, constraints, false);
+  }
+
+  /**
+   * Generates and returns a single word, by growing it backwards, from an ending sequence 
+   * to a starting sequence. 
+   * 
+   * Runs the same search as `generateStrict`, but over the reverse chain, which leads 
+   * from every context to its preceding sequences. Partial words which can no longer 
+   * satisfy the constraints' suffix are not followed. 
+   * @param {Number | undefined} minLength The minimum length of the generated word, 
+   * in characters. Default 1. 
+   * @param {Number | undefined} maxLength The maximum length of the generated word, 
+   * in characters. Default 10. 
+   * @param {Set<String> | undefined} excludedWords Optional. Words that must not be returned. 
+   * Instead of a `Set`, any object with a `has` method may be given. 
+   * @param {GenerationConstraints | Object | undefined} constraints Optional. Constraints the 
+   * generated word must satisfy. 
+   * @returns {String}
+   * @throws {Error} Thrown, if the probabilities weren't built with `reverse`. 
+   * @throws {WordRejectedError} Thrown, if no word within the bounds and satisfying the constraints exists. 
+   * @throws {SearchLimitError} Thrown, if the search visited more than `strictSearchLimit` partial words. 
+   */
+  generateBackward(minLength = 1, maxLength = 10, excludedWords = new Set(), constraints = undefined) {
+    if (this.probabilities.reverseBranches === undefined) {
+      throw new Error("Generating backward requires probabilities built with `reverse`!");
+    }
+    return this._search(minLength, maxLength, excludedWords, constraints, true);
+  }
+
+  /**
+   * Generates and returns a single word, which ends with the given text, by growing it 
+   * backwards from that ending. 
+   * @param {String} ending The text the generated word must end with. Case-insensitive. 
+   * @param {Number | undefined} minLength The minimum length of the generated word, 
+   * in characters. Default 1. 
+   * @param {Number | undefined} maxLength The maximum length of the generated word, 
+   * in characters. Default 10. 
+   * @param {Set<String> | undefined} excludedWords Optional. Words that must not be returned. 
+   * Instead of a `Set`, any object with a `has` method may be given. 
+   * @param {GenerationConstraints | Object | undefined} constraints Optional. Further constraints 
+   * the generated word must satisfy. Its suffix is replaced by the given ending. 
+   * @returns {String}
+   * @throws {Error} Thrown, if the probabilities weren't built with `reverse`. 
+   * @throws {WordRejectedError} Thrown, if no word within the bounds and with the given ending exists. 
+   * @throws {SearchLimitError} Thrown, if the search visited more than `strictSearchLimit` partial words. 
+   */
+  generateEndingWith(ending, minLength = 1, maxLength = 10, excludedWords = new Set(), constraints = undefined) {
+    const constraintsWithEnding = (GenerationConstraints.from(constraints) ?? new GenerationConstraints()).with({
+      suffix: ending,
+    });
+    return this.generateBackward(minLength, maxLength, excludedWords, constraintsWithEnding);
+  }
+
+  /**
+   * Searches for and returns a word within the given bounds. See `generateStrict`. 
+   * @param {Number} minLength The minimum length of the word, in characters. 
+   * @param {Number} maxLength The maximum length of the word, in characters. 
+   * @param {Set<String>} excludedWords Words that must not be returned. 
+   * @param {GenerationConstraints | Object | undefined} constraints Constraints the word must satisfy. 
+   * @param {Boolean} reverse If true, the word is grown backwards, over the reverse chain. 
+   * @returns {String}
+   * @throws {WordRejectedError} Thrown, if no word within the bounds and satisfying the constraints exists. 
+   * @throws {SearchLimitError} Thrown, if the search visited more than `strictSearchLimit` partial words. 
+   * @private
+   */
+  _search(minLength, maxLength, excludedWords, constraints, reverse) {
+    if (isInteger(minLength) !== true || parseInt(minLength) < 1) {
+      throw new Error("minLength must be an integer >= 1");
+    }
+    if (isInteger(maxLength) !== true || parseInt(maxLength) < 1) {
+      throw new Error("maxLength must be an integer >= 1");
+    }
+
+    const search = {
+      minLength: minLength,
+      maxLength: maxLength,
+      targetLength: Math.max(minLength, Math.min(maxLength, this._pickTargetLength(minLength, maxLength))),
+      excludedWords: excludedWords,
+      constraints: GenerationConstraints.from(constraints),
+      reverse: reverse,
+      visited: 0,
+    };
+
+    // When growing backwards, the word begins with its ending sequence. 
+    const firstSequences = (reverse === true) ? this.probabilities.endings : this.probabilities.starts;
+    for (const firstSequence of this._getWeightedOrderOf(firstSequences)) {
+      const word = this._searchFrom([firstSequence], firstSequence.sequenceChars.length, search);
+      if (word !== undefined) {
+        this.trace = (this.explain === true) ? this._getTraceOf(search.sequences, reverse) : undefined;
+        return word;
+      }
+    }
+
+    if (search.constraints !== undefined) {
+      throw new WordRejectedError(`No word with a length between ${minLength} and ${maxLength} and a valid ending, which satisfies the constraints, exists in this chain`);
+    }
+    throw new WordRejectedError(`No word with a length between ${minLength} and ${maxLength} and a valid ending exists`);
+  }
+
+  /**
+   * Searches depth-first for a word that begins with the given sequences and returns it, 
+   * if one is found. 
+   * 
+   * If the search is `reverse`, the word ends with the given sequences, instead. 
+   * @param {Array<ProbableSequence>} sequences The sequences picked so far, in the order 
+   * they were picked. 
+   * @param {Number} length The length of the sequences picked so far, in characters. 
+   * @param {Object} search The parameters and state of the search. Once a word is found, 
+   * its sequences are stored as `search.sequences`. 
+   * @returns {String | undefined}
+   * @throws {SearchLimitError} Thrown, if the search visited more than `strictSearchLimit` partial words. 
+   * @private
+   */
+  _searchFrom(sequences, length, search) {
+    if (length > search.maxLength) return undefined;
+
+    const word = this._getWordOf(sequences, search.reverse);
+    if (search.constraints !== undefined) {
+      const isViable = (search.reverse === true)
+        ? search.constraints.isViableEnding(word)
+        : search.constraints.isViable(word);
+      if (isViable !== true) return undefined;
+    }
+
+    search.visited++;
+    if (search.visited > this.strictSearchLimit) {
+      throw new SearchLimitError(`Search for a word with a length between ${search.minLength} and ${search.maxLength} gave up after visiting ${this.strictSearchLimit} partial words`);
+    }
+
+    const isAcceptable = length >= search.minLength
+      && this._isValidEnd(sequences, search.reverse)
+      && (search.constraints === undefined || search.constraints.isSatisfiedBy(word) === true)
+      && search.excludedWords.has(word) !== true;
+
+    if (isAcceptable === true && length >= search.targetLength) {
+      search.sequences = sequences;
+      return word;
+    }
+
+    const branches = (search.reverse === true) ? this.probabilities.reverseBranches : this.probabilities.branches;
+    const followingSequences = this._getWeightedOrderOf(this._getFollowingCandidatesOf(sequences, branches));
+    for (const followingSequence of followingSequences) {
+      if (followingSequence.sequenceChars === END_TOKEN) continue;
+
+      const result = this._searchFrom(
+        sequences.concat([followingSequence]),
+        length + followingSequence.sequenceChars.length,
+        search
+      );
+      if (result !== undefined) return result;
+    }
+
+    // No longer word was found, so a shorter one is acceptable, after all. 
+    if (isAcceptable === true) {
+      search.sequences = sequences;
+      return word;
+    }
+    return undefined;
+  }
+
+  /**
+   * Returns the picks that make up the given sequences found by a search, in the order 
+   * of the word. 
+   * 
+   * As the search only follows the chain, every pick is a weighted one. 
+   * @param {Array<ProbableSequence>} sequences The sequences found by a search, in the 
+   * order they were picked. 
+   * @param {Boolean} reverse If true, the sequences were picked backwards, from the end 
+   * of the word. 
+   * @returns {Array<SequencePick>}
+   * @private
+   */
+  _getTraceOf(sequences, reverse) {
+    const branches = (reverse === true) ? this.probabilities.reverseBranches : this.probabilities.branches;
+    const firstSequences = (reverse === true) ? this.probabilities.endings : this.probabilities.starts;
+
+    const picks = [];
+    for (let i = 0; i < sequences.length; i++) {
+      const branch = (i > 0) ? this._getFollowingBranchOf(sequences.slice(0, i), branches) : undefined;
+      const candidates = (i > 0) ? branch.branches : firstSequences;
+      const tempered = this._getTemperedOf(candidates);
+
+      picks.push(this._getPickOf(
+        tempered,
+        tempered[candidates.indexOf(sequences[i])],
+        PICK_SOURCES.WEIGHTED,
+        branch
+      ));
+    }
+
+    if (reverse === true) {
+      // The contexts of the reverse chain are keyed in reverse order, as well. 
+      for (const pick of picks) {
+        if (pick.context !== undefined) pick.context.reverse();
+      }
+      picks.reverse();
+    }
+    return picks;
+  }
+
+  /**
+   * Returns the word made up of the given sequences. 
+   * @param {Array<ProbableSequence>} sequences The sequences picked so far, in the order 
+   * they were picked. 
+   * @param {Boolean | undefined} reverse Optional. If true, the sequences were picked 
+   * backwards, from the end of the word. Default `false`. 
+   * @returns {String}
+   * @private
+   */
+  _getWordOf(sequences, reverse = false) {
+    const chars = sequences.map(it => it.sequenceChars);
+    if (reverse === true) {
+      chars.reverse();
+    }
+    return chars.join("");
+  }
+
+  /**
+   * Returns true, if a word may end after the given sequences. 
+   * 
+   * If `reverse` is true, returns true, if a word may begin with the given sequences. 
+   * @param {Array<ProbableSequence>} sequences The sequences picked so far, in the order 
+   * they were picked. 
+   * @param {Boolean | undefined} reverse Optional. If true, the sequences were picked 
+   * backwards, from the end of the word. Default `false`. 
+   * @returns {Boolean}
+   * @private
+   */
+  _isValidEnd(sequences, reverse = false) {
+    const branches = (reverse === true) ? this.probabilities.reverseBranches : this.probabilities.branches;
+    const lastSequenceChars = sequences[sequences.length - 1].sequenceChars;
+
+    if (this.probabilities.endToken === true) {
+      return this._getFollowingCandidatesOf(sequences, branches).some(it => it.sequenceChars === END_TOKEN);
+    } else if (reverse === true) {
+      return this._isStart(lastSequenceChars);
+    } else {
+      return this._isEnding(lastSequenceChars);
+    }
+  }
+
+  /**
+   * Returns the sequences that can follow the given sequences, with the probabilities of the 
+   * longest context that has any. 
+   * 
+   * Unless the probabilities were built with `backoff`, only the context of up to the last 
+   * `order` sequences is considered. 
+   * @param {Array<ProbableSequence>} sequences The sequences picked so far. 
+   * @param {Array<ProbableSequenceBranch> | undefined} branches Optional. The table of branches 
+   * to look in. Default `this.probabilities.branches`. 
+   * @returns {Array<ProbableSequence>}
+   * @private
+   */
+  _getFollowingCandidatesOf(sequences, branches = this.probabilities.branches) {
+    const branch = this._getFollowingBranchOf(sequences, branches);
+    return (branch !== undefined) ? branch.branches : [];
+  }
+
+  /**
+   * Returns the branch of the longest context of the given sequences, which has any 
+   * following sequences, if there is one. See `_getFollowingCandidatesOf`. 
+   * @param {Array<ProbableSequence>} sequences The sequences picked so far. 
+   * @param {Array<ProbableSequenceBranch> | undefined} branches Optional. The table of branches 
+   * to look in. Default `this.probabilities.branches`. 
+   * @returns {ProbableSequenceBranch | undefined}
+   * @private
+   */
+  _getFollowingBranchOf(sequences, branches = this.probabilities.branches) {
+    const maxContextLength = Math.min(this.probabilities.order ?? 1, sequences.length);
+    const minContextLength = this.probabilities.backoff === true ? 1 : maxContextLength;
+
+    for (let contextLength = maxContextLength; contextLength >= minContextLength; contextLength--) {
+      const branch = this._getBranchOf(this._getContextKeyOf(sequences, contextLength), branches);
+      if (branch !== undefined && branch.branches.length > 0) {
+        return branch;
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * Returns a new list of the given probable sequences, in a seeded random order, in which 
+   * more probable sequences are more likely to come first. 
+   * 
+   * The probabilities are reshaped by the `temperature`, first. 
+   * @param {Array<ProbableSequence>} sequences A list of probable sequences, with stacked probabilities. 
+   * @returns {Array<ProbableSequence>}
+   * @private
+   */
+  _getWeightedOrderOf(sequences) {
+    const tempered = this._getTemperedOf(sequences);
+
+    // Weighted random sampling without replacement, by sorting on a key of `rnd ^ (1 / weight)`. 
+    const keyed = [];
+    let previousProbability = 0;
+    for (let i = 0; i < tempered.length; i++) {
+      const weight = tempered[i].probability - previousProbability;
+      previousProbability = tempered[i].probability;
+
+      const key = (weight > 0) ? Math.pow(this._rng.generate(), 1 / weight) : 0;
+      keyed.push({ sequence: sequences[i], key: key });
+    }
+
+    return keyed.sort((a, b) => b.key - a.key).map(it => it.sequence);
+  }
+
+  /**
+   * Picks and returns the length the word should have, in characters. 
+   * 
+   * With `LENGTH_MODES.SAMPLE_SET`, the length is picked from the lengths of the samples. 
+   * If the probabilities have no lengths or, with `clampLength`, none of the lengths are 
+   * within the bounds, a length between the bounds is picked uniformly, instead. 
+   * @param {Number} minLength The minimum length of the word, in characters. 
+   * @param {Number} maxLength The maximum length of the word, in characters. 
+   * @returns {Number}
+   * @private
+   */
+  _pickTargetLength(minLength, maxLength) {
+    const lengths = this.probabilities.lengths;
+
+    if (this.lengthMode === LENGTH_MODES.SAMPLE_SET && lengths !== undefined) {
+      const candidates = (this.clampLength === true)
+        ? lengths.filter(it => it.length >= minLength && it.length <= maxLength)
+        : lengths;
+
+      if (candidates.length > 0) {
+        let totalFrequency = 0;
+        for (const candidate of candidates) {
+          totalFrequency += candidate.frequency;
+        }
+
+        const rnd = this._rng.generate(0, totalFrequency);
+        let stackedFrequency = 0;
+        for (const candidate of candidates) {
+          stackedFrequency += candidate.frequency;
+          if (rnd <= stackedFrequency) {
+            return candidate.length;
+          }
+        }
+        return candidates[candidates.length - 1].length;
+      }
+    }
+
+    return Math.round(this._rng.generate(minLength, maxLength));
+  }
+
+  /**
+   * Returns the position within the word of the next sequence to pick. 
+   * 
+   * The next pick is considered to be at the end, if the ending pick mode is 
+   * `ENDING_PICK_MODES.NONE` and the next sequence will likely reach the target length. 
+   * With the other ending pick modes, an ending sequence is picked separately. 
+   * @param {Array<ProbableSequence>} sequences The sequences picked so far. 
+   * @param {Number} resultLength The length of the sequences picked so far, in characters. 
+   * @param {Number} targetLength The length the word should have, in characters. 
+   * @returns {TRANSITION_POSITIONS}
+   * @private
+   */
+  _getPositionOf(sequences, resultLength, targetLength) {
+    if (sequences.length === 1) {
+      return TRANSITION_POSITIONS.START;
+    }
+    
+    // The next sequence's length is assumed to be that of the last sequence. 
+    const lastSequence = sequences[sequences.length - 1];
+    if (this.endingPickMode === ENDING_PICK_MODES.NONE 
+      && resultLength + lastSequence.sequenceChars.length >= targetLength) {
+      return TRANSITION_POSITIONS.END;
+    }
+
+    return TRANSITION_POSITIONS.MIDDLE;
+  }
+
   /**
    * Picks and returns a random starting sequence. 
    * @returns {ProbableSequence}
@@ -142,75 +750,401 @@ export default class SequenceConcatenator {
   }
   
   /**
-   * Follows the given branch, by randomly picking the next sequence and if it 
-   * is an ending sequence, returning it. Or, if it isn't an ending sequence, 
-   * will call itself (recurse) again, with the picked sequence.
-   * @param {ProbableSequence} sequence
+   * Follows the branch of the last of the given sequences, by randomly picking the next 
+   * sequence and if the last sequence is an ending sequence, returning the picked sequence. 
+   * Or, if it isn't an ending sequence, will call itself (recurse) again, with the 
+   * picked sequence appended.
+   * @param {Array<ProbableSequence>} sequences The sequences picked so far. 
    * @returns {ProbableSequence}
    * @private
    */
-  _pickEndByBranchFollow(sequence) {
-    const next = this._pickFollowingOf(sequence);
-    if (this.probabilities.endings.find(it => it.sequenceChars === sequence.sequenceChars) !== undefined) {
+  _pickEndByBranchFollow(sequences) {
+    const sequence = sequences[sequences.length - 1];
+    const next = this._pickFollowingOf(sequences, TRANSITION_POSITIONS.END);
+    if (this._isEnding(sequence.sequenceChars) === true) {
       return next;
     } else {
-      return this._pickEndByBranchFollow(next);
+      return this._pickEndByBranchFollow(sequences.concat([next]));
     }
   }
   
   /**
-   * Picks and returns one of the sequences that can follow the given sequence. 
+   * Picks and returns one of the sequences that can follow the given sequences. 
+   * 
+   * The context of the pick consists of up to the last `order` sequences. 
    * 
-   * If the given sequence doesn't have any sequences that follow it, 
-   * then a random sequence will be picked, instead. 
-   * @param {ProbableSequence} sequence
+   * If the probabilities were built with `backoff` and the context doesn't have any 
+   * sequences that follow it, then the next-shorter context that does have following 
+   * sequences is used, instead. With a `backoffSmoothing` greater than 0, a shorter context 
+   * may also be used, even though the longer context has following sequences. 
+   * 
+   * If a position is given and the probabilities have `positionalBranches`, the table of 
+   * that position is tried first. Only if none of its contexts have any sequences that 
+   * follow, is the table of all branches used. 
+   * 
+   * If no context has any sequences that follow it, then a random sequence 
+   * will be picked, instead. At an `order` of 1, it is picked from the table of branches, 
+   * whose context keys are single sequences, so that seeded generation remains the same 
+   * as before `order` was introduced. 
+   * @param {Array<ProbableSequence>} sequences The sequences picked so far. 
+   * @param {TRANSITION_POSITIONS | undefined} position Optional. The position within the 
+   * word of the sequence to pick. 
    * @returns {ProbableSequence}
    * @private
    */
-  _pickFollowingOf(sequence) {
-    const branch = this.probabilities.branches.find(it => it.sequenceChars === sequence.sequenceChars);
+  _pickFollowingOf(sequences, position) {
+    const maxContextLength = Math.min(this.probabilities.order ?? 1, sequences.length);
+    const minContextLength = this.probabilities.backoff === true ? 1 : maxContextLength;
 
-    if (branch !== undefined && branch.branches.length > 0) {
-      return this._pickSequenceFrom(branch.branches, this.entropyMiddle);
-    } else {
-      return this._pickSequenceFrom(this.probabilities.branches, this.entropyMiddle);
+    const tables = [];
+    const positionalBranches = this.probabilities.positionalBranches;
+    if (position !== undefined && positionalBranches !== undefined && positionalBranches[position] !== undefined) {
+      tables.push(positionalBranches[position]);
+    }
+    tables.push(this.probabilities.branches);
+
+    for (const branches of tables) {
+      for (let contextLength = maxContextLength; contextLength >= minContextLength; contextLength--) {
+        const contextKey = this._getContextKeyOf(sequences, contextLength);
+        const branch = this._getBranchOf(contextKey, branches);
+
+        if (branch === undefined || branch.branches.length === 0) continue;
+
+        if (contextLength > minContextLength
+          && this.backoffSmoothing > 0
+          && this._rng.generate() <= this.backoffSmoothing) {
+          continue;
+        }
+
+        this._countBackoff(contextLength);
+        return this._pickSequenceFrom(branch.branches, this.entropyMiddle, PICK_SOURCES.WEIGHTED, branch);
+      }
+    }
+
+    this._countBackoff(0);
+    const fallback = ((this.probabilities.order ?? 1) === 1)
+      ? this.probabilities.branches
+      : (this.probabilities.sequences ?? this.probabilities.branches);
+    return this._pickSequenceFrom(fallback, this.entropyMiddle, PICK_SOURCES.FALLBACK);
+  }
+
+  /**
+   * Returns the branch of the context with the given key, if there is one. 
+   * @param {String} contextKey The key of a context. 
+   * @param {Array<ProbableSequenceBranch> | undefined} branches Optional. The table of branches 
+   * to look in. Default `this.probabilities.branches`. 
+   * @returns {ProbableSequenceBranch | undefined}
+   * @private
+   */
+  _getBranchOf(contextKey, branches = this.probabilities.branches) {
+    let branchIndex = this._branchIndices.get(branches);
+    if (branchIndex === undefined) {
+      branchIndex = new Map();
+      for (const branch of branches) {
+        branchIndex.set(branch.sequenceChars, branch);
+      }
+      this._branchIndices.set(branches, branchIndex);
+    }
+    return branchIndex.get(contextKey);
+  }
+
+  /**
+   * Returns true, if the given chars are those of an ending sequence. 
+   * @param {String} sequenceChars 
+   * @returns {Boolean}
+   * @private
+   */
+  _isEnding(sequenceChars) {
+    if (this._endingIndex === undefined) {
+      this._endingIndex = new Set(this.probabilities.endings.map(it => it.sequenceChars));
+    }
+    return this._endingIndex.has(sequenceChars);
+  }
+
+  /**
+   * Returns true, if the given chars are those of a starting sequence. 
+   * @param {String} sequenceChars 
+   * @returns {Boolean}
+   * @private
+   */
+  _isStart(sequenceChars) {
+    if (this._startIndex === undefined) {
+      this._startIndex = new Set(this.probabilities.starts.map(it => it.sequenceChars));
     }
+    return this._startIndex.has(sequenceChars);
+  }
+
+  /**
+   * Returns the key of the context made up of the last `contextLength` of the given sequences. 
+   * @param {Array<ProbableSequence>} sequences The sequences picked so far. 
+   * @param {Number} contextLength The number of sequences that make up the context. 
+   * @returns {String}
+   * @private
+   */
+  _getContextKeyOf(sequences, contextLength) {
+    const context = sequences.slice(Math.max(0, sequences.length - contextLength));
+    return getContextKey(context.map(it => it.sequenceChars));
+  }
+
+  /**
+   * Increments the number of picks made with a context of the given length. 
+   * @param {Number} contextLength The length of the context that was used. `0`, if 
+   * the pick was made entirely at random. 
+   * @private
+   */
+  _countBackoff(contextLength) {
+    this.backoffStatistics[contextLength] = (this.backoffStatistics[contextLength] ?? 0) + 1;
   }
 
   /**
    * Returns a sequence picked at random, either from the global list of 
    * sequences, or from the given list of sequences. 
    * 
-   * The detmining factors are the entropy and the given entropy. 
+   * The detmining factors are the entropy and the given entropy. If the given entropy is 
+   * greater than 0, it takes precedence over the entropy. 
+   * 
+   * With `ENDING_PICK_MODES.LEARNED`, a pick made entirely at random may also be the 
+   * `END_TOKEN`, if the given list contains it. It is picked with the same chance it has 
+   * within the given list, so that words with entropy still come to an end. 
+   * 
+   * A probable sequence is picked with its probability reshaped by the `temperature`. 
+   * 
+   * If `explain` is true, the pick is recorded as `_lastPick`. 
    * @param {Array<ProbableSequence>} sequences The list to pick from. 
    * @param {Number} entropy A chance to allow an **entirely** randomly picked result. 
+   * @param {PICK_SOURCES | undefined} source Optional. How the pick is recorded, unless it is 
+   * made entirely at random. Default `PICK_SOURCES.WEIGHTED`. 
+   * @param {ProbableSequenceBranch | undefined} branch Optional. The branch of the context 
+   * the given list belongs to. 
    * @private
    */
-  _pickSequenceFrom(sequences, entropy) {
+  _pickSequenceFrom(sequences, entropy, source = PICK_SOURCES.WEIGHTED, branch = undefined) {
     let rnd = this._rng.generate();
-    if (rnd <= this.entropy || entropy) {
+    if (rnd <= (entropy || this.entropy)) {
       // Pick a sequence entirely at random. 
+      if (this.endingPickMode === ENDING_PICK_MODES.LEARNED) {
+        const endToken = this._getEndTokenOf(sequences);
+        if (endToken !== undefined && this._rng.generate() <= endToken.chance) {
+          this._recordPick(sequences, endToken.sequence, PICK_SOURCES.ENTROPY);
+          return endToken.sequence;
+        }
+      }
       rnd = this._rng.generate();
-      return this._getMatchingSequenceFrom(this.probabilities.sequences, rnd);
+      const picked = this._getMatchingSequenceFrom(this.probabilities.sequences, rnd);
+      this._recordPick(this.probabilities.sequences, picked, PICK_SOURCES.ENTROPY);
+      return picked;
     } else {
       // Pick a probable sequence. 
       rnd = this._rng.generate();
-      return this._getMatchingSequenceFrom(sequences, rnd);
+      const tempered = this._getTemperedOf(sequences);
+      const picked = this._getMatchingSequenceFrom(tempered, rnd);
+      this._recordPick(tempered, picked, source, branch);
+      return picked;
     }
   }
 
   /**
+   * Returns the `END_TOKEN` of the given list and its chance of being picked from it, 
+   * if the list contains it. 
+   * @param {Array<ProbableSequence>} sequences A list of sequences, ordered by 
+   * ascending cumulative probability. 
+   * @returns {Object | undefined} An object with the properties `sequence` and `chance`. 
+   * @private
+   */
+  _getEndTokenOf(sequences) {
+    const index = sequences.findIndex(it => it.sequenceChars === END_TOKEN);
+    if (index < 0) return undefined;
+
+    const previous = (index > 0) ? sequences[index - 1].probability : 0;
+    return {
+      sequence: sequences[index],
+      chance: sequences[index].probability - previous,
+    };
+  }
+
+  /**
+   * Records the given pick as `_lastPick`, if `explain` is true. 
+   * @param {Array<ProbableSequence>} sequences The list the pick was made from. 
+   * @param {ProbableSequence} picked The picked sequence. 
+   * @param {PICK_SOURCES} source 
+   * @param {ProbableSequenceBranch | undefined} branch Optional. The branch of the context 
+   * the given list belongs to. 
+   * @private
+   */
+  _recordPick(sequences, picked, source, branch = undefined) {
+    if (this.explain !== true) return;
+
+    this._lastPick = this._getPickOf(sequences, picked, source, branch);
+  }
+
+  /**
+   * Returns a new pick of the given sequence, from the given list. 
+   * @param {Array<ProbableSequence>} sequences The list the pick was made from, with 
+   * stacked probabilities. 
+   * @param {ProbableSequence} picked The picked sequence, which must be contained in the list. 
+   * @param {PICK_SOURCES} source 
+   * @param {ProbableSequenceBranch | undefined} branch Optional. The branch of the context 
+   * the given list belongs to. 
+   * @returns {SequencePick}
+   * @private
+   */
+  _getPickOf(sequences, picked, source, branch = undefined) {
+    const index = sequences.indexOf(picked);
+    const previousProbability = (index > 0) ? sequences[index - 1].probability : 0;
+
+    return new SequencePick({
+      sequenceChars: picked.sequenceChars,
+      probability: picked.probability - previousProbability,
+      source: source,
+      context: (branch !== undefined) ? branch.sequenceChars.split(CONTEXT_SEPARATOR) : undefined,
+      // A fallback pick at an `order` of 1 is a branch, which doesn't record its samples. 
+      sampleIndices: picked.sampleIndices
+        ?? (this.probabilities.sequences ?? []).find(it => it.sequenceChars === picked.sequenceChars)?.sampleIndices,
+    });
+  }
+
+  /**
+   * Returns the given list of probable sequences, with their probabilities reshaped by 
+   * the `temperature`. 
+   * 
+   * Every probability `p` is raised to the power of `1 / temperature` and the results are 
+   * normalized and stacked again. With a temperature of `1`, the given list is returned as is. 
+   * 
+   * The result is cached, so every list is reshaped only once. 
+   * @param {Array<ProbableSequence>} sequences A list of probable sequences, with stacked probabilities. 
+   * @returns {Array<ProbableSequence>}
+   * @private
+   */
+  _getTemperedOf(sequences) {
+    if (this.temperature === 1) return sequences;
+
+    let tempered = this._temperedIndex.get(sequences);
+    if (tempered !== undefined) return tempered;
+
+    // Un-stack and reshape probabilities. 
+    const weights = [];
+    let totalWeight = 0;
+    let previousProbability = 0;
+    for (const sequence of sequences) {
+      const probability = sequence.probability - previousProbability;
+      previousProbability = sequence.probability;
+
+      const weight = Math.pow(Math.max(probability, 0), 1 / this.temperature);
+      weights.push(weight);
+      totalWeight += weight;
+    }
+
+    // Normalize and stack again. 
+    tempered = [];
+    let stackedProbability = 0;
+    for (let i = 0; i < sequences.length; i++) {
+      stackedProbability += (totalWeight > 0) ? weights[i] / totalWeight : 1 / sequences.length;
+      tempered.push(new ProbableSequence({
+        sequenceChars: sequences[i].sequenceChars,
+        frequency: sequences[i].frequency,
+        probability: stackedProbability,
+        sampleIndices: sequences[i].sampleIndices,
+      }));
+    }
+    if (tempered.length > 0) {
+      // This pre-empts any floating-point inaccuracies.
+      tempered[tempered.length - 1].probability = 1.0;
+    }
+
+    this._temperedIndex.set(sequences, tempered);
+    return tempered;
+  }
+
+  /**
+   * Returns the first item of the given list, whose stacked probability is greater than 
+   * or equal to the given value. 
+   * 
+   * As the probabilities are stacked, they are in ascending order, which allows 
+   * a binary search. 
    * @param {Array<ProbableSequence>} weightedList 
    * @param {Number} value 
    * @returns {ProbableSequence}
    * @private
    */
   _getMatchingSequenceFrom(weightedList, value) {
-    for (const weightedItem of weightedList) {
-      if (value <= weightedItem.probability) {
-        return weightedItem;
+    let low = 0;
+    let high = weightedList.length - 1;
+    let match = undefined;
+
+    while (low <= high) {
+      const middle = (low + high) >>> 1;
+      if (value <= weightedList[middle].probability) {
+        match = weightedList[middle];
+        high = middle - 1;
+      } else {
+        low = middle + 1;
       }
     }
-    throw new Error(`Failed to get item for value '${value}' from list!`);
+
+    if (match === undefined) {
+      throw new Error(`Failed to get item for value '${value}' from list!`);
+    }
+    return match;
+  }
+}
+
+/**
+ * Represents the pick of a single sequence of a generated word. 
+ * @property {String} sequenceChars The chars of the picked sequence. 
+ * @property {Number} probability The probability the sequence was picked with, after 
+ * reshaping by the `temperature`. 
+ * @property {PICK_SOURCES} source How the sequence was picked. 
+ * @property {Array<String> | undefined} context The chars of the sequences of the context 
+ * the sequence was picked as following sequence of, in the order of the word. When growing 
+ * a word backwards, the context follows the sequence, instead. Undefined for the first pick 
+ * of a word, for ending sequences picked with `ENDING_PICK_MODES.RANDOM` and for sequences 
+ * picked entirely at random or as a fallback. 
+ * @property {Array<Number> | undefined} sampleIndices The indices of the samples which 
+ * contain the sequence, or the transition to it. Only defined, if the probabilities were 
+ * built with `provenance`. 
+ * @property {Array<String> | undefined} samples The samples which contain the sequence, 
+ * or the transition to it. Only defined, if set by the `WordGenerator`. 
+ */
+export class SequencePick {
+  constructor(args = {}) {
+    this.sequenceChars = args.sequenceChars;
+    this.probability = args.probability;
+    this.source = args.source;
+    this.context = args.context;
+    this.sampleIndices = args.sampleIndices;
+    this.samples = args.samples;
+  }
+}
+
+/**
+ * Thrown, if no word within the length bounds, with a valid ending and satisfying the 
+ * constraints, could be generated. 
+ * 
+ * Unlike other errors, this doesn't signal invalid settings, but that the chain, or a 
+ * single attempt at a word, fell short of them. 
+ */
+export class WordRejectedError extends Error {
+  /**
+   * @param {String} message 
+   */
+  constructor(message) {
+    super(message);
+    this.name = "WordRejectedError";
+  }
+}
+
+/**
+ * Thrown, if a search over the chain gave up after visiting `strictSearchLimit` partial words. 
+ * 
+ * Unlike a plain `WordRejectedError`, this doesn't mean that no further word exists, only 
+ * that none was found within the limit. 
+ */
+export class SearchLimitError extends WordRejectedError {
+  /**
+   * @param {String} message 
+   */
+  constructor(message) {
+    super(message);
+    this.name = "SearchLimitError";
   }
 }
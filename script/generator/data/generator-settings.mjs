@@ -1,78 +1,145 @@
 import { ENDING_PICK_MODES } from "../concatenation/sequence-concatenator.mjs";
+import { LENGTH_MODES } from "../concatenation/sequence-concatenator.mjs";
 import BeginningCapitalsSpellingStrategy from "../postprocessing/beginning-capitals-strategy.mjs";
 import CharDepthSequencingStrategy from "../sequencing/char-depth-sequencing-strategy.mjs";
 import DelimiterSequencingStrategy from "../sequencing/delimiter-sequencing-strategy.mjs";
+import WordGenerator from "../generator.mjs";
+import WeightedSample from "./weighted-sample.mjs";
 
 /**
  * Represents the settings (sample set, sequencing strategy, minimum length, 
  * maximum length, etc.) for a word generator. 
  * @property {String} id
  * @property {String | undefined} name
- * @property {Array<String>} sampleSet
+ * @property {GENERATOR_TYPES} type Determines whether the generator is based on its own 
+ * sample set, or on a blend of other generators. Default `GENERATOR_TYPES.SAMPLE_SET`. 
+ * @property {Array<BlendSource>} blendSources The generators a generator of type 
+ * `GENERATOR_TYPES.BLEND` blends, along with their weights. These are referenced by id, so 
+ * that a blend always reflects the current sample sets of its generators. 
+ * @property {Array<String | WeightedSample>} sampleSet A sample can be given with a weight, 
+ * as a `WeightedSample`. 
  * @property {Number} depth
+ * @property {Number} order
+ * @property {Boolean} backoff
+ * @property {Number} backoffSmoothing
+ * @property {Boolean} positional
+ * @property {Boolean} novelty
+ * @property {Number} noveltyDistance
+ * @property {Boolean} strict
  * @property {Number} targetLengthMin
  * @property {Number} targetLengthMax
+ * @property {LENGTH_MODES} lengthMode
+ * @property {Boolean} clampLength
  * @property {SEQUENCING_STRATEGIES} sequencingStrategy
+ * @property {String} delimiter Used to separate samples into sequences, with 
+ * `SEQUENCING_STRATEGIES.DELIMITER`. Default `","`. 
  * @property {SPELLING_STRATEGIES | undefined} spellingStrategy
  * @property {Number} entropy
  * @property {Number} entropyStart
  * @property {Number} entropyMiddle
  * @property {Number} entropyEnd
+ * @property {Number} temperature
  * @property {ENDING_PICK_MODES} endingPickMode
  */
 export default class GeneratorSettings {
   /**
  * @param {String | undefined} args.id
  * @param {String | undefined} args.name
- * @param {Array<String> | undefined} args.sampleSet
+ * @param {GENERATOR_TYPES | undefined} args.type
+ * @param {Array<BlendSource> | undefined} args.blendSources
+ * @param {Array<String | WeightedSample> | undefined} args.sampleSet
  * @param {Number | undefined} args.depth
+ * @param {Number | undefined} args.order
+ * @param {Boolean | undefined} args.backoff
+ * @param {Number | undefined} args.backoffSmoothing
+ * @param {Boolean | undefined} args.positional
+ * @param {Boolean | undefined} args.novelty
+ * @param {Number | undefined} args.noveltyDistance
+ * @param {Boolean | undefined} args.strict
  * @param {Number | undefined} args.targetLengthMin
  * @param {Number | undefined} args.targetLengthMax
+ * @param {LENGTH_MODES | undefined} args.lengthMode
+ * @param {Boolean | undefined} args.clampLength
  * @param {SEQUENCING_STRATEGIES | undefined} args.sequencingStrategy
+ * @param {String | undefined} args.delimiter
  * @param {SPELLING_STRATEGIES | undefined} args.spellingStrategy
  * @param {Number | undefined} args.entropy
  * @param {Number | undefined} args.entropyStart
  * @param {Number | undefined} args.entropyMiddle
  * @param {Number | undefined} args.entropyEnd
+ * @param {Number | undefined} args.temperature
  * @param {ENDING_PICK_MODES | undefined} args.endingPickMode
    */
   constructor(args = {}) {
     this.id = args.id ?? foundry.utils.randomID(16);
     this.name = args.name;
+    this.type = args.type ?? GENERATOR_TYPES.SAMPLE_SET;
+    this.blendSources = (args.blendSources ?? []).map(it => new BlendSource(it));
     this.sampleSet = args.sampleSet ?? [];
     this.depth = args.depth ?? 3;
+    this.order = args.order ?? 1;
+    this.backoff = args.backoff ?? false;
+    this.backoffSmoothing = args.backoffSmoothing ?? 0;
+    this.positional = args.positional ?? false;
+    this.novelty = args.novelty ?? false;
+    this.noveltyDistance = args.noveltyDistance ?? 1;
+    this.strict = args.strict ?? false;
     this.targetLengthMin = args.targetLengthMin ?? 3;
     this.targetLengthMax = args.targetLengthMax ?? 10;
-    this.sequencingStrategy = args.sequencingStrategy = SEQUENCING_STRATEGIES.CHAR_DEPTH;
+    this.lengthMode = args.lengthMode ?? LENGTH_MODES.UNIFORM;
+    this.clampLength = args.clampLength ?? true;
+    this.sequencingStrategy = args.sequencingStrategy ?? SEQUENCING_STRATEGIES.CHAR_DEPTH;
+    this.delimiter = args.delimiter ?? ",";
     this.spellingStrategy = args.spellingStrategy ?? SPELLING_STRATEGIES.NONE;
     this.entropy = args.entropy ?? 0;
     this.entropyStart = args.entropyStart ?? 0;
     this.entropyMiddle = args.entropyMiddle ?? 0;
     this.entropyEnd = args.entropyEnd ?? 0;
+    this.temperature = args.temperature ?? 1;
     this.endingPickMode = args.endingPickMode ?? ENDING_PICK_MODES.RANDOM;
   }
 
+  /**
+   * Returns new settings from the given persisted object. 
+   * 
+   * Settings persisted before `depth` and `delimiter` were stored at the top level hold 
+   * them in `sequencingStrategySettings`, instead, which is read as a fallback. 
+   * @param {Object | undefined} obj 
+   * @returns {GeneratorSettings | undefined}
+   * @static
+   */
   static fromObject(obj) {
     if (obj === undefined) return undefined;
 
     return new GeneratorSettings({
       id: obj.id,
       name: obj.name,
-      sampleSet: obj.sampleSet,
+      type: obj.type,
+      blendSources: obj.blendSources,
+      // Samples without a weight are stored as plain strings. 
+      sampleSet: (obj.sampleSet !== undefined)
+        ? obj.sampleSet.map(it => (typeof it === "string") ? it : WeightedSample.fromObject(it))
+        : undefined,
+      depth: obj.depth ?? obj.sequencingStrategySettings?.depth,
+      order: obj.order,
+      backoff: obj.backoff,
+      backoffSmoothing: obj.backoffSmoothing,
+      positional: obj.positional,
+      novelty: obj.novelty,
+      noveltyDistance: obj.noveltyDistance,
+      strict: obj.strict,
       targetLengthMin: obj.targetLengthMin,
       targetLengthMax: obj.targetLengthMax,
-      sequencingStrategy: GeneratorSettings._getSequencingStrategy(
-        obj.sequencingStrategy,
-        obj.sequencingStrategySettings
-      ),
-      spellingStrategy: GeneratorSettings._getSpellingStrategy(
-        obj.spellingStrategy,
-        obj.spellingStrategySettings
-      ),
+      lengthMode: obj.lengthMode,
+      clampLength: obj.clampLength,
+      sequencingStrategy: obj.sequencingStrategy,
+      delimiter: obj.delimiter ?? obj.sequencingStrategySettings?.delimiter,
+      spellingStrategy: obj.spellingStrategy,
       entropy: obj.entropy,
       entropyStart: obj.entropyStart,
       entropyMiddle: obj.entropyMiddle,
       entropyEnd: obj.entropyEnd,
+      temperature: obj.temperature,
       endingPickMode: obj.endingPickMode,
     });
   }
@@ -81,26 +148,138 @@ export default class GeneratorSettings {
     return {
       id: this.id,
       name: this.name,
-      sampleSet: this.sampleSet,
+      type: this.type,
+      blendSources: this.blendSources.map(it => it.toObject()),
+      sampleSet: this.sampleSet.map(it => WeightedSample.from(it).toObject()),
+
+      depth: this.depth,
+      order: this.order,
+      backoff: this.backoff,
+      backoffSmoothing: this.backoffSmoothing,
+      positional: this.positional,
+      novelty: this.novelty,
+      noveltyDistance: this.noveltyDistance,
+      strict: this.strict,
 
       targetLengthMin: this.targetLengthMin,
       targetLengthMax: this.targetLengthMax,
+      lengthMode: this.lengthMode,
+      clampLength: this.clampLength,
 
       sequencingStrategy: this.sequencingStrategy,
-      sequencingStrategySettings: this.sequencingStrategy.getSettings(),
-
+      delimiter: this.delimiter,
       spellingStrategy: this.spellingStrategy,
-      spellingStrategySettings: (this.spellingStrategy !== undefined) ? this.spellingStrategy.getSettings() : undefined,
 
       entropy: this.entropy,
       entropyStart: this.entropyStart,
       entropyMiddle: this.entropyMiddle,
       entropyEnd: this.entropyEnd,
+      temperature: this.temperature,
       
       endingPickMode: this.endingPickMode,
     };
   }
 
+  /**
+   * Adds the given words to the sample set, with the given weight. 
+   * 
+   * Words which are already in the sample set are skipped. Case-insensitive. 
+   * @param {Array<String>} words The words to add, e. g. generated words the user liked. 
+   * @param {Number | undefined} weight Optional. A number greater than 0. Default `1`. 
+   * @returns {Number} The number of added words. 
+   * @throws {Error} Thrown, if the weight is not a number, greater than 0. 
+   */
+  addSamples(words, weight = 1) {
+    const texts = new Set(this.sampleSet.map(it => WeightedSample.from(it).text.toLowerCase()));
+
+    let count = 0;
+    for (const word of words) {
+      const sample = new WeightedSample({ text: word, weight: weight });
+      if (texts.has(sample.text.toLowerCase())) continue;
+
+      this.sampleSet.push((sample.weight === 1) ? sample.text : sample);
+      texts.add(sample.text.toLowerCase());
+      count++;
+    }
+    return count;
+  }
+
+  /**
+   * Returns a new word generator, based on these settings. 
+   * 
+   * The generator of a blend is built from the current sample sets of its generators, 
+   * with these settings. See `WordGenerator.fromBlend`. 
+   * @param {Object | undefined} args Optional. Parameter object. 
+   * @param {Number | undefined} args.seed Optional. A seed for the random number generator. 
+   * @param {Array<GeneratorSettings> | undefined} args.generatorSettings Optional. The settings 
+   * to look up the generators of a blend in. Required, if this is a blend. 
+   * @returns {WordGenerator}
+   * @throws {Error} Thrown, if the sample set is empty or any of the settings are invalid. 
+   * @throws {Error} Thrown, if this is a blend and any of its generators has no id, can't be 
+   * found, or is a blend itself. 
+   */
+  toGenerator(args = {}) {
+    if (this.type === GENERATOR_TYPES.BLEND) {
+      const sources = this.blendSources.map(blendSource => {
+        if (typeof blendSource.id !== "string" || blendSource.id.length === 0) {
+          throw new Error(`A generator of the blend '${this.id}' has no id!`);
+        }
+        const source = (args.generatorSettings ?? []).find(it => it.id === blendSource.id);
+        if (source === undefined) {
+          throw new Error(`Generator '${blendSource.id}' of the blend '${this.id}' does not exist!`);
+        } else if (source.type === GENERATOR_TYPES.BLEND) {
+          throw new Error(`Generator '${blendSource.id}' of the blend '${this.id}' must not be a blend itself!`);
+        }
+        return {
+          sampleSet: source.sampleSet,
+          weight: blendSource.weight,
+        };
+      });
+      return WordGenerator.fromBlend(sources, this._getGeneratorArgs(args.seed));
+    }
+
+    return new WordGenerator({
+      ...this._getGeneratorArgs(args.seed),
+      sampleSet: this.sampleSet,
+    });
+  }
+
+  /**
+   * Returns the parameters of a word generator, based on these settings, except for 
+   * the sample set. 
+   * @param {Number | undefined} seed A seed for the random number generator. 
+   * @returns {Object}
+   * @private
+   */
+  _getGeneratorArgs(seed) {
+    return {
+      depth: this.depth,
+      order: this.order,
+      backoff: this.backoff,
+      backoffSmoothing: this.backoffSmoothing,
+      positional: this.positional,
+      novelty: this.novelty,
+      noveltyDistance: this.noveltyDistance,
+      strict: this.strict,
+      targetLengthMin: this.targetLengthMin,
+      targetLengthMax: this.targetLengthMax,
+      lengthMode: this.lengthMode,
+      clampLength: this.clampLength,
+      sequencingStrategy: GeneratorSettings._getSequencingStrategy(
+        this.sequencingStrategy,
+        { depth: this.depth, delimiter: this.delimiter }
+      ),
+      spellingStrategy: GeneratorSettings._getSpellingStrategy(this.spellingStrategy),
+      entropy: this.entropy,
+      entropyStart: this.entropyStart,
+      entropyMiddle: this.entropyMiddle,
+      entropyEnd: this.entropyEnd,
+      temperature: this.temperature,
+      endingPickMode: this.endingPickMode,
+      seed: seed,
+    };
+  }
+
   /**
    * @param {SEQUENCING_STRATEGIES} strategy 
    * @param {Object} settings 
@@ -134,6 +313,31 @@ export default class GeneratorSettings {
   }
 }
 
+/**
+ * Represents a generator of a blend, along with its weight. 
+ * @property {String} id The id of the generator's settings. 
+ * @property {Number} weight A number greater than 0. The weights of a blend are relative 
+ * to each other. Default `1`. 
+ */
+export class BlendSource {
+  constructor(args = {}) {
+    this.id = args.id;
+    this.weight = args.weight ?? 1;
+  }
+
+  toObject() {
+    return {
+      id: this.id,
+      weight: this.weight,
+    };
+  }
+}
+
+export const GENERATOR_TYPES = {
+  SAMPLE_SET: "SAMPLE_SET",
+  BLEND: "BLEND",
+}
+
 export const SEQUENCING_STRATEGIES = {
   CHAR_DEPTH: "CHAR_DEPTH",
   DELIMITER: "DELIMITER",
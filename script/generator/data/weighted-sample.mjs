@@ -0,0 +1,96 @@
+/**
+ * Represents a sample, along with its weight and tags. 
+ * 
+ * A sample with a weight of `2` counts as much as the same sample occurring twice. 
+ * @property {String} text The text of the sample. 
+ * @property {Number} weight A number greater than 0, by which the frequencies of the 
+ * sample's sequences and transitions are multiplied. Default `1`. 
+ * @property {Array<String>} tags Tags, which allow generating words like a subset of 
+ * the samples, e. g. `["female"]`. Default `[]`. 
+ */
+export default class WeightedSample {
+  /**
+   * @param {Object} args Parameter object. 
+   * @param {String} args.text The text of the sample. 
+   * @param {Number | undefined} args.weight Optional. A number greater than 0. Default `1`. 
+   * @param {Array<String> | undefined} args.tags Optional. Tags of the sample. Default `[]`. 
+   * @throws {Error} Thrown, if the text is not a string, or the weight is not a number, greater than 0. 
+   */
+  constructor(args = {}) {
+    if (typeof args.text !== "string") {
+      throw new Error("`args.text` must be a string!");
+    }
+    if (args.weight !== undefined && (typeof args.weight !== "number" || (args.weight > 0) !== true)) {
+      throw new Error("`args.weight` must be a number, greater than 0!");
+    }
+
+    this.text = args.text;
+    this.weight = args.weight ?? 1;
+    this.tags = args.tags ?? [];
+  }
+
+  /**
+   * Returns true, if the sample has any of the given tags. Case-insensitive. 
+   * @param {Array<String>} tags 
+   * @returns {Boolean}
+   */
+  hasAnyOf(tags) {
+    const lowerCaseTags = this.tags.map(it => it.toLowerCase());
+    return tags.some(it => lowerCaseTags.includes(it.toLowerCase()));
+  }
+
+  /**
+   * Returns the given sample as a weighted sample. 
+   * 
+   * A string is returned as a sample with a weight of `1`. 
+   * @param {String | WeightedSample | Object} sample A string, a weighted sample or 
+   * an object of the form `{ text, weight, tags }`. 
+   * @returns {WeightedSample}
+   * @static
+   */
+  static from(sample) {
+    if (sample instanceof WeightedSample) return sample;
+
+    if (typeof sample === "string") {
+      return new WeightedSample({ text: sample });
+    }
+    return new WeightedSample({
+      text: sample.text,
+      weight: sample.weight,
+      tags: sample.tags,
+    });
+  }
+
+  /**
+   * Returns a new instance, based on the given object, which is expected to be 
+   * in the format returned by `toObject`. 
+   * @param {String | Object | undefined} obj 
+   * @returns {WeightedSample | undefined}
+   * @static
+   */
+  static fromObject(obj) {
+    if (obj === undefined) return undefined;
+
+    return WeightedSample.from(obj);
+  }
+
+  /**
+   * Returns a plain object representation of this instance, which can be stored as JSON. 
+   * 
+   * A sample with a weight of `1` and without tags is represented by its text alone, 
+   * so that sample sets without weights or tags remain lists of strings. 
+   * @returns {String | Object}
+   */
+  toObject() {
+    if (this.weight === 1 && this.tags.length === 0) return this.text;
+
+    const obj = {
+      text: this.text,
+      weight: this.weight,
+    };
+    if (this.tags.length > 0) {
+      obj.tags = this.tags.slice();
+    }
+    return obj;
+  }
+}
@@ -0,0 +1,233 @@
+import PriorityQueue from "../../util/priority-queue.mjs";
+import { isInteger } from "../../util/validation.mjs";
+import { getContextKey } from "../probability-building/sequence-probability-builder.mjs";
+import { END_TOKEN } from "../probability-building/sequence-probability-builder.mjs";
+
+/**
+ * Enumerates every word a built chain of probabilities can produce, most probable first. 
+ * 
+ * Words are found by a best-first search over the chain, from every starting sequence 
+ * to every valid ending. A word ends on a valid ending, if its last sequence is an ending 
+ * sequence or, if the chain was built with `endToken`, if its context may be followed by 
+ * the `END_TOKEN`. Like `SequenceConcatenator.generateStrict`, the branches of the longest 
+ * context that has any following sequences are followed, and the `positionalBranches` 
+ * are not considered. 
+ * 
+ * The probability of a word is the probability of its starting sequence, multiplied by 
+ * the probability of every following sequence, given its context and, with `endToken`, 
+ * by the probability of the word ending. As probabilities only ever decrease along a path, 
+ * words are found in order of descending probability. 
+ * 
+ * The words are produced lazily, so only as much of the chain is searched as is needed 
+ * for the words taken. 
+ * @property {SequenceProbabilities} probabilities The chain of probabilities to enumerate. 
+ */
+export default class WordEnumerator {
+  /**
+   * The following sequences of every context of the probabilities, by its key. 
+   * 
+   * Is created upon first use. 
+   * @type {Map<String, Array<ProbableSequence>> | undefined}
+   * @private
+   */
+  _branchIndex = undefined;
+
+  /**
+   * The chars of the ending sequences of the probabilities. 
+   * 
+   * Is created upon first use. 
+   * @type {Set<String> | undefined}
+   * @private
+   */
+  _endingIndex = undefined;
+
+  /**
+   * @param {Object} args Parameter object. 
+   * @param {SequenceProbabilities} args.probabilities The chain of probabilities to enumerate. 
+   * 
+   * @throws {Error} Thrown, if the probabilities are undefined. 
+   */
+  constructor(args = {}) {
+    if (args.probabilities === undefined) {
+      throw new Error("`args.probabilities` must not be undefined!");
+    }
+
+    this.probabilities = args.probabilities;
+  }
+
+  /**
+   * Returns an iterator over the distinct words of the chain, whose lengths are within the 
+   * given bounds, most probable first. 
+   * @param {Object} options Parameter object. 
+   * @param {Number} options.minLength The minimum length of the words, in characters. 
+   * @param {Number} options.maxLength The maximum length of the words, in characters. 
+   * @param {Number | undefined} options.limit Optional. The maximum number of words. Default unlimited. 
+   * @param {Number | undefined} options.minProbability Optional. The minimum probability of 
+   * the words. As probabilities only ever decrease along a path, paths below it are not 
+   * followed at all. Default `0`. 
+   * @returns {Iterator<EnumeratedWord>}
+   * @throws {Error} Thrown, if the bounds are not integers, greater or equal to 1. 
+   * @generator 
+   */
+  *enumerate(options = {}) {
+    if (isInteger(options.minLength) !== true || parseInt(options.minLength) < 1) {
+      throw new Error("`options.minLength` must be an integer, greater or equal to 1!");
+    }
+    if (isInteger(options.maxLength) !== true || parseInt(options.maxLength) < 1) {
+      throw new Error("`options.maxLength` must be an integer, greater or equal to 1!");
+    }
+    const limit = options.limit ?? Infinity;
+    const minProbability = options.minProbability ?? 0;
+
+    // Holds partial words, which are yet to be followed, and complete words, which are 
+    // yet to be returned. 
+    const queue = new PriorityQueue((a, b) => a.probability - b.probability);
+    for (const start of this._getWeightsOf(this.probabilities.starts)) {
+      this._enqueue(queue, [start.sequenceChars], start.sequenceChars.length, start.weight, options.maxLength, minProbability);
+    }
+
+    const words = new Set();
+    while (queue.size > 0 && words.size < limit) {
+      const entry = queue.pop();
+
+      if (entry.complete === true) {
+        // Different paths can spell the same word. The first is the most probable. 
+        if (words.has(entry.word)) continue;
+
+        words.add(entry.word);
+        yield new EnumeratedWord({
+          word: entry.word,
+          probability: entry.probability,
+        });
+        continue;
+      }
+
+      const context = entry.sequences.slice(Math.max(0, entry.sequences.length - (this.probabilities.order ?? 1)));
+      const followingSequences = this._getFollowingWeightsOf(context);
+
+      if (entry.length >= options.minLength) {
+        const endProbability = this._getEndProbabilityOf(context, followingSequences);
+        if (endProbability > 0 && entry.probability * endProbability >= minProbability) {
+          queue.push({
+            complete: true,
+            word: entry.sequences.join(""),
+            probability: entry.probability * endProbability,
+          });
+        }
+      }
+
+      for (const following of followingSequences) {
+        if (following.sequenceChars === END_TOKEN) continue;
+
+        this._enqueue(
+          queue,
+          entry.sequences.concat([following.sequenceChars]),
+          entry.length + following.sequenceChars.length,
+          entry.probability * following.weight,
+          options.maxLength,
+          minProbability
+        );
+      }
+    }
+  }
+
+  /**
+   * Adds the given partial word to the queue, if it is within the maximum length and 
+   * the minimum probability. 
+   * @param {PriorityQueue} queue 
+   * @param {Array<String>} sequences The chars of the sequences of the partial word. 
+   * @param {Number} length The length of the partial word, in characters. 
+   * @param {Number} probability The probability of the partial word. 
+   * @param {Number} maxLength 
+   * @param {Number} minProbability 
+   * @private
+   */
+  _enqueue(queue, sequences, length, probability, maxLength, minProbability) {
+    if (length > maxLength || probability <= 0 || probability < minProbability) return;
+
+    queue.push({
+      complete: false,
+      sequences: sequences,
+      length: length,
+      probability: probability,
+    });
+  }
+
+  /**
+   * Returns the probability of a word ending after the given context. 
+   * 
+   * With `endToken`, this is the probability of the `END_TOKEN` following the context. 
+   * Otherwise, it is `1`, if the last sequence is an ending sequence, or `0`, if it isn't. 
+   * @param {Array<String>} context The chars of the sequences of the context. 
+   * @param {Array<Object>} followingSequences The sequences that can follow the context, 
+   * each with `sequenceChars` and `weight`. 
+   * @returns {Number}
+   * @private
+   */
+  _getEndProbabilityOf(context, followingSequences) {
+    if (this.probabilities.endToken === true) {
+      return followingSequences.find(it => it.sequenceChars === END_TOKEN)?.weight ?? 0;
+    }
+    if (this._endingIndex === undefined) {
+      this._endingIndex = new Set(this.probabilities.endings.map(it => it.sequenceChars));
+    }
+    return this._endingIndex.has(context[context.length - 1]) ? 1 : 0;
+  }
+
+  /**
+   * Returns the sequences that can follow the given context, with their probabilities as 
+   * weights, of the longest part of the context that has any. 
+   * 
+   * Unless the chain was built with `backoff`, only the whole context is considered. 
+   * @param {Array<String>} context The chars of the sequences of the context. 
+   * @returns {Array<Object>} Each with `sequenceChars` and `weight`. 
+   * @private
+   */
+  _getFollowingWeightsOf(context) {
+    if (this._branchIndex === undefined) {
+      this._branchIndex = new Map(this.probabilities.branches.map(it => [it.sequenceChars, it.branches]));
+    }
+
+    const minContextLength = (this.probabilities.backoff === true) ? 1 : context.length;
+    for (let contextLength = context.length; contextLength >= minContextLength; contextLength--) {
+      const branches = this._branchIndex.get(getContextKey(context.slice(context.length - contextLength)));
+      if (branches !== undefined && branches.length > 0) {
+        return this._getWeightsOf(branches);
+      }
+    }
+    return [];
+  }
+
+  /**
+   * Returns the given probable sequences, with their un-stacked probabilities as weights. 
+   * @param {Array<ProbableSequence>} probableSequences A list of probable sequences, 
+   * with stacked probabilities. 
+   * @returns {Array<Object>} Each with `sequenceChars` and `weight`. 
+   * @private
+   */
+  _getWeightsOf(probableSequences) {
+    let previousProbability = 0;
+    return probableSequences.map(it => {
+      const weight = it.probability - previousProbability;
+      previousProbability = it.probability;
+      return { sequenceChars: it.sequenceChars, weight: weight };
+    });
+  }
+}
+
+/**
+ * Represents an enumerated word. 
+ * @property {String} word The word. 
+ * @property {Number} probability The probability of the word under the chain. 
+ */
+export class EnumeratedWord {
+  /**
+   * @param {Object} args Parameter object. 
+   * @param {String} args.word The word. 
+   * @param {Number} args.probability The probability of the word under the chain. 
+   */
+  constructor(args = {}) {
+    this.word = args.word;
+    this.probability = args.probability;
+  }
+}
@@ -1,19 +1,76 @@
 import { isInteger } from '../util/validation.mjs';
+import BKTree from '../util/bk-tree.mjs';
+import { getRhymeOf } from '../util/rhyme.mjs';
+import WordScorer from './scoring/word-scorer.mjs';
 import SequenceProbabilityBuilder from './probability-building/sequence-probability-builder.mjs';
+import SequenceProbabilityBlender from './probability-building/sequence-probability-blender.mjs';
+import { SequenceProbabilities } from './probability-building/sequence-probability-builder.mjs';
 import SequenceConcatenator from './concatenation/sequence-concatenator.mjs';
+import { SequencePick } from './concatenation/sequence-concatenator.mjs';
+import { ENDING_PICK_MODES } from './concatenation/sequence-concatenator.mjs';
+import { LENGTH_MODES } from './concatenation/sequence-concatenator.mjs';
+import { WordRejectedError } from './concatenation/sequence-concatenator.mjs';
+import { SearchLimitError } from './concatenation/sequence-concatenator.mjs';
+import GenerationConstraints from './concatenation/generation-constraints.mjs';
+import WeightedSample from './data/weighted-sample.mjs';
+import WordVariator from './variation/word-variator.mjs';
+import WordEnumerator from './enumeration/word-enumerator.mjs';
+import { EnumeratedWord } from './enumeration/word-enumerator.mjs';
+
+/**
+ * Represents the reasons for a generation to stop. 
+ * @constant
+ * @type {Object}
+ * @property {String} COMPLETED All of the requested words were generated. 
+ * @property {String} MAX_ATTEMPTS Generating a further unique word took too many tries. 
+ * Possibly because the sample set is too small, or the target length was unreachable. 
+ * @property {String} EXHAUSTED A search over the chain found no further unique word 
+ * within the target lengths, which satisfies the constraints. 
+ * @property {String} SEARCH_LIMIT A search over the chain gave up after visiting too many 
+ * partial words. Further unique words may still exist. 
+ * @property {String} ABORTED The generation was cancelled with an `AbortSignal`. 
+ */
+export const STOP_REASONS = {
+  COMPLETED: "completed",
+  MAX_ATTEMPTS: "maxAttempts",
+  EXHAUSTED: "exhausted",
+  SEARCH_LIMIT: "searchLimit",
+  ABORTED: "aborted",
+};
+
+/**
+ * The number of milliseconds `generateAsync` generates for, before it yields to the event loop. 
+ * @constant
+ * @type {Number}
+ */
+const YIELD_INTERVAL = 15;
 
 /**
  * This is the algorithm's main logic piece. 
  * 
  * Creating an instance of this type will immediately generate results, based on the given parameters and 
  * then make them available them via the `results` getter. 
- * @property {Array<String>} results
- * @property {Array<String>} sampleSet
- * @property {Number} depth
- * @property {Number} targetLengthMin
- * @property {Number} targetLengthMax
- * @property {AbstractSequencingStrategy} sequencingStrategy
- * @property {AbstractSpellingStrategy | undefined} spellingStrategy
+ * @property {Array<String>} results 
+ * @property {Array<String | WeightedSample | Object>} sampleSet 
+ * @property {Number} depth 
+ * @property {Number} order The number of preceding sequences that are considered when picking 
+ * a following sequence. Default 1. 
+ * @property {Boolean} backoff If true, falls back to the next-shorter context, when a context 
+ * has no known following sequences. Default false. 
+ * @property {Number | undefined} backoffSmoothing A number between 0 and 1 (inclusive), which 
+ * determines the likelihood of backing off to a shorter context, even though the current context 
+ * has known following sequences. Default 0. 
+ * @property {Boolean} positional If true, separate tables of transitions are built for the 
+ * start, middle and end of words. Default false. 
+ * @property {Number} targetLengthMin 
+ * @property {Number} targetLengthMax With `ENDING_PICK_MODES.LEARNED`, the target lengths 
+ * act as hard bounds. 
+ * @property {LENGTH_MODES} lengthMode Determines how the target length of generated words is picked. 
+ * Default `LENGTH_MODES.UNIFORM`. 
+ * @property {Boolean} clampLength If true, with `LENGTH_MODES.SAMPLE_SET`, only sample lengths 
+ * between the target lengths are picked. Default true. 
+ * @property {AbstractSequencingStrategy} sequencingStrategy 
+ * @property {AbstractSpellingStrategy | undefined} spellingStrategy 
  * @property {Number | undefined} entropy A number between 0 and 1 (inclusive), which determines the 
  * randomness of words, in general. Default 0. 
  * @property {Number | undefined} entropyStart A number between 0 and 1 (inclusive), which determines the 
@@ -22,6 +79,16 @@ import SequenceConcatenator from './concatenation/sequence-concatenator.mjs';
  * randomness of middle sequences. Default 0. 
  * @property {Number | undefined} entropyEnd A number between 0 and 1 (inclusive), which determines the 
  * randomness of ending sequences. Default 0. 
+ * @property {Number | undefined} temperature A number greater than 0, which reshapes the probabilities 
+ * of picks. Values below 1 favour common sequences, values above 1 favour rare sequences. Default 1. 
+ * @property {Boolean} reverse If true, the chain of probabilities includes a reverse chain, 
+ * which allows growing words backwards, from their ending. Default false. 
+ * @property {Boolean} novelty If true, generated words that match a sample (case-insensitive) or are 
+ * within `noveltyDistance` of one, are rejected. Default false. 
+ * @property {Number} noveltyDistance The maximum Levenshtein distance to a sample, at which a generated 
+ * word is still rejected, if `novelty` is true. Default 1. 
+ * @property {Boolean} strict If true, generated words are guaranteed to be within the target lengths 
+ * and to end on a valid ending. Default false. 
  * @property {ENDING_PICK_MODES} endingPickMode Determines how and if an ending sequence 
  * will be picked for generated words. 
  */
@@ -33,7 +100,7 @@ export default class WordGenerator {
   /**
    * Returns a list of results, based on the given sample set and parameters. 
    * @type {Array<String>}
-   * @readonly
+   * @readonly 
    */
   get results() { return this._results; }
   
@@ -43,17 +110,24 @@ export default class WordGenerator {
   _sampleSet = undefined;
   /**
    * Returns the provided sample set. 
-   * @type {Array<String>}
-   * @readonly
+   * @type {Array<String | WeightedSample | Object>}
+   * @readonly 
    */
   get sampleSet() { return this._sampleSet; }
+
+  /**
+   * The samples of the sample set, as weighted samples. 
+   * @type {Array<WeightedSample> | undefined}
+   * @private
+   */
+  _samples = undefined;
   
   /**
    * The target minimum length that generated texts should be. 
    * 
    * Note, that there is no guarantee these boundaries can be respected, at all times. 
    * @type {Number}
-   * @default 1
+   * @default 1 
    */
   targetLengthMin = 1;
   
@@ -62,10 +136,132 @@ export default class WordGenerator {
    * 
    * Note, that there is no guarantee these boundaries can be respected, at all times. 
    * @type {Number}
-   * @default 10
+   * @default 10 
    */
   targetLengthMax = 10;
 
+  /**
+   * Determines how the target length of generated words is picked. 
+   * 
+   * With `LENGTH_MODES.SAMPLE_SET`, generated words follow the length profile of the 
+   * sample set, instead of every length between the target lengths being equally likely. 
+   * @type {LENGTH_MODES}
+   * @default LENGTH_MODES.UNIFORM 
+   */
+  lengthMode = LENGTH_MODES.UNIFORM;
+
+  /**
+   * If true, with `LENGTH_MODES.SAMPLE_SET`, only sample lengths between the target 
+   * lengths are picked. 
+   * @type {Boolean}
+   * @default true 
+   */
+  clampLength = true;
+
+  /**
+   * The number of preceding sequences that are considered when picking a following sequence. 
+   * 
+   * Higher numbers result in results more similar to the provided sample set, but also in 
+   * less variety. In contrast to the sequencing strategy's depth, this does not make the 
+   * sequences themselves longer. 
+   * @type {Number}
+   * @default 1 
+   */
+  order = 1;
+
+  /**
+   * If true, falls back to the next-shorter context, when a context has no known following 
+   * sequences. Only when no context at all has any known following sequences, will a 
+   * sequence be picked at random. 
+   * 
+   * Only makes a difference, if `order` is greater than 1. 
+   * @type {Boolean}
+   * @default false 
+   */
+  backoff = false;
+
+  /**
+   * If true, separate tables of transitions are built for the start, middle and end of words. 
+   * Following sequences are then picked from the table matching the current position within 
+   * the word, so that e. g. a transition only seen at the end of a word doesn't appear at its start. 
+   * @type {Boolean}
+   * @default false 
+   */
+  positional = false;
+
+  /**
+   * If true, the chain of probabilities includes a reverse chain, which allows growing words 
+   * backwards, from their ending. 
+   * 
+   * The reverse chain is always built, when words with a given ending or rhyme are generated. 
+   * This only determines, whether it is part of the exported model, as well. 
+   * @type {Boolean}
+   * @default false 
+   */
+  reverse = false;
+
+  /**
+   * If true, generated words that match a sample (case-insensitive) or are within 
+   * `noveltyDistance` of a sample, are rejected. 
+   * 
+   * Only applies, if the generator has a sample set. 
+   * @type {Boolean}
+   * @default false 
+   */
+  novelty = false;
+
+  /**
+   * The maximum Levenshtein distance to a sample (inclusive), at which a generated word is 
+   * still rejected, if `novelty` is true. With a distance of `0`, only exact matches are rejected. 
+   * @type {Number}
+   * @default 1 
+   */
+  noveltyDistance = 1;
+
+  /**
+   * @type {Object<String, Number>}
+   * @private
+   */
+  _rejectionStatistics = {};
+  /**
+   * Returns how many generated candidates were rejected during the last generation, by reason. 
+   * 
+   * * `duplicates`: The candidate had already been generated. 
+   * * `sampleCopies`: The candidate matched a sample, case-insensitive. Only with `novelty`. 
+   * * `nearCopies`: The candidate was within `noveltyDistance` of a sample. Only with `novelty`. 
+   * @type {Object<String, Number>}
+   * @readonly 
+   */
+  get rejectionStatistics() { return this._rejectionStatistics; }
+
+  /**
+   * If true, words are generated by a search over the chain, instead of by random picks. 
+   * 
+   * Generated words are then guaranteed to be within the target lengths and to end on a 
+   * valid ending. Instead of retrying, generation stops immediately and reports so, 
+   * if no further such word exists. See `generate`. 
+   * @type {Boolean}
+   * @default false 
+   */
+  strict = false;
+
+  /**
+   * @type {Object<Number, Number>}
+   * @private
+   */
+  _backoffStatistics = {};
+  /**
+   * Returns how often a context of a given length was used to pick a following sequence, 
+   * during the last generation. 
+   * 
+   * The key is the length of the context, the value the number of picks. The key `0` 
+   * counts the picks made entirely at random, because no context had any known following 
+   * sequences. 
+   * @type {Object<Number, Number>}
+   * @readonly 
+   */
+  get backoffStatistics() { return this._backoffStatistics; }
+
   /**
    * The sequencing strategy used to determine sequences. 
    * @type {AbstractSequencingStrategy}
@@ -88,16 +284,52 @@ export default class WordGenerator {
   /**
    * Returns seed used in randomization. 
    * @type {String}
-   * @readonly
+   * @readonly 
    */
   get seed() { return this._seed; }
 
+  /**
+   * A previously built chain of probabilities. If defined, it is used instead of 
+   * building a new one from the sample set. 
+   * @type {SequenceProbabilities | undefined}
+   * @private
+   */
+  _model = undefined;
+
   /**
    * @param {Object} args Parameter object. 
-   * @param {Array<String>} args.sampleSet The sample set this generator will work with. 
+   * @param {Array<String | WeightedSample | Object>} args.sampleSet The sample set this generator 
+   * will work with. A sample can also be given with a weight, as a `WeightedSample` or an object 
+   * of the form `{ text, weight }`, so that it counts as much as `weight` plain samples. 
+   * Optional, if `args.model` is defined. 
    * @param {Number} args.targetLengthMin The minimum length the results *should* have. 
    * @param {Number} args.targetLengthMax The maximum length the results *should* have. 
+   * @param {LENGTH_MODES | undefined} args.lengthMode Optional. Determines how the target length of 
+   * generated words is picked. Default `LENGTH_MODES.UNIFORM`. 
+   * @param {Boolean | undefined} args.clampLength Optional. If true, with `LENGTH_MODES.SAMPLE_SET`, only 
+   * sample lengths between the target lengths are picked. Default `true`. 
    * @param {AbstractSequencingStrategy} args.sequencingStrategy The sequencing strategy to use. 
+   * Optional, if `args.model` is defined. 
+   * @param {SequenceProbabilities | Object | String | undefined} args.model Optional. A previously built 
+   * chain of probabilities, as returned by `exportModel`. If defined, no chain will be built from 
+   * the sample set and the model's `order`, `backoff`, `positional` and `reverse` are used. 
+   * @param {Number | undefined} args.order Optional. The number of preceding sequences that are considered 
+   * when picking a following sequence. Default `1`. 
+   * @param {Boolean | undefined} args.backoff Optional. If true, falls back to the next-shorter context, 
+   * when a context has no known following sequences. Default `false`. 
+   * @param {Number | undefined} args.backoffSmoothing Optional. A number between 0 and 1 (inclusive), which 
+   * determines the likelihood of backing off to a shorter context, even though the current context 
+   * has known following sequences. Default `0`. 
+   * @param {Boolean | undefined} args.positional Optional. If true, separate tables of transitions are 
+   * built for the start, middle and end of words. Default `false`. 
+   * @param {Boolean | undefined} args.reverse Optional. If true, the chain of probabilities includes a 
+   * reverse chain, which allows growing words backwards, from their ending. Default `false`. 
+   * @param {Boolean | undefined} args.novelty Optional. If true, generated words that match a sample 
+   * (case-insensitive) or are within `noveltyDistance` of one, are rejected. Default `false`. 
+   * @param {Number | undefined} args.noveltyDistance Optional. The maximum Levenshtein distance to a 
+   * sample, at which a generated word is still rejected. Default `1`. 
+   * @param {Boolean | undefined} args.strict Optional. If true, generated words are guaranteed to be within 
+   * the target lengths and to end on a valid ending. Default `false`. 
    * @param {String | undefined} args.seed Optional. A seed for the randomization. 
    * @param {AbstractSpellingStrategy | undefined} args.spellingStrategy Optional. The spelling strategy applied to generated words. 
    * @param {Number | undefined} args.entropy A number between 0 and 1 (inclusive), which determines the 
@@ -108,15 +340,22 @@ export default class WordGenerator {
    * randomness of middle sequences. Default `0`. 
    * @param {Number | undefined} args.entropyEnd A number between 0 and 1 (inclusive), which determines the 
    * randomness of ending sequences. Default `0`. 
+   * @param {Number | undefined} args.temperature Optional. A number greater than 0, which reshapes the 
+   * probabilities of picks. Values below 1 favour common sequences, values above 1 favour rare sequences. 
+   * Default `1`. 
    * @param {ENDING_PICK_MODES | undefined} args.endingPickMode Optional. Determines how and if an ending sequence 
-   * will be picked for generated words. Default `ENDING_PICK_MODES.RANDOM`.
+   * will be picked for generated words. Default `ENDING_PICK_MODES.RANDOM`. 
    * 
-   * @throws {Error} Thrown, if the sample set is an empty list or undefined. 
+   * @throws {Error} Thrown, if the sample set is an empty list or undefined, while no model is defined. 
    * @throws {Error} Thrown, if the depth is less than 1 or undefined or no integer value. 
    * @throws {Error} Thrown, if any of the target lengths are less than 1, undefined or no integer value. 
+   * @throws {Error} Thrown, if the order is less than 1 or no integer value. 
+   * @throws {Error} Thrown, if the temperature is not greater than 0. 
+   * @throws {Error} Thrown, if any sample has no text or a weight that is not greater than 0. 
+   * @throws {Error} Thrown, if the model has an end token, while the ending pick mode isn't `LEARNED`. 
    */
   constructor(args = {}) {
-    if (args.sampleSet === undefined || args.sampleSet.length === 0) {
+    if (args.model === undefined && (args.sampleSet === undefined || args.sampleSet.length === 0)) {
       throw new Error("`args.sampleSet` must not be undefined or an empty list!");
     }
     if (isInteger(args.targetLengthMin) !== true || parseInt(args.targetLengthMin) <= 0) {
@@ -125,14 +364,30 @@ export default class WordGenerator {
     if (isInteger(args.targetLengthMax) !== true || parseInt(args.targetLengthMax) <= 0) {
       throw new Error("`args.targetLengthMax` must be an integer, greater or equal to 1!");
     }
-    if (args.sequencingStrategy === undefined) {
+    if (args.model === undefined && args.sequencingStrategy === undefined) {
       throw new Error("`args.sequencingStrategy` must be not be undefined!");
     }
+    if (args.order !== undefined && (isInteger(args.order) !== true || parseInt(args.order) <= 0)) {
+      throw new Error("`args.order` must be an integer, greater or equal to 1!");
+    }
+    if (args.temperature !== undefined && (typeof args.temperature !== "number" || (args.temperature > 0) !== true)) {
+      throw new Error("`args.temperature` must be a number, greater than 0!");
+    }
     
     this._sampleSet = args.sampleSet;
+    this._samples = (args.sampleSet !== undefined) ? args.sampleSet.map(it => WeightedSample.from(it)) : undefined;
     this._depth = args.depth;
     this.targetLengthMin = args.targetLengthMin;
     this.targetLengthMax = args.targetLengthMax;
+    this.lengthMode = args.lengthMode ?? LENGTH_MODES.UNIFORM;
+    this.clampLength = args.clampLength ?? true;
+    this.order = args.order ?? 1;
+    this.backoff = args.backoff ?? false;
+    this.positional = args.positional ?? false;
+    this.reverse = args.reverse ?? false;
+    this.novelty = args.novelty ?? false;
+    this.noveltyDistance = args.noveltyDistance ?? 1;
+    this.strict = args.strict ?? false;
     this._seed = args.seed;
     this.sequencingStrategy = args.sequencingStrategy;
     this.spellingStrategy = args.spellingStrategy;
@@ -142,22 +397,370 @@ export default class WordGenerator {
     this.entropyStart = args.entropyStart;
     this.entropyMiddle = args.entropyMiddle;
     this.entropyEnd = args.entropyEnd;
+    this.temperature = args.temperature;
     this.endingPickMode = args.endingPickMode;
+    this.backoffSmoothing = args.backoffSmoothing;
+
+    if (args.model !== undefined) {
+      this._model = (args.model instanceof SequenceProbabilities) ? args.model : SequenceProbabilities.fromObject(args.model);
+      this.order = this._model.order;
+      this.backoff = this._model.backoff;
+      this.positional = this._model.positionalBranches !== undefined;
+      this.reverse = this._model.reverseBranches !== undefined;
+
+      if (this._model.endToken === true) {
+        this.endingPickMode = this.endingPickMode ?? ENDING_PICK_MODES.LEARNED;
+        if (this.endingPickMode !== ENDING_PICK_MODES.LEARNED) {
+          throw new Error("`args.endingPickMode` must be LEARNED for a model with an end token!");
+        }
+      }
+    }
+  }
+
+  /**
+   * Returns a new generator, which uses the given, previously built chain of probabilities, 
+   * instead of building one from a sample set. 
+   * @param {SequenceProbabilities | Object | String} model A chain of probabilities, as 
+   * returned by `exportModel`. If it was built with an end token, the ending pick mode 
+   * defaults to `LEARNED`. 
+   * @param {Object} args Parameter object. Accepts the same parameters as the constructor, 
+   * except for `sampleSet`, `sequencingStrategy`, `order`, `backoff`, `positional` and `reverse`, which are optional. 
+   * @returns {WordGenerator}
+   * @throws {Error} Thrown, if the model has an unsupported version. 
+   * @static
+   */
+  static fromModel(model, args = {}) {
+    return new WordGenerator({
+      ...args,
+      model: model,
+    });
+  }
+
+  /**
+   * Returns a new generator, whose chain of probabilities is a blend of the chains of the 
+   * given sample sets, interpolated with the given weights. 
+   * 
+   * Every sample set's chain is built with the given parameters. See `SequenceProbabilityBlender`. 
+   * The samples of all sample sets make up the sample set of the new generator. 
+   * @param {Array<Object>} sources The sample sets to blend. 
+   * @param {Array<String | WeightedSample | Object>} sources[].sampleSet A sample set. 
+   * @param {Number} sources[].weight A number greater than 0. The weights are relative to each other. 
+   * @param {Object} args Parameter object. Accepts the same parameters as the constructor, 
+   * except for `sampleSet` and `model`. 
+   * @returns {WordGenerator}
+   * @throws {Error} Thrown, if no sample sets are given, any sample set is empty, or any 
+   * weight is not greater than 0. 
+   * @static
+   */
+  static fromBlend(sources, args = {}) {
+    if (sources === undefined || sources.length === 0) {
+      throw new Error("At least one sample set must be given!");
+    }
+
+    const blendedProbabilities = new SequenceProbabilityBlender().blend(sources.map(source => ({
+      probabilities: new WordGenerator({
+        ...args,
+        sampleSet: source.sampleSet,
+      })._getProbabilities(true),
+      weight: source.weight,
+    })));
+
+    return new WordGenerator({
+      ...args,
+      sampleSet: sources.flatMap(it => it.sampleSet),
+      model: blendedProbabilities,
+    });
+  }
+
+  /**
+   * Returns the chain of probabilities of this generator, as a plain, versioned object. 
+   * 
+   * The object can be stored as JSON and later be passed to `WordGenerator.fromModel`, 
+   * so the chain doesn't have to be built again and the sample set doesn't have to be kept. 
+   * @returns {Object}
+   */
+  exportModel() {
+    return this._getProbabilities().toObject();
   }
 
   /**
    * Returns the given number of words, randomly generated, based on the parameters of the generator. 
-   * @returns {Array<String>} A list of generated words.
-   * @throws {Error} Thrown, if generating a unique word takes too many tries. Possibly because 
-   * the target length was unreachable. 
+   * 
+   * If constraints are given, words are generated by a search over the chain, as with `strict`, 
+   * which only follows the chain where the constraints can still be satisfied. The constraints 
+   * apply to words before the spelling strategy. 
+   * 
+   * If an ending or a word to rhyme with is given, words are grown backwards from their 
+   * ending, over the reverse chain. 
+   * 
+   * If fewer words than requested can be generated, the words generated so far are returned, 
+   * along with a report of why generation stopped, unless `options.throwOnShortfall` is true. 
+   * @param {Number} howMany The number of words to generate. 
+   * @param {Object | undefined} options Optional. Parameter object. 
+   * @param {GenerationConstraints | Object | undefined} options.constraints Optional. Constraints 
+   * every generated word must satisfy. See `GenerationConstraints` for the available constraints. 
+   * @param {String | undefined} options.endingWith Optional. The text every generated word must 
+   * end with. Case-insensitive. 
+   * @param {String | undefined} options.rhymesWith Optional. A word every generated word must rhyme 
+   * with. See `getRhymeOf`. The word itself is never generated. Ignored, if `options.endingWith` 
+   * is defined. 
+   * @param {Boolean | undefined} options.ranked Optional. If true, more words than requested are 
+   * generated and only the most plausible ones are returned, ordered by their score, best first. 
+   * See `score`. Default `false`. 
+   * @param {Number | undefined} options.oversampling Optional. With `options.ranked`, the factor by 
+   * which more words than requested are generated. Must be at least 1. Default `3`. 
+   * @param {Boolean | undefined} options.explain Optional. If true, instead of the words, an 
+   * explanation of every word is returned, which lists the picks of its sequences, along with 
+   * the samples that contain them. Default `false`. 
+   * @param {Array<String> | undefined} options.tags Optional. If defined, the starts, endings and 
+   * lengths of generated words are biased toward the samples with any of these tags. Case-insensitive. 
+   * Contexts unknown to the tagged samples back off to the chain of all samples. If no sample has 
+   * any of the tags, or the generator was created with a model, the chain of all samples is used. 
+   * @param {Number | undefined} options.tagStrength Optional. A number greater than 0 and less 
+   * than 1, which determines how strongly the tagged samples are favoured over all samples. 
+   * Default `0.8`. 
+   * @param {Boolean | undefined} options.tagTransitions Optional. If true, the transitions are 
+   * biased toward the tagged samples, as well. Default `false`. 
+   * @param {Array<String> | undefined} options.liked Optional. Words, e. g. previously generated 
+   * ones, whose starts, endings and transitions are temporarily boosted. 
+   * @param {Number | undefined} options.likeStrength Optional. A number greater than 0 and less 
+   * than 1, which determines how strongly the liked words are favoured. Default `0.5`. 
+   * @param {Array<String> | undefined} options.disliked Optional. Words whose distinctive starts, 
+   * endings and transitions are temporarily suppressed. Those shared with the liked words are kept. 
+   * @param {Number | undefined} options.dislikeFactor Optional. A number greater than 0 and less 
+   * than 1, by which the probabilities of the disliked words' transitions are multiplied. 
+   * Default `0.1`. 
+   * @param {Boolean | undefined} options.throwOnShortfall Optional. If true, an error is thrown, 
+   * instead of returning fewer words than requested. Default `false`. 
+   * @returns {GenerationResult} The generated words, or with `options.explain`, their 
+   * explanations, along with a report of the generation. 
+   * @throws {Error} Thrown, if `options.throwOnShortfall` is true and generating a unique word 
+   * takes too many tries. Possibly because the target length was unreachable. 
+   * @throws {Error} Thrown, if `options.throwOnShortfall` is true, `strict` is true or constraints, 
+   * an ending or a word to rhyme with are given and no further unique word within the target 
+   * lengths, which satisfies them, exists. 
+   * @throws {Error} Thrown, if an ending or a word to rhyme with is given, but the generator was 
+   * created with a model without a reverse chain. 
+   * @throws {Error} Thrown, if `options.ranked` is true, but there is no sequencing strategy, or 
+   * the oversampling is less than 1. 
+   * @throws {Error} Thrown, if liked or disliked words are given, but there is no sequencing strategy. 
+   * @throws {Error} Thrown, if the tag strength, like strength or dislike factor is not 
+   * between 0 and 1 (exclusive). 
    */
-  generate(howMany) {
-    // Determine which sequences exist. Contains duplicate entries. 
-    const sequences = this.sequencingStrategy.getSequencesOfSet(this.sampleSet);
-    
-    // Build the chain of probabilities of the sequences. 
-    const probabilityBuilder = new SequenceProbabilityBuilder();
-    const sequenceProbabilities = probabilityBuilder.build(sequences);
+  generate(howMany, options = {}) {
+    const steps = this._generateStepwise(howMany, options);
+    let step = steps.next();
+    while (step.done !== true) {
+      step = steps.next();
+    }
+    return step.value;
+  }
+
+  /**
+   * Returns the given number of words, like `generate`, but yields to the event loop in 
+   * between, so that a user interface remains responsive while generating many words. 
+   * 
+   * Generation can be cancelled with an `AbortSignal`. Then, the words generated so far are 
+   * returned, along with a report, whose stop reason is `STOP_REASONS.ABORTED`, unless 
+   * `options.throwOnShortfall` is true. 
+   * @param {Number} howMany The number of words to generate. 
+   * @param {Object | undefined} options Optional. Parameter object. Takes all the options 
+   * of `generate`, as well as the following. 
+   * @param {AbortSignal | undefined} options.signal Optional. A signal to cancel the generation with. 
+   * @param {Function | undefined} options.onProgress Optional. Called after every generated word, 
+   * with the number of words generated so far and the number of words to generate. With 
+   * `options.ranked`, the numbers count the oversampled candidates. 
+   * @returns {Promise<GenerationResult>} The generated words, or with `options.explain`, their 
+   * explanations, along with a report of the generation. 
+   * @throws {Error} Thrown, if `options.throwOnShortfall` is true and the generation was aborted. 
+   * See `generate` for further errors. 
+   * @async
+   */
+  async generateAsync(howMany, options = {}) {
+    const steps = this._generateStepwise(howMany, options, options.signal);
+    let lastYield = Date.now();
+    let step = steps.next();
+    while (step.done !== true) {
+      if (options.onProgress !== undefined) {
+        options.onProgress(step.value.generated, step.value.requested);
+      }
+      if (Date.now() - lastYield >= YIELD_INTERVAL) {
+        await new Promise(resolve => setTimeout(resolve, 0));
+        lastYield = Date.now();
+      }
+      step = steps.next();
+    }
+    return step.value;
+  }
+
+  /**
+   * Returns an iterator over randomly generated, unique words, based on the parameters of 
+   * the generator. 
+   * 
+   * Words are only generated as they are taken, so there is no need to know up front how 
+   * many are needed. The iterator ends, once no further unique word can be generated. Its 
+   * final value, which `for...of` discards, is the report of the generation. 
+   * @param {Object | undefined} options Optional. Parameter object. Takes the options of 
+   * `generate`, except for `ranked`, `oversampling` and `throwOnShortfall`, which are ignored. 
+   * @returns {Iterator<String | WordExplanation>} The generated words, or with `options.explain`, 
+   * their explanations. 
+   * @throws {Error} Thrown, if the options are invalid. See `generate`. 
+   * @generator 
+   */
+  *iterate(options = {}) {
+    const generation = this._startGeneration(Infinity, {
+      ...options,
+      ranked: false,
+    });
+    const report = generation.report;
+
+    try {
+      while (true) {
+        let word = undefined;
+        try {
+          word = this._generateWord(generation);
+        } catch (error) {
+          if (generation.stopReason === undefined) throw error;
+
+          report.stopReason = generation.stopReason;
+          report.error = error;
+          break;
+        }
+        generation.uniqueWords.add(word);
+        report.generated++;
+        this._backoffStatistics = generation.concatenator.backoffStatistics;
+
+        yield this._getOutputOf(word, generation.concatenator.trace, generation.explain);
+      }
+    } finally {
+      // Also count, if the consumer stops taking words early. 
+      this._countRejectionsInto(generation);
+    }
+    return report;
+  }
+
+  /**
+   * Generates the given number of words, one at a time. 
+   * 
+   * Yields after every generated word, or oversampled candidate, an object with the number 
+   * of words generated so far, as `generated`, and the number of words to generate, as 
+   * `requested`. Returns the `GenerationResult`, once done. 
+   * @param {Number} howMany The number of words to generate. 
+   * @param {Object} options The options of `generate`. 
+   * @param {AbortSignal | undefined} signal Optional. A signal to stop the generation with. 
+   * @returns {Iterator<Object>}
+   * @throws {Error} See `generate`. 
+   * @generator 
+   * @private
+   */
+  *_generateStepwise(howMany, options, signal) {
+    const generation = this._startGeneration(howMany, options);
+    const report = generation.report;
+    const concatenator = generation.concatenator;
+
+    let words = [];
+    const traces = new Map(); // Map<String, Array<SequencePick>>
+
+    const candidateCount = (options.ranked === true) ? Math.ceil(howMany * generation.oversampling) : howMany;
+    for (let i = 0; i < candidateCount; i++) {
+      if (signal !== undefined && signal.aborted === true) {
+        const error = new Error("Generation was aborted!");
+        if (options.throwOnShortfall === true) throw error;
+
+        report.stopReason = STOP_REASONS.ABORTED;
+        report.error = error;
+        break;
+      }
+
+      let word = undefined;
+      try {
+        word = this._generateWord(generation);
+      } catch (error) {
+        // Only running out of words is a shortfall. Anything else is a real error. 
+        if (generation.stopReason === undefined) throw error;
+        // Oversampled candidates are optional, so running out of them is fine. 
+        if (i >= howMany) break;
+        if (options.throwOnShortfall === true) throw error;
+
+        report.stopReason = generation.stopReason;
+        report.error = error;
+        break;
+      }
+      words.push(word);
+      generation.uniqueWords.add(word);
+      if (generation.explain === true) {
+        traces.set(word, concatenator.trace);
+      }
+
+      yield { generated: words.length, requested: candidateCount };
+    }
+    this._backoffStatistics = concatenator.backoffStatistics;
+
+    if (options.ranked === true) {
+      words = this._rank(words, generation.probabilities).slice(0, howMany);
+    }
+    report.generated = words.length;
+    this._countRejectionsInto(generation);
+
+    return new GenerationResult({
+      words: words.map(word => this._getOutputOf(word, traces.get(word), generation.explain)),
+      report: report,
+    });
+  }
+
+  /**
+   * Validates the given options of `generate` and returns the state of a new generation. 
+   * @param {Number} howMany The number of words to generate. 
+   * @param {Object} options The options of `generate`. 
+   * @returns {Object} The state of the generation. See `_generateWord`. Additionally holds 
+   * the chain as `probabilities`, whether to `explain`, the `oversampling`, the `uniqueWords` 
+   * generated so far and the `rejectionStatistics`. 
+   * @throws {Error} See `generate`. 
+   * @private
+   */
+  _startGeneration(howMany, options) {
+    const oversampling = options.oversampling ?? 3;
+    if (options.ranked === true && (typeof oversampling !== "number" || (oversampling >= 1) !== true)) {
+      throw new Error("`options.oversampling` must be a number, greater or equal to 1!");
+    }
+    const tagStrength = options.tagStrength ?? 0.8;
+    if (typeof tagStrength !== "number" || (tagStrength > 0 && tagStrength < 1) !== true) {
+      throw new Error("`options.tagStrength` must be a number, greater than 0 and less than 1!");
+    }
+    const likeStrength = options.likeStrength ?? 0.5;
+    if (typeof likeStrength !== "number" || (likeStrength > 0 && likeStrength < 1) !== true) {
+      throw new Error("`options.likeStrength` must be a number, greater than 0 and less than 1!");
+    }
+
+    const constraints = GenerationConstraints.from(options.constraints);
+    let ending = options.endingWith;
+    if (ending === undefined && options.rhymesWith !== undefined) {
+      ending = getRhymeOf(options.rhymesWith);
+    }
+    const rhymeSource = (options.rhymesWith !== undefined) ? options.rhymesWith.toLowerCase() : undefined;
+    const explain = options.explain === true;
+
+    const reverse = this.reverse === true || ending !== undefined;
+    let sequenceProbabilities = this._getProbabilities(reverse, explain);
+    if (options.tags !== undefined) {
+      sequenceProbabilities = this._getTaggedProbabilitiesOf(sequenceProbabilities, {
+        tags: options.tags,
+        strength: tagStrength,
+        transitions: options.tagTransitions === true,
+        reverse: reverse,
+      });
+    }
+    if ((options.liked ?? []).length > 0 || (options.disliked ?? []).length > 0) {
+      if (this.sequencingStrategy === undefined) {
+        throw new Error("`options.liked` and `options.disliked` require a sequencing strategy!");
+      }
+      sequenceProbabilities = this._getRefinedProbabilitiesOf(sequenceProbabilities, {
+        liked: options.liked ?? [],
+        likeStrength: likeStrength,
+        disliked: options.disliked ?? [],
+        dislikeFactor: options.dislikeFactor,
+      });
+    }
 
     // The concatenator generates the new texts and needs the chain of 
     // probability-enriched sequences for that task. 
@@ -167,42 +770,534 @@ export default class WordGenerator {
       entropyStart: this.entropyStart,
       entropyMiddle: this.entropyMiddle,
       entropyEnd: this.entropyEnd,
+      temperature: this.temperature,
       seed: this._seed,
       endingPickMode: this.endingPickMode,
+      backoffSmoothing: this.backoffSmoothing,
+      lengthMode: this.lengthMode,
+      clampLength: this.clampLength,
+      explain: explain,
     });
 
-    // Generate words. 
-    const repetitionMaximum = 1000;
-    const words = [];
-    for (let i = 0; i < howMany; i++) {
-      let word = undefined;
+    const uniqueWords = new Set();
+    const noveltyIndex = this._getNoveltyIndex();
+    const rejectionStatistics = {
+      duplicates: 0,
+      sampleCopies: 0,
+      nearCopies: 0,
+    };
+    this._rejectionStatistics = rejectionStatistics;
+
+    const isRejected = (word) => {
+      const reason = this._getRejectionReasonOf(word, uniqueWords, noveltyIndex);
+      if (reason !== undefined) {
+        rejectionStatistics[reason]++;
+      }
+      return reason !== undefined;
+    };
+
+    return {
+      concatenator: sequenceConcatenator,
+      isRejected: isRejected,
+      constraints: constraints,
+      ending: ending,
+      rhymeSource: rhymeSource,
+      report: new GenerationReport({ requested: howMany }),
+      probabilities: sequenceProbabilities,
+      explain: explain,
+      oversampling: oversampling,
+      uniqueWords: uniqueWords,
+      rejectionStatistics: rejectionStatistics,
+    };
+  }
+
+  /**
+   * Copies the numbers of rejected candidates of the given generation into its report. 
+   * @param {Object} generation The state of the generation. 
+   * @private
+   */
+  _countRejectionsInto(generation) {
+    generation.report.duplicates = generation.rejectionStatistics.duplicates;
+    generation.report.sampleCopies = generation.rejectionStatistics.sampleCopies;
+    generation.report.nearCopies = generation.rejectionStatistics.nearCopies;
+  }
+
+  /**
+   * Returns the given generated word, with the spelling strategy applied, or its explanation. 
+   * @param {String} word The generated word. 
+   * @param {Array<SequencePick> | undefined} trace The picks that made up the word. 
+   * @param {Boolean} explain If true, the explanation of the word is returned. 
+   * @returns {String | WordExplanation}
+   * @private
+   */
+  _getOutputOf(word, trace, explain) {
+    const spelledWord = (this.spellingStrategy !== undefined) ? this.spellingStrategy.apply(word) : word;
+    return (explain === true) ? this._getExplanationOf(spelledWord, trace) : spelledWord;
+  }
+
+
+  /**
+   * Returns the explanation of the given word, with the samples of every pick resolved. 
+   * @param {String} word The generated word, after the spelling strategy. 
+   * @param {Array<SequencePick>} trace The picks that made up the word. 
+   * @returns {WordExplanation}
+   * @private
+   */
+  _getExplanationOf(word, trace) {
+    return new WordExplanation({
+      word: word,
+      picks: trace.map(pick => new SequencePick({
+        ...pick,
+        samples: (pick.sampleIndices !== undefined && this._samples !== undefined)
+          ? pick.sampleIndices.map(index => this._samples[index].text)
+          : undefined,
+      })),
+    });
+  }
+
+  /**
+   * Returns the score of the given word, which represents how plausible it is, under the chain 
+   * of probabilities of this generator. 
+   * 
+   * The word is cut into sequences by the sequencing strategy. Transitions unknown to the 
+   * chain are assumed to be very unlikely. 
+   * @param {String} word 
+   * @returns {WordScore} The score of the word, whose `logProbability` is the natural logarithm 
+   * of the word's probability and whose `score` is a per-sequence normalized score between 0 
+   * and 1, which can be compared between words of different lengths. 
+   * @throws {Error} Thrown, if there is no sequencing strategy. 
+   */
+  score(word) {
+    const scorer = new WordScorer({
+      probabilities: this._getProbabilities(),
+      sequencingStrategy: this.sequencingStrategy,
+    });
+    return scorer.score(word);
+  }
+
+  /**
+   * Returns an estimate of the number of distinct words this generator can produce within 
+   * its target lengths. 
+   * 
+   * Requesting more words than that is likely to yield fewer words than requested. Copies 
+   * of samples, which are rejected with `novelty`, are not subtracted. See 
+   * `SequenceProbabilities.estimateCapacity`. 
+   * @returns {Number}
+   */
+  estimateCapacity() {
+    return this._getProbabilities().estimateCapacity(this.targetLengthMin, this.targetLengthMax);
+  }
 
-      let attempt = 0;
-      do {
-        if (attempt >= repetitionMaximum) {
-          throw new Error("Maximum number of tries to produce unique word exceeded!");
+  /**
+   * Returns an iterator over every distinct word this generator can produce, most probable 
+   * first. 
+   * 
+   * Rather than sampling, the chain is searched exhaustively, from every starting sequence to 
+   * every valid ending. This suits small chains, whose capacity is low enough to list all of 
+   * their words. See `estimateCapacity`. The words are produced lazily, so that taking only the 
+   * first few of a large chain remains cheap. 
+   * 
+   * Unlike `generate`, copies of samples are not rejected and the constraints of `generate` 
+   * aren't applied. See `WordEnumerator`. 
+   * @param {Object | undefined} options Optional. 
+   * @param {Number | undefined} options.minLength Optional. The minimum length of the words. 
+   * Default `targetLengthMin`. 
+   * @param {Number | undefined} options.maxLength Optional. The maximum length of the words. 
+   * Default `targetLengthMax`. 
+   * @param {Number | undefined} options.limit Optional. The maximum number of words. Default unlimited. 
+   * @param {Number | undefined} options.minProbability Optional. The minimum probability of 
+   * the words, between 0 and 1. Default `0`. 
+   * @returns {Iterator<EnumeratedWord>} The words, with the spelling strategy applied. 
+   * @throws {Error} Thrown, if the lengths are not integers, greater or equal to 1. 
+   * @generator 
+   */
+  *enumerate(options = {}) {
+    const enumerator = new WordEnumerator({
+      probabilities: this._getProbabilities(),
+    });
+    const limit = options.limit ?? Infinity;
+    const spelledWords = new Set();
+    if (limit <= 0) return;
+
+    for (const enumerated of enumerator.enumerate({
+      minLength: options.minLength ?? this.targetLengthMin,
+      maxLength: options.maxLength ?? this.targetLengthMax,
+      minProbability: options.minProbability,
+    })) {
+      const word = (this.spellingStrategy !== undefined)
+        ? this.spellingStrategy.apply(enumerated.word)
+        : enumerated.word;
+      // The spelling strategy may spell different words the same. 
+      if (spelledWords.has(word)) continue;
+
+      spelledWords.add(word);
+      yield new EnumeratedWord({
+        word: word,
+        probability: enumerated.probability,
+      });
+      if (spelledWords.size >= limit) return;
+    }
+  }
+
+  /**
+   * Generates and returns variations of the given word, which still follow the style of 
+   * this generator. 
+   * 
+   * The word is cut into sequences by the sequencing strategy and one or more of its 
+   * sequences are resampled from the chain, while the others are kept. The variations 
+   * are ranked by their similarity to the given word, closest first. See `WordVariator`. 
+   * @param {String} word The word to vary. 
+   * @param {Number} count The number of variations to generate. Fewer are returned, if 
+   * the chain doesn't allow for more. 
+   * @param {Object | undefined} options Optional. 
+   * @param {Number | undefined} options.maxMutations Optional. The maximum number of 
+   * sequences resampled per variation. Default `2`. 
+   * @returns {Array<String>} The variations, with the spelling strategy applied. 
+   * @throws {Error} Thrown, if there is no sequencing strategy. 
+   * @throws {Error} Thrown, if the maximum number of mutations is not an integer, greater or equal to 1. 
+   */
+  generateVariations(word, count, options = {}) {
+    const variator = new WordVariator({
+      probabilities: this._getProbabilities(),
+      sequencingStrategy: this.sequencingStrategy,
+      maxMutations: options.maxMutations,
+      seed: this._seed,
+    });
+    const variations = variator.getVariationsOf(word, count).map(it => it.word);
+
+    if (this.spellingStrategy !== undefined) {
+      return variations.map(it => this.spellingStrategy.apply(it));
+    }
+    return variations;
+  }
+
+  /**
+   * Generates and returns a single word, which isn't rejected. 
+   * @param {Object} generation The state of the generation. 
+   * @param {SequenceConcatenator} generation.concatenator 
+   * @param {Function} generation.isRejected Returns true, if a given word must be rejected. 
+   * @param {GenerationConstraints | undefined} generation.constraints 
+   * @param {String | undefined} generation.ending The text the word must end with. 
+   * @param {String | undefined} generation.rhymeSource The word the word must rhyme with, 
+   * in lower case. 
+   * @param {GenerationReport} generation.report The report to count attempts and failures in. 
+   * Before an error is thrown, the reason is stored as `generation.stopReason`. 
+   * @returns {String}
+   * @throws {Error} Thrown, if generating a unique word takes too many tries. 
+   * @throws {Error} Thrown, if no further unique word exists, when searching for one. 
+   * @throws {Error} Thrown, if generating fails for any other reason than a word being rejected, 
+   * e. g. because of invalid settings. Then, `generation.stopReason` is left undefined. 
+   * @private
+   */
+  _generateWord(generation) {
+    const concatenator = generation.concatenator;
+    const report = generation.report;
+
+    if (generation.ending !== undefined || this.strict === true || generation.constraints !== undefined) {
+      report.attempts++;
+      try {
+        if (generation.ending !== undefined) {
+          return concatenator.generateEndingWith(
+            generation.ending,
+            this.targetLengthMin,
+            this.targetLengthMax,
+            { has: (word) => word.toLowerCase() === generation.rhymeSource || generation.isRejected(word) },
+            generation.constraints
+          );
+        }
+        return concatenator.generateStrict(
+          this.targetLengthMin,
+          this.targetLengthMax,
+          { has: generation.isRejected },
+          generation.constraints
+        );
+      } catch (error) {
+        if (error instanceof WordRejectedError) {
+          report.constraintFailures++;
+          generation.stopReason = (error instanceof SearchLimitError)
+            ? STOP_REASONS.SEARCH_LIMIT
+            : STOP_REASONS.EXHAUSTED;
         }
+        throw error;
+      }
+    }
 
-        try {
-          word = sequenceConcatenator.generate(this.targetLengthMin, this.targetLengthMax);
-        } catch (error) {
-          // Prevent crash and re-throw, if necessary. 
-          if (attempt + 1 >= repetitionMaximum) {
-            throw new Error("Maximum number of tries to produce unique word exceeded! Inner cause: " + error);
-          }
+    const repetitionMaximum = 1000;
+    let word = undefined;
+
+    let attempt = 0;
+    do {
+      if (attempt >= repetitionMaximum) {
+        generation.stopReason = STOP_REASONS.MAX_ATTEMPTS;
+        throw new Error("Maximum number of tries to produce unique word exceeded!");
+      }
+
+      word = undefined;
+      report.attempts++;
+      try {
+        word = concatenator.generate(this.targetLengthMin, this.targetLengthMax);
+      } catch (error) {
+        // Only a word outside the target lengths is retried. Anything else is a real error. 
+        if ((error instanceof WordRejectedError) !== true) throw error;
+
+        report.constraintFailures++;
+        // Prevent crash and re-throw, if necessary. 
+        if (attempt + 1 >= repetitionMaximum) {
+          generation.stopReason = STOP_REASONS.MAX_ATTEMPTS;
+          throw new Error("Maximum number of tries to produce unique word exceeded! Inner cause: " + error);
         }
-        
-        attempt++;
-      } while (word === undefined || words.find(it => { return it === word; }) !== undefined);
+      }
       
-      words.push(word);
+      attempt++;
+    } while (word === undefined || generation.isRejected(word) === true);
+
+    return word;
+  }
+
+  /**
+   * Returns the given words, ordered by their score, best first. 
+   * @param {Array<String>} words 
+   * @param {SequenceProbabilities} probabilities The chain of probabilities to score with. 
+   * @returns {Array<String>}
+   * @throws {Error} Thrown, if there is no sequencing strategy. 
+   * @private
+   */
+  _rank(words, probabilities) {
+    const scorer = new WordScorer({
+      probabilities: probabilities,
+      sequencingStrategy: this.sequencingStrategy,
+    });
+    return words
+      .map(it => scorer.score(it))
+      .sort((a, b) => b.score - a.score)
+      .map(it => it.word);
+  }
+
+  /**
+   * Returns an index of the samples, to look up near-copies in, if `novelty` is true. 
+   * 
+   * The samples are indexed in lower case. 
+   * @returns {BKTree | undefined}
+   * @private
+   */
+  _getNoveltyIndex() {
+    if (this.novelty !== true || this._samples === undefined) {
+      return undefined;
     }
-    
-    // Apply spelling strategy, if one is defined. 
-    if (this.spellingStrategy !== undefined) {
-      return words.map(it => { return this.spellingStrategy.apply(it); });
-    } else {
-      return words;
+    return new BKTree(this._samples.map(it => it.text.toLowerCase()));
+  }
+
+  /**
+   * Returns the reason why the given generated word must be rejected, if it must be. 
+   * @param {String} word A generated word. 
+   * @param {Set<String>} uniqueWords The words generated so far. 
+   * @param {BKTree | undefined} noveltyIndex An index of the samples, if `novelty` is true. 
+   * @returns {String | undefined} One of the keys of `rejectionStatistics`, or `undefined`, 
+   * if the word is acceptable. 
+   * @private
+   */
+  _getRejectionReasonOf(word, uniqueWords, noveltyIndex) {
+    if (uniqueWords.has(word) === true) {
+      return "duplicates";
+    }
+    if (noveltyIndex !== undefined) {
+      const lowerCaseWord = word.toLowerCase();
+      if (noveltyIndex.hasWithin(lowerCaseWord, 0) === true) {
+        return "sampleCopies";
+      } else if (noveltyIndex.hasWithin(lowerCaseWord, this.noveltyDistance) === true) {
+        return "nearCopies";
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * Returns the given chain of all samples, blended with the chain of the samples with 
+   * any of the given tags. See `SequenceProbabilityBlender`. 
+   * 
+   * Unless `tagging.transitions` is true, only the starts, endings and lengths are taken 
+   * from the blend. 
+   * @param {SequenceProbabilities} probabilities The chain of all samples. 
+   * @param {Object} tagging 
+   * @param {Array<String>} tagging.tags 
+   * @param {Number} tagging.strength The weight of the chain of the tagged samples. The chain 
+   * of all samples is weighted by the remainder to 1. 
+   * @param {Boolean} tagging.transitions If true, the transitions are blended, as well. 
+   * @param {Boolean} tagging.reverse If true, the reverse chain is built, as well. 
+   * @returns {SequenceProbabilities} The blended chain, or the given chain, if no sample 
+   * has any of the tags, or this generator was created with a model. 
+   * @private
+   */
+  _getTaggedProbabilitiesOf(probabilities, tagging) {
+    if (this._model !== undefined) return probabilities;
+
+    const taggedSamples = this._samples.filter(it => it.hasAnyOf(tagging.tags));
+    if (taggedSamples.length === 0) return probabilities;
+
+    const blended = new SequenceProbabilityBlender().blend([
+      { probabilities: this._buildProbabilitiesOf(taggedSamples, { reverse: tagging.reverse }), weight: tagging.strength },
+      { probabilities: probabilities, weight: 1 - tagging.strength },
+    ]);
+    if (tagging.transitions === true) return blended;
+
+    return new SequenceProbabilities({
+      ...probabilities,
+      starts: blended.starts,
+      endings: blended.endings,
+      lengths: blended.lengths,
+    });
+  }
+
+  /**
+   * Returns the given chain, blended with the chain of the liked words and with the 
+   * distinctive entries of the chain of the disliked words suppressed. 
+   * 
+   * The chains of the liked and disliked words are built with the structure of the given chain, 
+   * so that this works for a generator created with a model, as well, as long as it has a 
+   * sequencing strategy to cut the words into sequences. 
+   * @param {SequenceProbabilities} probabilities The chain to refine. 
+   * @param {Object} refinement 
+   * @param {Array<String>} refinement.liked The words to favour. 
+   * @param {Number} refinement.likeStrength The weight of the chain of the liked words. The 
+   * given chain is weighted by the remainder to 1. 
+   * @param {Array<String>} refinement.disliked The words to suppress. 
+   * @param {Number | undefined} refinement.dislikeFactor See `SequenceProbabilityBlender.suppress`. 
+   * @returns {SequenceProbabilities}
+   * @private
+   */
+  _getRefinedProbabilitiesOf(probabilities, refinement) {
+    const blender = new SequenceProbabilityBlender();
+    const buildArgs = {
+      order: probabilities.order,
+      backoff: probabilities.backoff,
+      endToken: probabilities.endToken,
+      positional: probabilities.positionalBranches !== undefined,
+      reverse: probabilities.reverseBranches !== undefined,
+    };
+    const toSamples = (words) => words.map(it => new WeightedSample({ text: it }));
+
+    let liked = undefined;
+    let refined = probabilities;
+    if (refinement.liked.length > 0) {
+      liked = this._buildProbabilitiesOf(toSamples(refinement.liked), buildArgs);
+      refined = blender.blend([
+        { probabilities: liked, weight: refinement.likeStrength },
+        { probabilities: probabilities, weight: 1 - refinement.likeStrength },
+      ]);
     }
+    if (refinement.disliked.length > 0) {
+      refined = blender.suppress(refined, {
+        suppressed: this._buildProbabilitiesOf(toSamples(refinement.disliked), buildArgs),
+        kept: liked,
+        factor: refinement.dislikeFactor,
+      });
+    }
+    return refined;
+  }
+
+  /**
+   * Returns the chain of probabilities to generate words with. 
+   * 
+   * If this generator was created with a model, returns that model. Otherwise, 
+   * builds and returns a new chain of probabilities from the sample set. 
+   * @param {Boolean | undefined} reverse Optional. If true, the reverse chain is built, as well. 
+   * Default `this.reverse`. 
+   * @param {Boolean | undefined} provenance Optional. If true, the indices of the samples are 
+   * recorded in the chain. Has no effect on a model. Default `false`. 
+   * @returns {SequenceProbabilities}
+   * @private
+   */
+  _getProbabilities(reverse = this.reverse, provenance = false) {
+    if (this._model !== undefined) {
+      return this._model;
+    }
+    return this._buildProbabilitiesOf(this._samples, { reverse: reverse, provenance: provenance });
+  }
+
+  /**
+   * Builds and returns a new chain of probabilities from the given samples. 
+   * 
+   * Unless given, the parameters of the chain are those of this generator. 
+   * @param {Array<WeightedSample>} samples The samples to build the chain of. 
+   * @param {Object | undefined} args Optional. 
+   * @param {Number | undefined} args.order Optional. Default `this.order`. 
+   * @param {Boolean | undefined} args.backoff Optional. Default `this.backoff`. 
+   * @param {Boolean | undefined} args.endToken Optional. Default true, if the ending pick mode 
+   * is `LEARNED`. 
+   * @param {Boolean | undefined} args.positional Optional. Default `this.positional`. 
+   * @param {Boolean | undefined} args.reverse Optional. Default `this.reverse`. 
+   * @param {Boolean | undefined} args.provenance Optional. Default `false`. 
+   * @returns {SequenceProbabilities}
+   * @private
+   */
+  _buildProbabilitiesOf(samples, args = {}) {
+    // Determine which sequences exist. Contains duplicate entries. 
+    const sequences = this.sequencingStrategy.getSequencesOfSet(samples.map(it => it.text));
+    
+    // Build the chain of probabilities of the sequences. 
+    const probabilityBuilder = new SequenceProbabilityBuilder({
+      order: args.order ?? this.order,
+      backoff: args.backoff ?? this.backoff,
+      endToken: args.endToken ?? (this.endingPickMode === ENDING_PICK_MODES.LEARNED),
+      positional: args.positional ?? this.positional,
+      reverse: args.reverse ?? this.reverse,
+      provenance: args.provenance ?? false,
+    });
+    return probabilityBuilder.build(sequences, samples.map(it => it.weight));
+  }
+}
+
+/**
+ * Explains how a generated word came to be. 
+ * @property {String} word The generated word. 
+ * @property {Array<SequencePick>} picks The picks of the sequences that make up the word, 
+ * in order. The `samples` of a pick are only defined, if the generator has a sample set. 
+ */
+export class WordExplanation {
+  constructor(args = {}) {
+    this.word = args.word;
+    this.picks = args.picks;
+  }
+}
+
+/**
+ * Represents the result of a generation. 
+ * @property {Array<String> | Array<WordExplanation>} words The generated words, or their 
+ * explanations. May be fewer than requested. See `report`. 
+ * @property {GenerationReport} report 
+ */
+export class GenerationResult {
+  constructor(args = {}) {
+    this.words = args.words;
+    this.report = args.report;
+  }
+}
+
+/**
+ * Represents the report of a generation. 
+ * @property {Number} requested The number of requested words. `Infinity` for `iterate`. 
+ * @property {Number} generated The number of generated words. 
+ * @property {Number} attempts The number of words that were attempted to be generated, 
+ * including oversampled candidates. 
+ * @property {Number} duplicates The number of candidates rejected, because they had already 
+ * been generated. 
+ * @property {Number} sampleCopies The number of candidates rejected, because they matched a sample. 
+ * @property {Number} nearCopies The number of candidates rejected, because they were too close to a sample. 
+ * @property {Number} constraintFailures The number of attempts which produced no word within the 
+ * target lengths, with a valid ending and satisfying the constraints. 
+ * @property {STOP_REASONS} stopReason Why the generation stopped. 
+ * @property {Error | undefined} error The error which stopped the generation early, if any. 
+ */
+export class GenerationReport {
+  constructor(args = {}) {
+    this.requested = args.requested ?? 0;
+    this.generated = args.generated ?? 0;
+    this.attempts = args.attempts ?? 0;
+    this.duplicates = args.duplicates ?? 0;
+    this.sampleCopies = args.sampleCopies ?? 0;
+    this.nearCopies = args.nearCopies ?? 0;
+    this.constraintFailures = args.constraintFailures ?? 0;
+    this.stopReason = args.stopReason ?? STOP_REASONS.COMPLETED;
+    this.error = args.error;
   }
 }
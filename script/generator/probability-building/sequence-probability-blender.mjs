@@ -0,0 +1,345 @@
+import { ProbableSequence } from "./sequence-probability-builder.mjs";
+import { ProbableSequenceBranch } from "./sequence-probability-builder.mjs";
+import { ProbableLength } from "./sequence-probability-builder.mjs";
+import { SequenceProbabilities } from "./sequence-probability-builder.mjs";
+
+/**
+ * Blends several chains of probabilities into one, by interpolating their probabilities 
+ * with the given weights. 
+ * 
+ * E. g. blending a chain `a` with a weight of `0.7` and a chain `b` with a weight of `0.3` 
+ * results in a chain, in which the probability of every following sequence of a context 
+ * is `0.7 * p_a + 0.3 * p_b`. If only one of the chains knows a context, its probabilities 
+ * are used as they are. 
+ * 
+ * The frequencies of a blended chain are weighted relative frequencies, rather than counts. 
+ * The indices of samples are not retained. 
+ * 
+ * A chain can also be reshaped, so that the transitions of another chain become less likely. 
+ * See `suppress`. 
+ */
+export default class SequenceProbabilityBlender {
+  /**
+   * Returns the blend of the given chains of probabilities. 
+   * @param {Array<Object>} sources The chains to blend. 
+   * @param {SequenceProbabilities} sources[].probabilities A chain of probabilities. 
+   * @param {Number} sources[].weight A number greater than 0. The weights are relative 
+   * to each other and needn't add up to 1. 
+   * @returns {SequenceProbabilities}
+   * @throws {Error} Thrown, if no chains are given, any weight is not greater than 0, or the 
+   * chains differ in their `order`, `backoff` or `endToken`. 
+   */
+  blend(sources) {
+    if (sources === undefined || sources.length === 0) {
+      throw new Error("At least one chain of probabilities must be given!");
+    }
+    for (const source of sources) {
+      if (typeof source.weight !== "number" || (source.weight > 0) !== true) {
+        throw new Error("The weight of every chain must be a number, greater than 0!");
+      }
+    }
+    const first = sources[0].probabilities;
+    for (const source of sources) {
+      const probabilities = source.probabilities;
+      if ((probabilities.order ?? 1) !== (first.order ?? 1)
+        || (probabilities.backoff === true) !== (first.backoff === true)
+        || (probabilities.endToken === true) !== (first.endToken === true)) {
+        throw new Error("Only chains with the same order, backoff and end token can be blended!");
+      }
+    }
+
+    return new SequenceProbabilities({
+      branches: this._blendBranches(sources, it => it.branches),
+      starts: this._blendSequences(sources, it => it.starts),
+      endings: this._blendSequences(sources, it => it.endings),
+      sequences: this._blendSequences(sources, it => it.sequences),
+      lengths: this._blendLengths(sources),
+      order: first.order,
+      backoff: first.backoff,
+      endToken: first.endToken,
+      positionalBranches: this._blendPositionalBranches(sources),
+      reverseBranches: this._blendBranches(sources, it => it.reverseBranches),
+    });
+  }
+
+  /**
+   * Returns a copy of the given chain, in which the starts, endings and transitions that are 
+   * known to the `suppressed` chain, but not to the `kept` chain, are less likely. 
+   * 
+   * The probability of every such entry is multiplied by the given factor, after which the 
+   * probabilities of its list are normalized again. The lengths and the global list of 
+   * sequences are retained as they are. 
+   * @param {SequenceProbabilities} probabilities The chain to reshape. 
+   * @param {Object} args 
+   * @param {SequenceProbabilities} args.suppressed The chain whose entries to suppress. 
+   * @param {SequenceProbabilities | undefined} args.kept Optional. The chain whose entries 
+   * must not be suppressed. 
+   * @param {Number | undefined} args.factor Optional. A number greater than 0 and less than 1, 
+   * by which the probabilities of suppressed entries are multiplied. Default `0.1`. 
+   * @returns {SequenceProbabilities}
+   * @throws {Error} Thrown, if the factor is not between 0 and 1 (exclusive). 
+   */
+  suppress(probabilities, args = {}) {
+    const factor = args.factor ?? 0.1;
+    if (typeof factor !== "number" || (factor > 0 && factor < 1) !== true) {
+      throw new Error("`args.factor` must be a number, greater than 0 and less than 1!");
+    }
+    const suppressed = args.suppressed;
+    const kept = args.kept;
+
+    let positionalBranches = probabilities.positionalBranches;
+    if (positionalBranches !== undefined && suppressed.positionalBranches !== undefined) {
+      positionalBranches = {};
+      for (const position in probabilities.positionalBranches) {
+        positionalBranches[position] = this._suppressBranches(
+          probabilities.positionalBranches[position],
+          suppressed.positionalBranches[position],
+          kept?.positionalBranches?.[position],
+          factor
+        );
+      }
+    }
+
+    return new SequenceProbabilities({
+      ...probabilities,
+      branches: this._suppressBranches(probabilities.branches, suppressed.branches, kept?.branches, factor),
+      starts: this._suppressSequences(probabilities.starts, suppressed.starts, kept?.starts, factor),
+      endings: this._suppressSequences(probabilities.endings, suppressed.endings, kept?.endings, factor),
+      positionalBranches: positionalBranches,
+      reverseBranches: this._suppressBranches(probabilities.reverseBranches, suppressed.reverseBranches, kept?.reverseBranches, factor),
+    });
+  }
+
+  /**
+   * Returns a copy of the given table of branches, in which the following sequences of every 
+   * context that are in the suppressed table, but not in the kept table, are less likely. 
+   * @param {Array<ProbableSequenceBranch> | undefined} branches The table to reshape. 
+   * @param {Array<ProbableSequenceBranch> | undefined} suppressedBranches 
+   * @param {Array<ProbableSequenceBranch> | undefined} keptBranches 
+   * @param {Number} factor 
+   * @returns {Array<ProbableSequenceBranch> | undefined}
+   * @private
+   */
+  _suppressBranches(branches, suppressedBranches, keptBranches, factor) {
+    if (branches === undefined || suppressedBranches === undefined) return branches;
+
+    const suppressedIndex = new Map(suppressedBranches.map(it => [it.sequenceChars, it.branches]));
+    const keptIndex = new Map((keptBranches ?? []).map(it => [it.sequenceChars, it.branches]));
+
+    return branches.map(branch => {
+      const suppressedSequences = suppressedIndex.get(branch.sequenceChars);
+      if (suppressedSequences === undefined) return branch;
+
+      return new ProbableSequenceBranch({
+        ...branch,
+        branches: this._suppressSequences(branch.branches, suppressedSequences, keptIndex.get(branch.sequenceChars), factor),
+      });
+    });
+  }
+
+  /**
+   * Returns a copy of the given list of probable sequences, in which the sequences that are 
+   * in the suppressed list, but not in the kept list, are less likely. 
+   * @param {Array<ProbableSequence> | undefined} sequences The list to reshape, with stacked 
+   * probabilities. 
+   * @param {Array<ProbableSequence> | undefined} suppressedSequences 
+   * @param {Array<ProbableSequence> | undefined} keptSequences 
+   * @param {Number} factor 
+   * @returns {Array<ProbableSequence> | undefined}
+   * @private
+   */
+  _suppressSequences(sequences, suppressedSequences, keptSequences, factor) {
+    if (sequences === undefined || suppressedSequences === undefined) return sequences;
+
+    const keptChars = new Set((keptSequences ?? []).map(it => it.sequenceChars));
+    const suppressedChars = new Set(suppressedSequences
+      .map(it => it.sequenceChars)
+      .filter(it => keptChars.has(it) !== true));
+    if (suppressedChars.size === 0) return sequences;
+
+    let previousProbability = 0;
+    return this._stack(sequences.map(sequence => {
+      const probability = sequence.probability - previousProbability;
+      previousProbability = sequence.probability;
+
+      return new ProbableSequence({
+        ...sequence,
+        probability: (suppressedChars.has(sequence.sequenceChars) === true) ? probability * factor : probability,
+      });
+    }));
+  }
+
+  /**
+   * Returns the blend of the tables of branches selected from the given chains. 
+   * 
+   * Only defined, if every chain has such a table. 
+   * @param {Array<Object>} sources The chains to blend. 
+   * @param {Function} getBranches Returns the table of branches of a given chain. 
+   * @returns {Array<ProbableSequenceBranch> | undefined}
+   * @private
+   */
+  _blendBranches(sources, getBranches) {
+    if (sources.some(it => getBranches(it.probabilities) === undefined)) return undefined;
+
+    const sourcesOfContexts = new Map(); // Map<String, Array<Object>>
+    for (const source of sources) {
+      for (const branch of getBranches(source.probabilities)) {
+        let sourcesOfContext = sourcesOfContexts.get(branch.sequenceChars);
+        if (sourcesOfContext === undefined) {
+          sourcesOfContext = [];
+          sourcesOfContexts.set(branch.sequenceChars, sourcesOfContext);
+        }
+        sourcesOfContext.push({ list: branch.branches, weight: source.weight });
+      }
+    }
+
+    const contextWeights = this._getWeightsOf(sources.map(source => ({
+      list: getBranches(source.probabilities),
+      weight: source.weight,
+    })));
+
+    const blended = Array.from(sourcesOfContexts.entries()).map(([contextKey, sourcesOfContext]) => {
+      const weight = contextWeights.get(contextKey);
+      return new ProbableSequenceBranch({
+        sequenceChars: contextKey,
+        branches: this._getStackedSequencesOf(this._getWeightsOf(sourcesOfContext)),
+        frequency: weight,
+        probability: weight,
+      });
+    });
+    return this._stack(blended);
+  }
+
+  /**
+   * Returns the blend of the tables of positional branches of the given chains. 
+   * 
+   * Only defined, if every chain has positional branches. 
+   * @param {Array<Object>} sources The chains to blend. 
+   * @returns {Object<TRANSITION_POSITIONS, Array<ProbableSequenceBranch>> | undefined}
+   * @private
+   */
+  _blendPositionalBranches(sources) {
+    if (sources.some(it => it.probabilities.positionalBranches === undefined)) return undefined;
+
+    const blended = {};
+    for (const position in sources[0].probabilities.positionalBranches) {
+      blended[position] = this._blendBranches(sources, it => it.positionalBranches[position] ?? []);
+    }
+    return blended;
+  }
+
+  /**
+   * Returns the blend of the lists of probable sequences selected from the given chains. 
+   * 
+   * Only defined, if every chain has such a list. 
+   * @param {Array<Object>} sources The chains to blend. 
+   * @param {Function} getSequences Returns the list of probable sequences of a given chain. 
+   * @returns {Array<ProbableSequence> | undefined}
+   * @private
+   */
+  _blendSequences(sources, getSequences) {
+    if (sources.some(it => getSequences(it.probabilities) === undefined)) return undefined;
+
+    return this._getStackedSequencesOf(this._getWeightsOf(sources.map(source => ({
+      list: getSequences(source.probabilities),
+      weight: source.weight,
+    }))));
+  }
+
+  /**
+   * Returns the blend of the lengths of the given chains. 
+   * 
+   * Only defined, if every chain has lengths. 
+   * @param {Array<Object>} sources The chains to blend. 
+   * @returns {Array<ProbableLength> | undefined}
+   * @private
+   */
+  _blendLengths(sources) {
+    if (sources.some(it => it.probabilities.lengths === undefined)) return undefined;
+
+    const weights = this._getWeightsOf(sources.map(source => ({
+      list: source.probabilities.lengths,
+      weight: source.weight,
+    })), it => it.length);
+
+    return this._stack(Array.from(weights.entries()).map(([length, weight]) => new ProbableLength({
+      length: length,
+      frequency: weight,
+      probability: weight,
+    })));
+  }
+
+  /**
+   * Returns the interpolated probability of every entry of the given lists. 
+   * 
+   * The probability of an entry is the weighted sum of its probabilities in the given lists, 
+   * divided by the sum of the weights of the lists. 
+   * @param {Array<Object>} weightedLists 
+   * @param {Array<ProbableSequence | ProbableSequenceBranch | ProbableLength>} weightedLists[].list 
+   * A list with stacked probabilities. 
+   * @param {Number} weightedLists[].weight 
+   * @param {Function | undefined} getKey Optional. Returns the key of a given entry. 
+   * Default `it => it.sequenceChars`. 
+   * @returns {Map<String | Number, Number>} The probabilities, in order of first occurrence. 
+   * @private
+   */
+  _getWeightsOf(weightedLists, getKey = it => it.sequenceChars) {
+    let totalWeight = 0;
+    for (const weightedList of weightedLists) {
+      totalWeight += weightedList.weight;
+    }
+
+    const weights = new Map();
+    for (const weightedList of weightedLists) {
+      let previousProbability = 0;
+      for (const entry of weightedList.list) {
+        const probability = entry.probability - previousProbability;
+        previousProbability = entry.probability;
+
+        const key = getKey(entry);
+        const weight = probability * weightedList.weight / totalWeight;
+        weights.set(key, (weights.get(key) ?? 0) + weight);
+      }
+    }
+    return weights;
+  }
+
+  /**
+   * Returns a list of probable sequences with stacked probabilities, based on the 
+   * given probabilities. 
+   * @param {Map<String, Number>} weights The probability of every sequence. 
+   * @returns {Array<ProbableSequence>}
+   * @private
+   */
+  _getStackedSequencesOf(weights) {
+    return this._stack(Array.from(weights.entries()).map(([sequenceChars, weight]) => new ProbableSequence({
+      sequenceChars: sequenceChars,
+      frequency: weight,
+      probability: weight,
+    })));
+  }
+
+  /**
+   * Normalizes and stacks the probabilities of the given entries, in place. 
+   * @param {Array<ProbableSequence | ProbableSequenceBranch | ProbableLength>} entries 
+   * @returns {Array<ProbableSequence | ProbableSequenceBranch | ProbableLength>} The given entries. 
+   * @private
+   */
+  _stack(entries) {
+    let totalProbability = 0;
+    for (const entry of entries) {
+      totalProbability += entry.probability;
+    }
+
+    let stackedProbability = 0;
+    for (const entry of entries) {
+      stackedProbability += (totalProbability > 0) ? entry.probability / totalProbability : 1 / entries.length;
+      entry.probability = stackedProbability;
+    }
+    if (entries.length > 0) {
+      // This pre-empts any floating-point inaccuracies.
+      entries[entries.length - 1].probability = 1.0;
+    }
+    return entries;
+  }
+}
@@ -1,81 +1,335 @@
+import { isInteger } from "../../util/validation.mjs";
+import Sequence from "../sequencing/sequence.mjs";
+
+/**
+ * Separates the chars of the sequences of a context, when they are joined into a single key. 
+ * 
+ * The "unit separator" control character is used, as it is very unlikely to appear in any sample. 
+ * @type {String}
+ * @constant
+ */
+export const CONTEXT_SEPARATOR = "\u001F";
+
+/**
+ * Represents the end of a word, as a following sequence in the chain. 
+ * 
+ * The "end of text" control character is used, as it is very unlikely to appear in any sample. 
+ * @type {String}
+ * @constant
+ */
+export const END_TOKEN = "\u0003";
+
+/**
+ * Represents the positions within a word, at which a transition from a context to a 
+ * following sequence can occur. 
+ * 
+ * A transition can be at more than one position. E. g. in a word of only two 
+ * sequences, the only transition is both at the start and at the end. 
+ * @constant
+ * @type {Object}
+ * @property {String} START A transition from the beginning sequence of a word. 
+ * @property {String} MIDDLE A transition that is neither at the start, nor at the end of a word. 
+ * @property {String} END A transition to the ending sequence of a word, or to the `END_TOKEN`. 
+ */
+export const TRANSITION_POSITIONS = {
+  START: "start",
+  MIDDLE: "middle",
+  END: "end",
+}
+
+/**
+ * Returns the key of a context, made up of the given chars of consecutive sequences. 
+ * 
+ * For a context of only one sequence, the key is identical to that sequence's chars. 
+ * @param {Array<String>} sequencesChars The chars of the sequences of the context, in order. 
+ * @returns {String}
+ */
+export function getContextKey(sequencesChars) {
+  return sequencesChars.join(CONTEXT_SEPARATOR);
+}
+
+/**
+ * Builds the chain of probabilities of a given list of sequences. 
+ * @property {Number} order The number of preceding sequences that make up the context 
+ * of a transition to a following sequence. Default `1`. 
+ * @property {Boolean} backoff If true, the transitions of every shorter context, down to a 
+ * context of a single sequence, are recorded as well. This allows falling back to a shorter 
+ * context, when a longer context has no known following sequences. Default `false`. 
+ * @property {Boolean} endToken If true, the end of a sample is recorded as a transition to the 
+ * `END_TOKEN`, wherever a sequence is flagged as `isEnding`. This allows learning how likely a 
+ * context is to end a word. Default `false`. 
+ * @property {Boolean} positional If true, a separate table of branches is built for every 
+ * one of the `TRANSITION_POSITIONS`, in addition to the table of all branches. Default `false`. 
+ * @property {Boolean} reverse If true, a reverse table of branches is built, in addition to 
+ * the table of all branches, which records the preceding sequences of every context, instead 
+ * of its following sequences. Default `false`. 
+ * @property {Boolean} provenance If true, every probable sequence records the indices of the 
+ * samples it was found in. Default `false`. 
+ */
 export default class SequenceProbabilityBuilder {
+  /**
+   * @param {Object} args Parameter object. 
+   * @param {Number | undefined} args.order Optional. The number of preceding sequences that make up 
+   * the context of a transition to a following sequence. Higher numbers result in results more 
+   * similar to the provided sample set, but also in less variety. Default `1`. 
+   * @param {Boolean | undefined} args.backoff Optional. If true, the transitions of every shorter 
+   * context, down to a context of a single sequence, are recorded as well. Default `false`. 
+   * @param {Boolean | undefined} args.endToken Optional. If true, the end of a sample is recorded as 
+   * a transition to the `END_TOKEN`. Only a concatenator using `ENDING_PICK_MODES.LEARNED` expects 
+   * the `END_TOKEN` in the chain. Default `false`. 
+   * @param {Boolean | undefined} args.positional Optional. If true, a separate table of branches is 
+   * built for every one of the `TRANSITION_POSITIONS`, so that a transition only seen at the end 
+   * of a word can be told apart from one seen at its start. Default `false`. 
+   * @param {Boolean | undefined} args.reverse Optional. If true, a reverse table of branches is built, 
+   * which records the preceding sequences of every context. This allows growing words backwards, 
+   * from their ending. Default `false`. 
+   * @param {Boolean | undefined} args.provenance Optional. If true, every probable sequence records 
+   * the indices of the samples it was found in, as `sampleIndices`. This allows telling which 
+   * samples contributed a transition, but makes the chain larger. Default `false`. 
+   * 
+   * @throws {Error} Thrown, if the order is less than 1 or no integer value. 
+   */
+  constructor(args = {}) {
+    this.order = args.order ?? 1;
+    this.backoff = args.backoff ?? false;
+    this.endToken = args.endToken ?? false;
+    this.positional = args.positional ?? false;
+    this.reverse = args.reverse ?? false;
+    this.provenance = args.provenance ?? false;
+
+    if (isInteger(this.order) !== true || parseInt(this.order) <= 0) {
+      throw new Error("`args.order` must be an integer, greater or equal to 1!");
+    }
+  }
+
   /**
    * Returns the probabilities of the given sequences. 
+   * 
+   * If weights are given, the frequencies of the transitions, starts, endings and lengths 
+   * of every sample are multiplied by the sample's weight. 
    * @param {Array<Array<Sequence>>} sequencesList 
+   * @param {Array<Number> | undefined} weights Optional. The weight of every sample, in the 
+   * order of the given list. Default `1` for every sample. 
    * @returns {SequenceProbabilities}
    */
-  build(sequencesList) {
-    const chainEntries = this._getAllChainsOfSet(sequencesList);
+  build(sequencesList, weights) {
+    const chainEntries = this._getAllChainsOfSet(sequencesList, undefined, weights);
     const branches = this._getBranchesOf(chainEntries);
     const probableBranches = this._getProbabilitiesOf(branches); 
+    const probableSequences = this._getProbableSequencesOfSet(sequencesList, weights);
+
+    let positionalBranches = undefined;
+    if (this.positional === true) {
+      positionalBranches = {};
+      for (const position of Object.values(TRANSITION_POSITIONS)) {
+        const chainEntriesAtPosition = this._getAllChainsOfSet(sequencesList, position, weights);
+        const branchesAtPosition = this._getBranchesOf(chainEntriesAtPosition);
+        positionalBranches[position] = this._getProbabilitiesOf(branchesAtPosition);
+      }
+    }
+
+    let reverseBranches = undefined;
+    if (this.reverse === true) {
+      const reversedChainEntries = this._getAllChainsOfSet(this._getReversedSet(sequencesList), undefined, weights);
+      reverseBranches = this._getProbabilitiesOf(this._getBranchesOf(reversedChainEntries));
+    }
 
-    const starts = [];
-    const endings = [];
+    const starts = new Map(); // Map<String, CountedSequence>
+    const endings = new Map(); // Map<String, CountedSequence>
+    const lengths = new Map(); // Map<Number, Number>
     let frequencyStarts = 0;
     let frequencyEndings = 0;
+    let frequencyLengths = 0;
 
-    for (const sequences of sequencesList) {
-      const startSequence = sequences[0];
-      const existingStart = starts.find(it => it.sequenceChars === startSequence.chars);
-      if (existingStart === undefined) {
-        const newStart = new CountedSequence({
-          sequenceChars: startSequence.chars,
-          frequency: 1,
-        });
-        starts.push(newStart);
-      } else {
-        existingStart.frequency++;
+    for (let sampleIndex = 0; sampleIndex < sequencesList.length; sampleIndex++) {
+      const sequences = sequencesList[sampleIndex];
+      const weight = this._getWeightOf(weights, sampleIndex);
+
+      let length = 0;
+      for (const sequence of sequences) {
+        length += sequence.chars.length;
       }
-      frequencyStarts++;
+      lengths.set(length, (lengths.get(length) ?? 0) + weight);
+      frequencyLengths += weight;
+
+      const startSequence = sequences[0];
+      this._tally(starts, startSequence.chars, weight, sampleIndex);
+      frequencyStarts += weight;
 
       const endingSequence = sequences[sequences.length - 1];
-      const existingEnd = endings.find(it => it.sequenceChars === endingSequence.chars);
-      if (existingEnd === undefined) {
-        const newEnd = new CountedSequence({
-          sequenceChars: endingSequence.chars,
-          frequency: 1,
-        });
-        endings.push(newEnd);
-      } else {
-        existingEnd.frequency++;
-      }
-      frequencyEndings++;
+      this._tally(endings, endingSequence.chars, weight, sampleIndex);
+      frequencyEndings += weight;
     }
 
-    const mappedStarts = starts.map(it => new ProbableSequence({
+    const mappedStarts = Array.from(starts.values()).map(it => new ProbableSequence({
       sequenceChars: it.sequenceChars,
       frequency: it.frequency,
       probability: it.frequency / frequencyStarts,
+      sampleIndices: it.sampleIndices,
     }));
     this._sortAndStack(mappedStarts);
 
-    const mappedEndings = endings.map(it => new ProbableSequence({
+    const mappedEndings = Array.from(endings.values()).map(it => new ProbableSequence({
       sequenceChars: it.sequenceChars,
       frequency: it.frequency,
       probability: it.frequency / frequencyEndings,
+      sampleIndices: it.sampleIndices,
     }));
     this._sortAndStack(mappedEndings);
 
+    const mappedLengths = Array.from(lengths.entries()).map(([length, frequency]) => new ProbableLength({
+      length: length,
+      frequency: frequency,
+      probability: frequency / frequencyLengths,
+    }));
+    this._sortAndStack(mappedLengths);
+
     const result = new SequenceProbabilities({
       branches: probableBranches,
       starts: mappedStarts,
       endings: mappedEndings,
+      sequences: probableSequences,
+      lengths: mappedLengths,
+      order: this.order,
+      backoff: this.backoff,
+      endToken: this.endToken,
+      positionalBranches: positionalBranches,
+      reverseBranches: reverseBranches,
     });
     return result;
   }
 
+  /**
+   * Returns the given sequences in reverse order, with the beginning and ending flags swapped. 
+   * 
+   * The chain of the reversed sequences is that of preceding sequences. A transition to 
+   * the `END_TOKEN` in that chain represents the beginning of a word. 
+   * @param {Array<Array<Sequence>>} sequencesList 
+   * @returns {Array<Array<Sequence>>}
+   * @private
+   */
+  _getReversedSet(sequencesList) {
+    return sequencesList.map(sequences => sequences.slice().reverse().map(it => new Sequence({
+      chars: it.chars,
+      isBeginning: it.isEnding,
+      isMiddle: it.isMiddle,
+      isEnding: it.isBeginning,
+    })));
+  }
+
+  /**
+   * Returns the weight of the sample with the given index. 
+   * @param {Array<Number> | undefined} weights The weight of every sample. 
+   * @param {Number} sampleIndex 
+   * @returns {Number} The weight, or `1`, if no weights are given. 
+   * @private
+   */
+  _getWeightOf(weights, sampleIndex) {
+    return (weights !== undefined) ? (weights[sampleIndex] ?? 1) : 1;
+  }
+
+  /**
+   * Returns every distinct sequence to be found in the given sequences, along with 
+   * its probability of occurring anywhere. 
+   * @param {Array<Array<Sequence>>} sequencesList 
+   * @param {Array<Number> | undefined} weights Optional. The weight of every sample. 
+   * @returns {Array<ProbableSequence>}
+   * @private
+   */
+  _getProbableSequencesOfSet(sequencesList, weights) {
+    const countedSequences = new Map(); // Map<String, CountedSequence>
+    let totalFrequency = 0;
+
+    for (let sampleIndex = 0; sampleIndex < sequencesList.length; sampleIndex++) {
+      const weight = this._getWeightOf(weights, sampleIndex);
+      for (const sequence of sequencesList[sampleIndex]) {
+        this._tally(countedSequences, sequence.chars, weight, sampleIndex);
+        totalFrequency += weight;
+      }
+    }
+
+    const probableSequences = Array.from(countedSequences.values()).map(it => new ProbableSequence({
+      sequenceChars: it.sequenceChars,
+      frequency: it.frequency,
+      probability: it.frequency / totalFrequency,
+      sampleIndices: it.sampleIndices,
+    }));
+    this._sortAndStack(probableSequences);
+
+    return probableSequences;
+  }
+
+  /**
+   * Adds the given frequency to the counted sequence with the given chars, in the given map. 
+   * 
+   * If the map doesn't contain a counted sequence with the given chars, yet, 
+   * a new one is added. As a `Map` preserves insertion order, its values are 
+   * in order of first occurrence. 
+   * 
+   * If `provenance` is true, the given sample index is recorded on the counted sequence. 
+   * @param {Map<String, CountedSequence>} countedSequences 
+   * @param {String} sequenceChars 
+   * @param {Number} frequency 
+   * @param {Number} sampleIndex The index of the sample the sequence was found in. 
+   * @private
+   */
+  _tally(countedSequences, sequenceChars, frequency, sampleIndex) {
+    let existing = countedSequences.get(sequenceChars);
+    if (existing === undefined) {
+      existing = new CountedSequence({
+        sequenceChars: sequenceChars,
+        frequency: frequency,
+        sampleIndices: (this.provenance === true) ? [] : undefined,
+      });
+      countedSequences.set(sequenceChars, existing);
+    } else {
+      existing.frequency += frequency;
+    }
+    if (existing.sampleIndices !== undefined) {
+      this._addSampleIndices(existing.sampleIndices, [sampleIndex]);
+    }
+  }
+
+  /**
+   * Adds the given sample indices to the given list of sample indices, unless they're 
+   * already contained. 
+   * 
+   * Samples are processed in order, so a contained index is always the last one. 
+   * @param {Array<Number>} sampleIndices 
+   * @param {Array<Number> | undefined} sampleIndicesToAdd 
+   * @private
+   */
+  _addSampleIndices(sampleIndices, sampleIndicesToAdd) {
+    if (sampleIndicesToAdd === undefined) return;
+
+    for (const sampleIndex of sampleIndicesToAdd) {
+      if (sampleIndices[sampleIndices.length - 1] !== sampleIndex) {
+        sampleIndices.push(sampleIndex);
+      }
+    }
+  }
+
   /**
    * Returns all chain entries to be found in the given sequences. 
    * @param {Array<Array<Sequence>>} sequencesList 
+   * @param {TRANSITION_POSITIONS | undefined} position Optional. If defined, only the chain 
+   * entries of transitions at this position are returned. 
+   * @param {Array<Number> | undefined} weights Optional. The weight of every sample. 
    * @returns {Array<SequenceChainEntry>}
    * @private
    */
-  _getAllChainsOfSet(sequencesList) {
+  _getAllChainsOfSet(sequencesList, position, weights) {
     const chainEntries = [];
+    const chainIndex = new ChainIndex();
 
-    for (const sequences of sequencesList) {
-      const chainEntriesOfSequences = this._getChainsOfSequences(sequences);
-      this._mergeChains(chainEntries, chainEntriesOfSequences);
+    for (let sampleIndex = 0; sampleIndex < sequencesList.length; sampleIndex++) {
+      const chainEntriesOfSequences = this._getChainsOfSequences(
+        sequencesList[sampleIndex],
+        position,
+        sampleIndex,
+        this._getWeightOf(weights, sampleIndex)
+      );
+      this._mergeChains(chainEntries, chainEntriesOfSequences, chainIndex);
     }
 
     return chainEntries;
@@ -83,33 +337,68 @@ export default class SequenceProbabilityBuilder {
 
   /**
    * Returns all chain entries to be found in the given sequences. 
+   * 
+   * The context of every chain entry consists of up to `order` sequences, which precede the 
+   * following sequence. At the beginning of a sample, the context is shorter, as fewer 
+   * sequences precede the following sequence. 
+   * 
+   * If `backoff` is true, a chain entry is returned for every shorter context, as well. 
+   * 
+   * If `endToken` is true, a chain entry to the `END_TOKEN` is returned for every 
+   * sequence flagged as `isEnding`, as well. 
+   * 
+   * If `provenance` is true, every chain entry records the given sample index. 
    * @param {Array<Sequence>} sequences 
+   * @param {TRANSITION_POSITIONS | undefined} position Optional. If defined, only the chain 
+   * entries of transitions at this position are returned. 
+   * @param {Number | undefined} sampleIndex Optional. The index of the sample the sequences 
+   * belong to. 
+   * @param {Number | undefined} weight Optional. The weight of the sample, by which every 
+   * occurrence of a transition is counted. Default `1`. 
    * @returns {Array<SequenceChainEntry>}
    * @private
    */
-  _getChainsOfSequences(sequences) {
+  _getChainsOfSequences(sequences, position, sampleIndex, weight = 1) {
     // Array<SequenceChainEntry>
     const chainEntries = [];
+    const chainIndex = new ChainIndex();
 
     for (let i = 0; i < sequences.length; i++) {
-      const sequence = sequences[i];
+      const followingSequences = [];
+      if ((i + 1) < sequences.length) {
+        followingSequences.push(sequences[i + 1]);
+      }
+      if (this.endToken === true && sequences[i].isEnding === true) {
+        followingSequences.push(new Sequence({ chars: END_TOKEN, isEnding: true }));
+      }
+      if (followingSequences.length === 0) continue;
 
-      const followingSequence = (i + 1) < sequences.length ? sequences[i + 1] : undefined;
-      if (followingSequence === undefined) continue;
+      const maxContextLength = Math.min(this.order, i + 1);
+      const minContextLength = this.backoff === true ? 1 : maxContextLength;
 
-      const existingEntry = chainEntries.find(it => 
-          it.sequenceChars === sequence.chars
-          && it.followingSequenceChars === followingSequence.chars);
+      for (const followingSequence of followingSequences) {
+        if (position !== undefined && this._isTransitionAt(position, sequences[i], followingSequence) !== true) continue;
 
-      if (existingEntry !== undefined) {
-        existingEntry.frequency++;
-      } else {
-        const newEntry = new SequenceChainEntry({
-          sequenceChars: sequence.chars,
-          followingSequenceChars: followingSequence.chars,
-          frequency: 1,
-        });
-        chainEntries.push(newEntry);
+        const followingSequenceChars = followingSequence.chars;
+        for (let contextLength = maxContextLength; contextLength >= minContextLength; contextLength--) {
+          const context = sequences.slice(i - contextLength + 1, i + 1);
+          const contextKey = getContextKey(context.map(it => it.chars));
+
+          const existingEntry = chainIndex.get(contextKey, followingSequenceChars);
+
+          if (existingEntry !== undefined) {
+            existingEntry.frequency += weight;
+          } else {
+            const newEntry = new SequenceChainEntry({
+              sequenceChars: contextKey,
+              followingSequenceChars: followingSequenceChars,
+              frequency: weight,
+              sampleIndices: (this.provenance === true) ? [sampleIndex] : undefined,
+            });
+            chainEntries.push(newEntry);
+            chainIndex.add(newEntry);
+          }
+        }
       }
     }
 
@@ -117,25 +406,51 @@ export default class SequenceProbabilityBuilder {
     return chainEntries;
   }
 
+  /**
+   * Returns true, if the transition from the given sequence to the given following 
+   * sequence is at the given position. 
+   * @param {TRANSITION_POSITIONS} position 
+   * @param {Sequence} sequence 
+   * @param {Sequence} followingSequence 
+   * @returns {Boolean}
+   * @private
+   */
+  _isTransitionAt(position, sequence, followingSequence) {
+    const isFromBeginning = sequence.isBeginning === true;
+    const isToEnding = followingSequence.isEnding === true;
+
+    if (position === TRANSITION_POSITIONS.START) {
+      return isFromBeginning;
+    } else if (position === TRANSITION_POSITIONS.END) {
+      return isToEnding;
+    } else {
+      return isFromBeginning !== true && isToEnding !== true;
+    }
+  }
+
   /**
    * The given chain `b` is added onto the given chain `a`. 
    * 
    * That means every entry of `b` will be added to `a`, or if an identical entry 
-   * already exists on `a`, its frequency will be incremented. 
+   * already exists on `a`, its frequency will be incremented by that of the entry of `b`. 
    * @param {Array<SequenceChainEntry>} a 
    * @param {Array<SequenceChainEntry>} b 
+   * @param {ChainIndex} indexOfA An index of the entries of `a`. Is kept up to date 
+   * with the entries added to `a`. 
    * @private
    */
-  _mergeChains(a, b) {
+  _mergeChains(a, b, indexOfA) {
     for (const entryOfB of b) {
-      const entryOfA = a.find(it => 
-        it.sequenceChars === entryOfB.sequenceChars 
-        && it.followingSequenceChars === entryOfB.followingSequenceChars);
+      const entryOfA = indexOfA.get(entryOfB.sequenceChars, entryOfB.followingSequenceChars);
 
       if (entryOfA !== undefined) {
-        entryOfA.frequency++;
+        entryOfA.frequency += entryOfB.frequency;
+        if (entryOfA.sampleIndices !== undefined) {
+          this._addSampleIndices(entryOfA.sampleIndices, entryOfB.sampleIndices);
+        }
       } else {
         a.push(entryOfB);
+        indexOfA.add(entryOfB);
       }
     }
   }
@@ -147,30 +462,39 @@ export default class SequenceProbabilityBuilder {
    * @private
    */
   _getBranchesOf(chainEntries) {
-    const branches = []; // Array<SequenceBranch>
+    const branches = new Map(); // Map<String, SequenceBranch>
+    const countedSequencesOfBranches = new Map(); // Map<String, Map<String, CountedSequence>>
 
     for (const chainEntry of chainEntries) {
-      const existingBranch = branches.find(it => it.sequenceChars === chainEntry.sequenceChars);
+      const existingBranch = branches.get(chainEntry.sequenceChars);
 
       if (existingBranch === undefined) {
         const newCountedSequence = new CountedSequence({
           sequenceChars: chainEntry.followingSequenceChars,
           frequency: chainEntry.frequency,
+          sampleIndices: chainEntry.sampleIndices,
         });
         const newBranch = new SequenceBranch({
           sequenceChars: chainEntry.sequenceChars,
           branches: [newCountedSequence],
           frequency: 1,
         });
-        branches.push(newBranch);
+        branches.set(chainEntry.sequenceChars, newBranch);
+        countedSequencesOfBranches.set(
+          chainEntry.sequenceChars,
+          new Map([[newCountedSequence.sequenceChars, newCountedSequence]])
+        );
       } else {
-        const existingCountedSequence = existingBranch.branches.find(it => it.sequenceChars === chainEntry.followingSequenceChars);
+        const countedSequences = countedSequencesOfBranches.get(chainEntry.sequenceChars);
+        const existingCountedSequence = countedSequences.get(chainEntry.followingSequenceChars);
         if (existingCountedSequence === undefined) {
           const newCountedSequence = new CountedSequence({
             sequenceChars: chainEntry.followingSequenceChars,
             frequency: chainEntry.frequency,
+            sampleIndices: chainEntry.sampleIndices,
           });
           existingBranch.branches.push(newCountedSequence);
+          countedSequences.set(newCountedSequence.sequenceChars, newCountedSequence);
         } else {
           // Logically, this else-branch shouldn't be reachable. 
           // But in case it *is* reachable, tallying up the 
@@ -182,7 +506,7 @@ export default class SequenceProbabilityBuilder {
       }
     }
 
-    return branches;
+    return Array.from(branches.values());
   }
 
   /**
@@ -249,6 +573,7 @@ export default class SequenceProbabilityBuilder {
         sequenceChars: countedSequence.sequenceChars,
         frequency: countedSequence.frequency,
         probability: countedSequence.frequency / totalFrequency,
+        sampleIndices: countedSequence.sampleIndices,
       });
       probableSequences.push(newProbableSequence);
     }
@@ -260,7 +585,7 @@ export default class SequenceProbabilityBuilder {
 
   /**
    * 
-   * @param {Array<ProbableSequenceBranch> | Array<ProbableSequence>} arr 
+   * @param {Array<ProbableSequenceBranch> | Array<ProbableSequence> | Array<ProbableLength>} arr 
    */
   _sortAndStack(arrayOfProbabilities) {
     // Order by absolute probability. 
@@ -282,15 +607,57 @@ export default class SequenceProbabilityBuilder {
 }
 
 /**
- * @property {String} sequenceChars
+ * Provides look-up of chain entries by their context and following sequence, 
+ * in constant time. 
+ * @private
+ */
+class ChainIndex {
+  /**
+   * @type {Map<String, Map<String, SequenceChainEntry>>}
+   * @private
+   */
+  _entries = new Map();
+
+  /**
+   * Returns the chain entry with the given context and following sequence, if there is one. 
+   * @param {String} sequenceChars The key of the context. 
+   * @param {String} followingSequenceChars 
+   * @returns {SequenceChainEntry | undefined}
+   */
+  get(sequenceChars, followingSequenceChars) {
+    const entriesOfContext = this._entries.get(sequenceChars);
+    if (entriesOfContext === undefined) return undefined;
+
+    return entriesOfContext.get(followingSequenceChars);
+  }
+
+  /**
+   * Adds the given chain entry to the index. 
+   * @param {SequenceChainEntry} chainEntry 
+   */
+  add(chainEntry) {
+    let entriesOfContext = this._entries.get(chainEntry.sequenceChars);
+    if (entriesOfContext === undefined) {
+      entriesOfContext = new Map();
+      this._entries.set(chainEntry.sequenceChars, entriesOfContext);
+    }
+    entriesOfContext.set(chainEntry.followingSequenceChars, chainEntry);
+  }
+}
+
+/**
+ * @property {String} sequenceChars The key of the context. See `getContextKey`. 
  * @property {String} followingSequenceChars
  * @property {Number} frequency
+ * @property {Array<Number> | undefined} sampleIndices The indices of the samples the 
+ * transition was found in. Only defined, if built with `provenance`. 
  */
 export class SequenceChainEntry {
   constructor(args = {}) {
     this.sequenceChars = args.sequenceChars;
     this.followingSequenceChars = args.followingSequenceChars;
     this.frequency = args.frequency;
+    this.sampleIndices = args.sampleIndices;
   }
 }
 
@@ -310,16 +677,19 @@ export class SequenceBranch {
 /**
  * @property {String} sequenceChars
  * @property {Number} frequency
+ * @property {Array<Number> | undefined} sampleIndices The indices of the samples the 
+ * sequence was found in. Only defined, if built with `provenance`. 
  */
 export class CountedSequence {
   constructor(args = {}) {
     this.sequenceChars = args.sequenceChars;
     this.frequency = args.frequency;
+    this.sampleIndices = args.sampleIndices;
   }
 }
 
 /**
- * @property {String} sequenceChars
+ * @property {String} sequenceChars The key of the context. See `getContextKey`. 
  * @property {Array<ProbableSequence>} branches
  * @property {Number} frequency
  * @property {Number} probability
@@ -331,31 +701,331 @@ export class ProbableSequenceBranch {
     this.frequency = args.frequency;
     this.probability = args.probability;
   }
+
+  static fromObject(obj) {
+    if (obj === undefined) return undefined;
+
+    return new ProbableSequenceBranch({
+      sequenceChars: obj.sequenceChars,
+      branches: obj.branches.map(it => ProbableSequence.fromObject(it)),
+      frequency: obj.frequency,
+      probability: obj.probability,
+    });
+  }
+
+  toObject() {
+    return {
+      sequenceChars: this.sequenceChars,
+      branches: this.branches.map(it => it.toObject()),
+      frequency: this.frequency,
+      probability: this.probability,
+    };
+  }
 }
 
 /**
  * @property {String} sequenceChars
  * @property {Number} frequency
  * @property {Number} probability
+ * @property {Array<Number> | undefined} sampleIndices The indices of the samples the 
+ * sequence, or the transition to it, was found in. Only defined, if built with `provenance`. 
  */
 export class ProbableSequence {
   constructor(args = {}) {
     this.sequenceChars = args.sequenceChars;
     this.frequency = args.frequency;
     this.probability = args.probability;
+    this.sampleIndices = args.sampleIndices;
+  }
+
+  static fromObject(obj) {
+    if (obj === undefined) return undefined;
+
+    return new ProbableSequence({
+      sequenceChars: obj.sequenceChars,
+      frequency: obj.frequency,
+      probability: obj.probability,
+      sampleIndices: obj.sampleIndices,
+    });
+  }
+
+  toObject() {
+    return {
+      sequenceChars: this.sequenceChars,
+      frequency: this.frequency,
+      probability: this.probability,
+      sampleIndices: this.sampleIndices,
+    };
   }
 }
 
 /**
+ * Represents the length of samples, in characters, along with how often it occurs. 
+ * @property {Number} length
+ * @property {Number} frequency
+ * @property {Number} probability
+ */
+export class ProbableLength {
+  constructor(args = {}) {
+    this.length = args.length;
+    this.frequency = args.frequency;
+    this.probability = args.probability;
+  }
+
+  static fromObject(obj) {
+    if (obj === undefined) return undefined;
+
+    return new ProbableLength({
+      length: obj.length,
+      frequency: obj.frequency,
+      probability: obj.probability,
+    });
+  }
+
+  toObject() {
+    return {
+      length: this.length,
+      frequency: this.frequency,
+      probability: this.probability,
+    };
+  }
+}
+
+/**
+ * Represents a built chain of probabilities, also referred to as the "model". 
+ * 
+ * Can be converted to and from a plain, versioned object via `toObject` and `fromObject`, 
+ * which can be stored as JSON, in order to not have to build the chain again. 
  * @property {Array<ProbableSequenceBranch>} branches
  * @property {Array<ProbableSequence>} starts
  * @property {Array<ProbableSequence>} endings
+ * @property {Array<ProbableSequence> | undefined} sequences Every distinct sequence, 
+ * regardless of its position. 
+ * @property {Array<ProbableLength> | undefined} lengths The lengths of the samples, 
+ * in characters. 
+ * @property {Number} order The number of preceding sequences that make up the context 
+ * of a branch. Default `1`. 
+ * @property {Boolean} backoff If true, the branches of every shorter context, down to a 
+ * context of a single sequence, are included as well. Default `false`. 
+ * @property {Boolean} endToken If true, the branches include transitions to the `END_TOKEN`, 
+ * which represents the end of a word. Default `false`. 
+ * @property {Object<TRANSITION_POSITIONS, Array<ProbableSequenceBranch>> | undefined} positionalBranches 
+ * A separate table of branches for every one of the `TRANSITION_POSITIONS`. Only defined, if 
+ * the probabilities were built with `positional`. 
+ * @property {Array<ProbableSequenceBranch> | undefined} reverseBranches The branches of the 
+ * reverse chain, whose contexts are keyed in reverse order and which lead to preceding 
+ * sequences. With `endToken`, a transition to the `END_TOKEN` represents the beginning of 
+ * a word. Only defined, if the probabilities were built with `reverse`. 
  */
 export class SequenceProbabilities {
   constructor(args = {}) {
     this.branches = args.branches;
     this.starts = args.starts;
     this.endings = args.endings;
+    this.sequences = args.sequences;
+    this.lengths = args.lengths;
+    this.order = args.order ?? 1;
+    this.backoff = args.backoff ?? false;
+    this.endToken = args.endToken ?? false;
+    this.positionalBranches = args.positionalBranches;
+    this.reverseBranches = args.reverseBranches;
+  }
+
+  /**
+   * The version of the object format returned by `toObject`. 
+   * 
+   * Must be incremented, whenever the format changes in a way that older versions 
+   * can no longer read. 
+   * @type {Number}
+   * @static
+   * @readonly
+   */
+  static MODEL_VERSION = 1;
+
+  /**
+   * Returns a new instance, based on the given object, which is expected to be 
+   * in the format returned by `toObject`. 
+   * @param {Object | String | undefined} obj The object to convert. Can also be its JSON string. 
+   * @returns {SequenceProbabilities | undefined}
+   * @throws {Error} Thrown, if the given object has no or an unsupported version. 
+   * @static
+   */
+  static fromObject(obj) {
+    if (obj === undefined) return undefined;
+
+    if (typeof obj === "string") {
+      obj = JSON.parse(obj);
+    }
+
+    if (isInteger(obj.version) !== true || parseInt(obj.version) > SequenceProbabilities.MODEL_VERSION) {
+      throw new Error(`Unsupported model version '${obj.version}'! Supported up to version '${SequenceProbabilities.MODEL_VERSION}'.`);
+    }
+
+    return new SequenceProbabilities({
+      branches: obj.branches.map(it => ProbableSequenceBranch.fromObject(it)),
+      starts: obj.starts.map(it => ProbableSequence.fromObject(it)),
+      endings: obj.endings.map(it => ProbableSequence.fromObject(it)),
+      sequences: (obj.sequences !== undefined) ? obj.sequences.map(it => ProbableSequence.fromObject(it)) : undefined,
+      lengths: (obj.lengths !== undefined) ? obj.lengths.map(it => ProbableLength.fromObject(it)) : undefined,
+      order: obj.order,
+      backoff: obj.backoff,
+      endToken: obj.endToken,
+      positionalBranches: SequenceProbabilities._mapPositionalBranches(
+        obj.positionalBranches,
+        it => ProbableSequenceBranch.fromObject(it)
+      ),
+      reverseBranches: (obj.reverseBranches !== undefined) ? obj.reverseBranches.map(it => ProbableSequenceBranch.fromObject(it)) : undefined,
+    });
+  }
+
+  /**
+   * Returns a plain, versioned object representation of this instance, which can be 
+   * stored as JSON. 
+   * @returns {Object}
+   */
+  toObject() {
+    return {
+      version: SequenceProbabilities.MODEL_VERSION,
+
+      order: this.order,
+      backoff: this.backoff,
+      endToken: this.endToken,
+
+      starts: this.starts.map(it => it.toObject()),
+      endings: this.endings.map(it => it.toObject()),
+      sequences: (this.sequences !== undefined) ? this.sequences.map(it => it.toObject()) : undefined,
+      lengths: (this.lengths !== undefined) ? this.lengths.map(it => it.toObject()) : undefined,
+      branches: this.branches.map(it => it.toObject()),
+      positionalBranches: SequenceProbabilities._mapPositionalBranches(
+        this.positionalBranches,
+        it => it.toObject()
+      ),
+      reverseBranches: (this.reverseBranches !== undefined) ? this.reverseBranches.map(it => it.toObject()) : undefined,
+    };
+  }
+
+  /**
+   * Returns an estimate of the number of distinct words this chain can produce, whose 
+   * lengths are within the given bounds. 
+   * 
+   * Counts the paths through the chain by dynamic programming over the context of the 
+   * last `order` sequences and the length so far. A path begins with a starting sequence, 
+   * follows the branches of the longest context that has any following sequences and ends 
+   * on a valid ending, i. e. on an ending sequence or, with `endToken`, on a context that 
+   * may be followed by the `END_TOKEN`. These are the words a search over the chain can 
+   * find. See `SequenceConcatenator.generateStrict`. 
+   * 
+   * As different paths can spell the same word, e. g. "a" + "bc" and "ab" + "c", the 
+   * estimate is an upper bound. With sequences of a single character, it is exact. 
+   * @param {Number} minLength The minimum length of the words, in characters. 
+   * @param {Number} maxLength The maximum length of the words, in characters. 
+   * @returns {Number}
+   * @throws {Error} Thrown, if the bounds are not integers, greater or equal to 1. 
+   */
+  estimateCapacity(minLength, maxLength) {
+    if (isInteger(minLength) !== true || parseInt(minLength) < 1) {
+      throw new Error("minLength must be an integer >= 1");
+    }
+    if (isInteger(maxLength) !== true || parseInt(maxLength) < 1) {
+      throw new Error("maxLength must be an integer >= 1");
+    }
+
+    const estimation = {
+      minLength: minLength,
+      maxLength: maxLength,
+      branchIndex: new Map(this.branches.map(it => [it.sequenceChars, it.branches])),
+      endingIndex: new Set(this.endings.map(it => it.sequenceChars)),
+      counts: new Map(),
+    };
+
+    let capacity = 0;
+    for (const start of this.starts) {
+      if (start.sequenceChars.length > maxLength) continue;
+      capacity += this._countWordsFrom([start.sequenceChars], start.sequenceChars.length, estimation);
+    }
+    return capacity;
+  }
+
+  /**
+   * Returns the number of words that begin with the given sequences. See `estimateCapacity`. 
+   * 
+   * The count only depends on the context of the last `order` sequences and the length, 
+   * so it is cached by both. 
+   * @param {Array<String>} sequences The chars of the sequences so far. 
+   * @param {Number} length The length of the sequences so far, in characters. 
+   * @param {Object} estimation The bounds and state of the estimation. 
+   * @returns {Number}
+   * @private
+   */
+  _countWordsFrom(sequences, length, estimation) {
+    const context = sequences.slice(Math.max(0, sequences.length - this.order));
+    const countKey = `${getContextKey(context)}${CONTEXT_SEPARATOR}${length}`;
+    const cached = estimation.counts.get(countKey);
+    if (cached !== undefined) return cached;
+
+    const followingSequences = this._getFollowingCharsOf(context, estimation.branchIndex);
+
+    let count = 0;
+    if (length >= estimation.minLength) {
+      const isValidEnd = (this.endToken === true)
+        ? followingSequences.includes(END_TOKEN)
+        : estimation.endingIndex.has(context[context.length - 1]);
+      if (isValidEnd === true) {
+        count++;
+      }
+    }
+    for (const followingSequence of followingSequences) {
+      if (followingSequence === END_TOKEN) continue;
+
+      const followingLength = length + followingSequence.length;
+      if (followingLength > estimation.maxLength) continue;
+
+      count += this._countWordsFrom(context.concat([followingSequence]), followingLength, estimation);
+    }
+
+    estimation.counts.set(countKey, count);
+    return count;
+  }
+
+  /**
+   * Returns the chars of the sequences that can follow the given context, of the longest 
+   * part of the context that has any. 
+   * 
+   * Unless the chain was built with `backoff`, only the whole context is considered. 
+   * @param {Array<String>} context The chars of the sequences of the context. 
+   * @param {Map<String, Array<ProbableSequence>>} branchIndex The following sequences of 
+   * every context, by its key. 
+   * @returns {Array<String>}
+   * @private
+   */
+  _getFollowingCharsOf(context, branchIndex) {
+    const minContextLength = (this.backoff === true) ? 1 : context.length;
+
+    for (let contextLength = context.length; contextLength >= minContextLength; contextLength--) {
+      const followingSequences = branchIndex.get(getContextKey(context.slice(context.length - contextLength)));
+      if (followingSequences !== undefined && followingSequences.length > 0) {
+        return followingSequences.map(it => it.sequenceChars);
+      }
+    }
+    return [];
+  }
+
+  /**
+   * Returns a new object of positional branches, with every branch mapped by the given function. 
+   * @param {Object<TRANSITION_POSITIONS, Array<Object>> | undefined} positionalBranches 
+   * @param {Function} mapper 
+   * @returns {Object<TRANSITION_POSITIONS, Array<Object>> | undefined}
+   * @private
+   * @static
+   */
+  static _mapPositionalBranches(positionalBranches, mapper) {
+    if (positionalBranches === undefined) return undefined;
+
+    const mapped = {};
+    for (const position in positionalBranches) {
+      mapped[position] = positionalBranches[position].map(mapper);
+    }
+    return mapped;
   }
 }
 
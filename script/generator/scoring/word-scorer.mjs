@@ -0,0 +1,180 @@
+import { getContextKey } from "../probability-building/sequence-probability-builder.mjs";
+import { END_TOKEN } from "../probability-building/sequence-probability-builder.mjs";
+
+/**
+ * Scores how likely a given word is, under a built chain of probabilities. 
+ * 
+ * The log-probability of a word is the sum of the natural logarithms of the probability 
+ * of its starting sequence and of the probability of every following sequence, given 
+ * its context. If the chain was built with `endToken`, the probability of the word ending 
+ * after its last sequence is included, as well. 
+ * 
+ * As longer words always have lower probabilities, the normalized score should be 
+ * used to compare words of different lengths. 
+ * @property {SequenceProbabilities} probabilities The chain of probabilities to score with. 
+ * @property {AbstractSequencingStrategy} sequencingStrategy The sequencing strategy which 
+ * cuts words into sequences. Should be the one the chain was built with. 
+ * @property {Number} unseenProbability The probability assumed for a sequence that is 
+ * unknown in its context. Default `0.0001`. 
+ */
+export default class WordScorer {
+  /**
+   * Every list of probable sequences scored against so far, mapped to the probabilities 
+   * of its sequences, by their chars. 
+   * @type {Map<Array<ProbableSequence>, Map<String, Number>>}
+   * @private
+   */
+  _probabilityIndices = new Map();
+
+  /**
+   * Branches of the probabilities, indexed by the key of their context. 
+   * 
+   * Is created upon first use. 
+   * @type {Map<String, ProbableSequenceBranch> | undefined}
+   * @private
+   */
+  _branchIndex = undefined;
+
+  /**
+   * @param {Object} args Parameter object. 
+   * @param {SequenceProbabilities} args.probabilities The chain of probabilities to score with. 
+   * @param {AbstractSequencingStrategy} args.sequencingStrategy The sequencing strategy which 
+   * cuts words into sequences. 
+   * @param {Number | undefined} args.unseenProbability Optional. The probability assumed for 
+   * a sequence that is unknown in its context. Default `0.0001`. 
+   * 
+   * @throws {Error} Thrown, if the probabilities or the sequencing strategy are undefined. 
+   */
+  constructor(args = {}) {
+    if (args.probabilities === undefined) {
+      throw new Error("`args.probabilities` must not be undefined!");
+    }
+    if (args.sequencingStrategy === undefined) {
+      throw new Error("`args.sequencingStrategy` must not be undefined!");
+    }
+
+    this.probabilities = args.probabilities;
+    this.sequencingStrategy = args.sequencingStrategy;
+    this.unseenProbability = args.unseenProbability ?? 0.0001;
+  }
+
+  /**
+   * Returns the score of the given word. 
+   * @param {String} word 
+   * @returns {WordScore}
+   */
+  score(word) {
+    const sequences = this.sequencingStrategy.getSequencesOfSample(word).map(it => it.chars);
+    if (sequences.length === 0) {
+      return new WordScore({
+        word: word,
+        logProbability: -Infinity,
+        sequenceCount: 0,
+      });
+    }
+
+    const startProbability = this._getProbabilityIn(this.probabilities.starts, sequences[0]);
+    let logProbability = Math.log(startProbability ?? this.unseenProbability);
+    let transitionCount = 1;
+
+    for (let i = 1; i < sequences.length; i++) {
+      logProbability += Math.log(this._getFollowingProbabilityOf(sequences.slice(0, i), sequences[i]));
+      transitionCount++;
+    }
+
+    if (this.probabilities.endToken === true) {
+      logProbability += Math.log(this._getFollowingProbabilityOf(sequences, END_TOKEN));
+      transitionCount++;
+    }
+
+    return new WordScore({
+      word: word,
+      logProbability: logProbability,
+      sequenceCount: transitionCount,
+    });
+  }
+
+  /**
+   * Returns the probability of the given sequence following the given sequences. 
+   * 
+   * The context of up to the last `order` sequences is used. If the chain was built with 
+   * `backoff` and the sequence is unknown in that context, shorter contexts are tried. 
+   * @param {Array<String>} sequences The chars of the preceding sequences. 
+   * @param {String} followingSequence The chars of the following sequence. 
+   * @returns {Number}
+   * @private
+   */
+  _getFollowingProbabilityOf(sequences, followingSequence) {
+    const maxContextLength = Math.min(this.probabilities.order ?? 1, sequences.length);
+    const minContextLength = this.probabilities.backoff === true ? 1 : maxContextLength;
+
+    for (let contextLength = maxContextLength; contextLength >= minContextLength; contextLength--) {
+      const contextKey = getContextKey(sequences.slice(sequences.length - contextLength));
+      const branch = this._getBranchOf(contextKey);
+      if (branch === undefined) continue;
+
+      const probability = this._getProbabilityIn(branch.branches, followingSequence);
+      if (probability !== undefined) {
+        return probability;
+      }
+    }
+    return this.unseenProbability;
+  }
+
+  /**
+   * Returns the probability of the sequence with the given chars, in the given list of 
+   * probable sequences. 
+   * @param {Array<ProbableSequence>} probableSequences A list of probable sequences, 
+   * with stacked probabilities. 
+   * @param {String} sequenceChars 
+   * @returns {Number | undefined} The probability, or `undefined`, if the list doesn't contain the sequence. 
+   * @private
+   */
+  _getProbabilityIn(probableSequences, sequenceChars) {
+    let probabilityIndex = this._probabilityIndices.get(probableSequences);
+    if (probabilityIndex === undefined) {
+      probabilityIndex = new Map();
+      let previousProbability = 0;
+      for (const probableSequence of probableSequences) {
+        probabilityIndex.set(probableSequence.sequenceChars, probableSequence.probability - previousProbability);
+        previousProbability = probableSequence.probability;
+      }
+      this._probabilityIndices.set(probableSequences, probabilityIndex);
+    }
+
+    return probabilityIndex.get(sequenceChars);
+  }
+
+  /**
+   * Returns the branch of the context with the given key, if there is one. 
+   * @param {String} contextKey The key of a context. 
+   * @returns {ProbableSequenceBranch | undefined}
+   * @private
+   */
+  _getBranchOf(contextKey) {
+    if (this._branchIndex === undefined) {
+      this._branchIndex = new Map();
+      for (const branch of this.probabilities.branches) {
+        this._branchIndex.set(branch.sequenceChars, branch);
+      }
+    }
+    return this._branchIndex.get(contextKey);
+  }
+}
+
+/**
+ * Represents the score of a word. 
+ * @property {String} word The scored word. 
+ * @property {Number} logProbability The natural logarithm of the probability of the word. 
+ * @property {Number} sequenceCount The number of probabilities the log-probability is made up of. 
+ * @property {Number} score The geometric mean of the probabilities the log-probability is made up 
+ * of. A number between 0 and 1 (inclusive), which can be compared between words of different lengths. 
+ */
+export class WordScore {
+  constructor(args = {}) {
+    this.word = args.word;
+    this.logProbability = args.logProbability;
+    this.sequenceCount = args.sequenceCount;
+    this.score = (this.sequenceCount > 0) ? Math.exp(this.logProbability / this.sequenceCount) : 0;
+  }
+}
@@ -68,7 +68,7 @@ export default class CharDepthSequencingStrategy extends AbstractSequencingStrat
         chars = chars.toLowerCase();
       }
 
-      const hasFollowingChar = (i + 1) < sample.length;
+      const hasFollowingChar = (i + this.depth) < sample.length;
 
       const currentSequence = new Sequence({
         chars: chars,
@@ -0,0 +1,279 @@
+import RandomSeeded from "../../util/random-seed.mjs";
+import { getLevenshteinDistance } from "../../util/levenshtein.mjs";
+import { isInteger } from "../../util/validation.mjs";
+import { getContextKey } from "../probability-building/sequence-probability-builder.mjs";
+import { END_TOKEN } from "../probability-building/sequence-probability-builder.mjs";
+import WordScorer from "../scoring/word-scorer.mjs";
+
+/**
+ * Produces variations of a given word, which still follow a built chain of probabilities. 
+ * 
+ * The word is cut into sequences by the sequencing strategy. Then, one or more of its 
+ * sequences are resampled from the chain, given the sequences preceding them, while the 
+ * other sequences are kept. Sequences which lead into the kept following sequence are 
+ * preferred, so that the variation remains plausible as a whole. 
+ * 
+ * The variations are ranked by their Levenshtein distance to the original word, closest 
+ * first, and by their score, best first. 
+ * @property {SequenceProbabilities} probabilities The chain of probabilities to resample from. 
+ * @property {AbstractSequencingStrategy} sequencingStrategy The sequencing strategy which 
+ * cuts words into sequences. Should be the one the chain was built with. 
+ * @property {Number} maxMutations The maximum number of sequences resampled per variation. 
+ * Default `2`. 
+ * @property {Number} oversampling The factor by which more variations are produced than 
+ * requested, so that the closest can be returned. Default `3`. 
+ * @property {String} seed A randomization seed. 
+ */
+export default class WordVariator {
+  /**
+   * The seeded random number generator. 
+   * @type {RandomSeeded}
+   * @private
+   */
+  _rng = undefined;
+
+  /**
+   * Branches of the probabilities, indexed by the key of their context. 
+   * 
+   * Is created upon first use. 
+   * @type {Map<String, ProbableSequenceBranch> | undefined}
+   * @private
+   */
+  _branchIndex = undefined;
+
+  /**
+   * @param {Object} args Parameter object. 
+   * @param {SequenceProbabilities} args.probabilities The chain of probabilities to resample from. 
+   * @param {AbstractSequencingStrategy} args.sequencingStrategy The sequencing strategy which 
+   * cuts words into sequences. 
+   * @param {Number | undefined} args.maxMutations Optional. The maximum number of sequences 
+   * resampled per variation. Default `2`. 
+   * @param {Number | undefined} args.oversampling Optional. The factor by which more variations 
+   * are produced than requested. Default `3`. 
+   * @param {String | undefined} args.seed Optional. A randomization seed. 
+   * 
+   * @throws {Error} Thrown, if the probabilities or the sequencing strategy are undefined. 
+   * @throws {Error} Thrown, if the maximum number of mutations is not an integer, greater or equal to 1. 
+   * @throws {Error} Thrown, if the oversampling is less than 1. 
+   */
+  constructor(args = {}) {
+    if (args.probabilities === undefined) {
+      throw new Error("`args.probabilities` must not be undefined!");
+    }
+    if (args.sequencingStrategy === undefined) {
+      throw new Error("`args.sequencingStrategy` must not be undefined!");
+    }
+    const maxMutations = args.maxMutations ?? 2;
+    if (isInteger(maxMutations) !== true || maxMutations < 1) {
+      throw new Error("`args.maxMutations` must be an integer, greater or equal to 1!");
+    }
+    const oversampling = args.oversampling ?? 3;
+    if (typeof oversampling !== "number" || (oversampling >= 1) !== true) {
+      throw new Error("`args.oversampling` must be a number, greater or equal to 1!");
+    }
+
+    this.probabilities = args.probabilities;
+    this.sequencingStrategy = args.sequencingStrategy;
+    this.maxMutations = maxMutations;
+    this.oversampling = oversampling;
+    this.seed = args.seed ?? Math.random();
+    this._rng = new RandomSeeded(args.seed);
+  }
+
+  /**
+   * Returns up to the given number of variations of the given word, closest first. 
+   * 
+   * Fewer variations are returned, if the chain doesn't allow for more. The word itself 
+   * is never returned. 
+   * @param {String} word The word to vary. 
+   * @param {Number} count The number of variations to return. 
+   * @returns {Array<WordVariation>}
+   */
+  getVariationsOf(word, count) {
+    const original = this.sequencingStrategy.getSequencesOfSample(word).map(it => it.chars);
+    if (original.length === 0 || count <= 0) return [];
+
+    const originalWord = original.join("");
+    const candidateCount = Math.ceil(count * this.oversampling);
+    const maxAttempts = candidateCount * 10;
+    const candidates = new Set();
+
+    for (let attempt = 0; attempt < maxAttempts && candidates.size < candidateCount; attempt++) {
+      const variation = this._mutate(original).join("");
+      if (variation !== originalWord) {
+        candidates.add(variation);
+      }
+    }
+
+    const scorer = new WordScorer({
+      probabilities: this.probabilities,
+      sequencingStrategy: this.sequencingStrategy,
+    });
+    return Array.from(candidates)
+      .map(it => new WordVariation({
+        word: it,
+        distance: getLevenshteinDistance(originalWord, it),
+        score: scorer.score(it).score,
+      }))
+      .sort((a, b) => (a.distance - b.distance) || (b.score - a.score))
+      .slice(0, count);
+  }
+
+  /**
+   * Returns a copy of the given sequences, with between 1 and `maxMutations` of them 
+   * resampled from the chain. 
+   * @param {Array<String>} sequences The chars of the sequences of the word. 
+   * @returns {Array<String>}
+   * @private
+   */
+  _mutate(sequences) {
+    const mutated = sequences.slice();
+    const mutationCount = 1 + Math.floor(this._rng.generate() * Math.min(this.maxMutations, sequences.length));
+
+    // Pick distinct positions, by shuffling all positions.
+    const positions = sequences.map((_, index) => ({ index: index, key: this._rng.generate() }))
+      .sort((a, b) => a.key - b.key)
+      .slice(0, mutationCount)
+      .map(it => it.index)
+      .sort((a, b) => a - b);
+
+    for (const position of positions) {
+      const picked = this._pickReplacementOf(mutated, position);
+      if (picked !== undefined) {
+        mutated[position] = picked;
+      }
+    }
+    return mutated;
+  }
+
+  /**
+   * Picks and returns the chars of a sequence to replace the sequence at the given 
+   * position with. 
+   * 
+   * Candidates are the starting sequences at the first position and the sequences that 
+   * follow the preceding sequences, otherwise. Of those, the candidates which can be 
+   * followed by the next sequence, or which may end a word at the last position, are 
+   * preferred. 
+   * @param {Array<String>} sequences The chars of the sequences of the word. 
+   * @param {Number} position The index of the sequence to replace. 
+   * @returns {String | undefined} The chars of the replacement, or `undefined`, if there 
+   * is no candidate other than the current sequence. 
+   * @private
+   */
+  _pickReplacementOf(sequences, position) {
+    const current = sequences[position];
+    const all = ((position === 0)
+      ? this._getWeightsOf(this.probabilities.starts)
+      : this._getFollowingWeightsOf(sequences.slice(0, position))
+    ).filter(it => it.sequenceChars !== current && it.sequenceChars !== END_TOKEN);
+    if (all.length === 0) return undefined;
+
+    const fitting = all.filter(it => {
+      const preceding = sequences.slice(0, position).concat([it.sequenceChars]);
+      if (position === sequences.length - 1) {
+        return this._mayEndAfter(preceding);
+      }
+      const following = this._getFollowingWeightsOf(preceding);
+      return following.some(it => it.sequenceChars === sequences[position + 1]);
+    });
+    const candidates = (fitting.length > 0) ? fitting : all;
+
+    const totalWeight = candidates.reduce((sum, it) => sum + it.weight, 0);
+    let rnd = this._rng.generate() * totalWeight;
+    for (const candidate of candidates) {
+      rnd -= candidate.weight;
+      if (rnd <= 0) return candidate.sequenceChars;
+    }
+    return candidates[candidates.length - 1].sequenceChars;
+  }
+
+  /**
+   * Returns true, if a word may end after the given sequences. 
+   * @param {Array<String>} sequences The chars of the sequences of the word. 
+   * @returns {Boolean}
+   * @private
+   */
+  _mayEndAfter(sequences) {
+    if (this.probabilities.endToken === true) {
+      return this._getFollowingWeightsOf(sequences).some(it => it.sequenceChars === END_TOKEN);
+    }
+    const last = sequences[sequences.length - 1];
+    return this.probabilities.endings.some(it => it.sequenceChars === last);
+  }
+
+  /**
+   * Returns the sequences that can follow the given sequences, with their weights, 
+   * of the longest context that has any. 
+   * 
+   * Unless the chain was built with `backoff`, only the context of up to the last 
+   * `order` sequences is considered. 
+   * @param {Array<String>} sequences The chars of the preceding sequences. 
+   * @returns {Array<Object>} Each with `sequenceChars` and `weight`. 
+   * @private
+   */
+  _getFollowingWeightsOf(sequences) {
+    const maxContextLength = Math.min(this.probabilities.order ?? 1, sequences.length);
+    const minContextLength = this.probabilities.backoff === true ? 1 : maxContextLength;
+
+    for (let contextLength = maxContextLength; contextLength >= minContextLength; contextLength--) {
+      const contextKey = getContextKey(sequences.slice(sequences.length - contextLength));
+      const branch = this._getBranchOf(contextKey);
+      if (branch !== undefined && branch.branches.length > 0) {
+        return this._getWeightsOf(branch.branches);
+      }
+    }
+    return [];
+  }
+
+  /**
+   * Returns the given probable sequences, with their un-stacked probabilities as weights. 
+   * @param {Array<ProbableSequence>} probableSequences A list of probable sequences, 
+   * with stacked probabilities. 
+   * @returns {Array<Object>} Each with `sequenceChars` and `weight`. 
+   * @private
+   */
+  _getWeightsOf(probableSequences) {
+    let previousProbability = 0;
+    return probableSequences.map(it => {
+      const weight = it.probability - previousProbability;
+      previousProbability = it.probability;
+      return { sequenceChars: it.sequenceChars, weight: weight };
+    });
+  }
+
+  /**
+   * Returns the branch of the context with the given key, if there is one. 
+   * @param {String} contextKey The key of a context. 
+   * @returns {ProbableSequenceBranch | undefined}
+   * @private
+   */
+  _getBranchOf(contextKey) {
+    if (this._branchIndex === undefined) {
+      this._branchIndex = new Map();
+      for (const branch of this.probabilities.branches) {
+        this._branchIndex.set(branch.sequenceChars, branch);
+      }
+    }
+    return this._branchIndex.get(contextKey);
+  }
+}
+
+/**
+ * Represents a variation of a word. 
+ * @property {String} word The variation, before any spelling strategy is applied. 
+ * @property {Number} distance The Levenshtein distance to the original word. 
+ * @property {Number} score The per-sequence normalized score of the variation. See `WordScore`. 
+ */
+export class WordVariation {
+  /**
+   * @param {Object} args Parameter object. 
+   * @param {String} args.word The variation. 
+   * @param {Number} args.distance The Levenshtein distance to the original word. 
+   * @param {Number} args.score The per-sequence normalized score of the variation. 
+   */
+  constructor(args = {}) {
+    this.word = args.word;
+    this.distance = args.distance;
+    this.score = args.score;
+  }
+}
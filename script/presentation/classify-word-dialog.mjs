@@ -0,0 +1,77 @@
+import ClassifyWordUseCase from "../use_case/classify-word-use-case.mjs";
+import { TEMPLATES } from "./templates.mjs";
+
+/**
+ * A dialog, in which the user can enter a word and see which of their generators 
+ * would most likely have produced it. 
+ * 
+ * @example
+ * ```
+ * new ClassifyWordDialog().show();
+ * ```
+ */
+export default class ClassifyWordDialog {
+  /**
+   * Renders and shows the dialog. 
+   * @async
+   */
+  async show() {
+    const renderedContent = await renderTemplate(TEMPLATES.CLASSIFY_WORD_DIALOG, {});
+
+    const thiz = this;
+
+    const dialog = new Dialog({
+      title: game.i18n.localize("wg.classify.title"),
+      content: renderedContent,
+      buttons: {
+        close: {
+          icon: '<i class="fas fa-times"></i>',
+          label: game.i18n.localize("wg.application.close"),
+          callback: () => { }
+        }
+      },
+      default: "close",
+      render: html => {
+        html.find("#classify-word-submit").click(() => {
+          thiz._classify(html);
+        });
+        html.find("#classify-word-input").keydown(event => {
+          if (event.key !== "Enter") return;
+          event.preventDefault();
+          thiz._classify(html);
+        });
+      },
+    });
+    dialog.render(true);
+  }
+
+  /**
+   * Classifies the entered word and renders the ranked generators. 
+   * @param {JQuery} html 
+   * @private
+   * @async
+   */
+  async _classify(html) {
+    const word = html.find("#classify-word-input").val().trim();
+    if (word.length === 0) return;
+
+    let classifications;
+    try {
+      classifications = new ClassifyWordUseCase().invoke({
+        userId: game.userId,
+        word: word,
+      });
+    } catch (error) {
+      ui.notifications.error(game.i18n.format("wg.classify.error", { message: error.message }));
+      return;
+    }
+
+    const renderedResults = await renderTemplate(TEMPLATES.CLASSIFY_WORD_RESULTS, {
+      classifications: classifications.map(it => ({
+        name: it.generatorSettings.name ?? it.generatorSettings.id,
+        score: `${(it.score * 100).toFixed(1)}%`,
+      })),
+    });
+    html.find("#classify-word-results").html(renderedResults);
+  }
+}
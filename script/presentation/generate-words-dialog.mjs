@@ -0,0 +1,254 @@
+import AddSamplesUseCase from "../use_case/add-samples-use-case.mjs";
+import EstimateCapacityUseCase from "../use_case/estimate-capacity-use-case.mjs";
+import GenerateWordsAsyncUseCase from "../use_case/generate-words-async-use-case.mjs";
+import { TEMPLATES } from "./templates.mjs";
+
+/**
+ * A dialog, which shows words generated with a generator. 
+ * 
+ * The user can star the words they like and thumbs-down those they don't, to generate 
+ * more words like the starred ones and fewer like the thumbed-down ones. The starred 
+ * words can be added to the generator's sample set. 
+ * 
+ * While words are generated, a progress bar and a button to cancel the generation are shown. 
+ * 
+ * @example 
+ * ```
+ * new GenerateWordsDialog({ generatorId: "abc" }).show(); 
+ * ```
+ */
+export default class GenerateWordsDialog {
+  /**
+   * The words of the current round, which are neither starred nor thumbed-down. 
+   * @type {Array<String>}
+   * @private
+   */
+  _words = [];
+
+  /**
+   * The report of the current round. 
+   * @type {GenerationReport | undefined}
+   * @private
+   */
+  _report = undefined;
+
+  /**
+   * The estimated number of distinct words the generator can produce. 
+   * @type {Number | undefined}
+   * @private
+   */
+  _capacity = undefined;
+
+  /**
+   * The starred words of all rounds. 
+   * @type {Set<String>}
+   * @private
+   */
+  _liked = new Set();
+
+  /**
+   * The thumbed-down words of all rounds. 
+   * @type {Set<String>}
+   * @private
+   */
+  _disliked = new Set();
+
+  /**
+   * The controller to cancel the current generation with, while there is one. 
+   * @type {AbortController | undefined}
+   * @private
+   */
+  _abortController = undefined;
+
+  /**
+   * @param {Object} args 
+   * @param {String} args.generatorId The id of the generator to generate words with. 
+   * @param {Boolean | undefined} args.canAddSamples Optional. If true, the starred words 
+   * can be added to the generator's sample set. Default `true`. 
+   * @param {Number | undefined} args.count Optional. The initial number of words per round. Default `10`. 
+   */
+  constructor(args = {}) {
+    this.generatorId = args.generatorId;
+    this.canAddSamples = args.canAddSamples ?? true;
+    this.count = args.count ?? 10;
+  }
+
+  /**
+   * Renders and shows the dialog. 
+   * @async
+   */
+  async show() {
+    this._capacity = new EstimateCapacityUseCase().invoke({
+      userId: game.userId,
+      id: this.generatorId,
+    });
+
+    const renderedContent = await renderTemplate(TEMPLATES.GENERATE_WORDS_DIALOG, {
+      canAddSamples: this.canAddSamples,
+      count: this.count,
+    });
+
+    const thiz = this;
+
+    const dialog = new Dialog({
+      title: game.i18n.localize("wg.refine.title"),
+      content: renderedContent,
+      buttons: {
+        close: {
+          icon: '<i class="fas fa-times"></i>',
+          label: game.i18n.localize("wg.application.close"),
+          callback: () => { }
+        }
+      },
+      default: "close",
+      close: () => {
+        thiz._abortController?.abort();
+      },
+      render: html => {
+        html.find("#generate-words-more").click(() => {
+          thiz._generate(html);
+        });
+        html.find("#generate-words-add-samples").click(() => {
+          thiz._addSamples(html);
+        });
+        html.find("#generate-words-cancel").click(() => {
+          thiz._abortController?.abort();
+        });
+        thiz._generate(html);
+      },
+    });
+    dialog.render(true);
+  }
+
+  /**
+   * Generates a new round of words, like the starred words and unlike the thumbed-down words. 
+   * 
+   * Shows the progress of the generation, until it is done or cancelled. If the generator 
+   * can't be created, e. g. because its sample set is empty, the error is shown as a 
+   * notification, along with no words. 
+   * @param {JQuery} html 
+   * @private
+   * @async
+   */
+  async _generate(html) {
+    if (this._abortController !== undefined) return;
+
+    const count = parseInt(html.find("#generate-words-count").val());
+    this.count = (count > 0) ? count : this.count;
+
+    const progress = html.find("#generate-words-progress");
+    const progressBar = html.find("#generate-words-progress-bar");
+    const moreButton = html.find("#generate-words-more");
+    progressBar.attr("value", 0);
+    progress.prop("hidden", false);
+    moreButton.prop("disabled", true);
+
+    this._abortController = new AbortController();
+    let result = undefined;
+    try {
+      result = await new GenerateWordsAsyncUseCase().invoke({
+        userId: game.userId,
+        id: this.generatorId,
+        count: this.count,
+        liked: Array.from(this._liked),
+        disliked: Array.from(this._disliked),
+        signal: this._abortController.signal,
+        onProgress: (generated, requested) => {
+          progressBar.attr("value", generated / requested);
+        },
+      });
+    } catch (error) {
+      ui.notifications.error(game.i18n.format("wg.refine.error", { message: error.message }));
+    } finally {
+      this._abortController = undefined;
+      progress.prop("hidden", true);
+      moreButton.prop("disabled", false);
+    }
+    this._report = result?.report;
+    this._words = (result?.words ?? []).filter(it => this._liked.has(it) !== true && this._disliked.has(it) !== true);
+
+    await this._renderResults(html);
+  }
+
+  /**
+   * Adds the starred words to the generator's sample set, with the entered weight. 
+   * @param {JQuery} html 
+   * @private
+   */
+  _addSamples(html) {
+    if (this._liked.size === 0) return;
+
+    const weight = parseFloat(html.find("#generate-words-weight").val());
+    new AddSamplesUseCase().invoke({
+      userId: game.userId,
+      id: this.generatorId,
+      words: Array.from(this._liked),
+      weight: (weight > 0) ? weight : 1,
+    });
+    this._liked.clear();
+    this._renderResults(html);
+  }
+
+  /**
+   * Toggles the given word between starred and neither, or between thumbed-down and neither. 
+   * 
+   * A word can't be both starred and thumbed-down. 
+   * @param {String} word 
+   * @param {Set<String>} set The set to toggle the word in. 
+   * @param {Set<String>} otherSet The set to remove the word from. 
+   * @private
+   */
+  _toggle(word, set, otherSet) {
+    if (set.has(word)) {
+      set.delete(word);
+    } else {
+      set.add(word);
+      otherSet.delete(word);
+    }
+  }
+
+  /**
+   * Renders the starred words, followed by the words of the current round. 
+   * 
+   * If the current round produced fewer words than requested, says so and why. Warns, if 
+   * more words are requested than the generator can likely produce. 
+   * @param {JQuery} html 
+   * @private
+   * @async
+   */
+  async _renderResults(html) {
+    const words = Array.from(this._liked).concat(this._words.filter(it => this._liked.has(it) !== true));
+    const renderedResults = await renderTemplate(TEMPLATES.GENERATE_WORDS_RESULTS, {
+      words: words.map(it => ({
+        word: it,
+        liked: this._liked.has(it),
+        disliked: this._disliked.has(it),
+      })),
+      shortfall: (this._report !== undefined && this._report.generated < this._report.requested)
+        ? game.i18n.format("wg.refine.shortfall", {
+          generated: this._report.generated,
+          requested: this._report.requested,
+          reason: game.i18n.localize(`wg.refine.stopReason.${this._report.stopReason}`),
+        })
+        : undefined,
+      capacityWarning: (this._capacity !== undefined && this.count > this._capacity)
+        ? game.i18n.format("wg.refine.capacityWarning", {
+          capacity: this._capacity,
+          requested: this.count,
+        })
+        : undefined,
+    });
+    const results = html.find("#generate-words-results");
+    results.html(renderedResults);
+
+    const thiz = this;
+    results.find("[data-action='like']").click(event => {
+      thiz._toggle(event.currentTarget.dataset.word, thiz._liked, thiz._disliked);
+      thiz._renderResults(html);
+    });
+    results.find("[data-action='dislike']").click(event => {
+      thiz._toggle(event.currentTarget.dataset.word, thiz._disliked, thiz._liked);
+      thiz._renderResults(html);
+    });
+  }
+}
@@ -3,6 +3,12 @@ export const TEMPLATES = {
   WORD_GENERATOR_LIST_ITEM: "modules/word-generator/template/word-generator-list-item.hbs",
   LIST_DIALOG: "modules/word-generator/template/dialog-plain.hbs",
   MOVE_CONTROLS: "modules/word-generator/template/move-controls.hbs",
+  CLASSIFY_WORD_DIALOG: "modules/word-generator/template/classify-word-dialog.hbs",
+  CLASSIFY_WORD_RESULTS: "modules/word-generator/template/classify-word-results.hbs",
+  VARY_WORD_DIALOG: "modules/word-generator/template/vary-word-dialog.hbs",
+  VARY_WORD_RESULTS: "modules/word-generator/template/vary-word-results.hbs",
+  GENERATE_WORDS_DIALOG: "modules/word-generator/template/generate-words-dialog.hbs",
+  GENERATE_WORDS_RESULTS: "modules/word-generator/template/generate-words-results.hbs",
 };
 
 /**
@@ -0,0 +1,83 @@
+import GenerateVariationsUseCase from "../use_case/generate-variations-use-case.mjs";
+import { TEMPLATES } from "./templates.mjs";
+
+/**
+ * A dialog, in which the user can enter a word and see variations of it, which 
+ * follow the style of a generator. 
+ * 
+ * @example
+ * ```
+ * new VaryWordDialog({ generatorId: "abc" }).show();
+ * ```
+ */
+export default class VaryWordDialog {
+  /**
+   * @param {Object} args 
+   * @param {String} args.generatorId The id of the generator to vary words with. 
+   */
+  constructor(args = {}) {
+    this.generatorId = args.generatorId;
+  }
+
+  /**
+   * Renders and shows the dialog. 
+   * @async
+   */
+  async show() {
+    const renderedContent = await renderTemplate(TEMPLATES.VARY_WORD_DIALOG, {});
+
+    const thiz = this;
+
+    const dialog = new Dialog({
+      title: game.i18n.localize("wg.vary.title"),
+      content: renderedContent,
+      buttons: {
+        close: {
+          icon: '<i class="fas fa-times"></i>',
+          label: game.i18n.localize("wg.application.close"),
+          callback: () => { }
+        }
+      },
+      default: "close",
+      render: html => {
+        html.find("#vary-word-submit").click(() => {
+          thiz._vary(html);
+        });
+        html.find("#vary-word-input").keydown(event => {
+          if (event.key !== "Enter") return;
+          event.preventDefault();
+          thiz._vary(html);
+        });
+      },
+    });
+    dialog.render(true);
+  }
+
+  /**
+   * Varies the entered word and renders the variations. 
+   * @param {JQuery} html 
+   * @private
+   * @async
+   */
+  async _vary(html) {
+    const word = html.find("#vary-word-input").val().trim();
+    if (word.length === 0) return;
+
+    let variations;
+    try {
+      variations = new GenerateVariationsUseCase().invoke({
+        userId: game.userId,
+        id: this.generatorId,
+        word: word,
+      });
+    } catch (error) {
+      ui.notifications.error(game.i18n.format("wg.vary.error", { message: error.message }));
+      return;
+    }
+
+    const renderedResults = await renderTemplate(TEMPLATES.VARY_WORD_RESULTS, {
+      variations: variations,
+    });
+    html.find("#vary-word-results").html(renderedResults);
+  }
+}
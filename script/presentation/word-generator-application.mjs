@@ -1,8 +1,15 @@
 import GeneratorSettings from "../generator/data/generator-settings.mjs";
+import { BlendSource } from "../generator/data/generator-settings.mjs";
+import { GENERATOR_TYPES } from "../generator/data/generator-settings.mjs";
+import { LENGTH_MODES } from "../generator/concatenation/sequence-concatenator.mjs";
 import AddGeneratorUseCase from "../use_case/add-generator-use-case.mjs";
+import EstimateCapacityUseCase from "../use_case/estimate-capacity-use-case.mjs";
 import LoadGeneratorsUseCase from "../use_case/load-generators-use-case.mjs";
 import SetGeneratorsUseCase from "../use_case/set-generators-use-case.mjs";
 import SortGeneratorsUseCase from "../use_case/sort-generators-use-case.mjs";
+import ClassifyWordDialog from "./classify-word-dialog.mjs";
+import GenerateWordsDialog from "./generate-words-dialog.mjs";
+import VaryWordDialog from "./vary-word-dialog.mjs";
 import { SORTING_ORDERS } from "./sorting-orders.mjs";
 import { TEMPLATES } from "./templates.mjs";
 
@@ -12,9 +19,9 @@ import { TEMPLATES } from "./templates.mjs";
  * In other words, this is the `Application` to instantiate in order to 
  * interact with word generators. This `Application` is the point of entry. 
  * 
- * @example
+ * @example 
  * ```
- * new WordGeneratorApplication().render(true);
+ * new WordGeneratorApplication().render(true); 
  * ```
  */
 export default class WordGeneratorApplication extends Application {
@@ -49,6 +56,63 @@ export default class WordGeneratorApplication extends Application {
     html.find("#create-generator").click(() => {
       thiz._createGenerator();
     });
+    html.find("#create-blend").click(() => {
+      thiz._createBlend();
+    });
+    html.find("[data-action='blend-source-add']").click((event) => {
+      const dataset = event.currentTarget.dataset;
+      thiz._updateBlendSources(dataset.id, (blendSources, generatorSettings) => {
+        // Prefer a generator that isn't part of the blend, yet. 
+        const candidates = generatorSettings.filter(it => it.type !== GENERATOR_TYPES.BLEND);
+        const candidate = candidates.find(it => blendSources.every(blendSource => blendSource.id !== it.id))
+          ?? candidates[0];
+        // Without any generator to blend, there is nothing to add. 
+        if (candidate === undefined) return;
+
+        blendSources.push(new BlendSource({ id: candidate.id }));
+      });
+    });
+    html.find("[data-action='blend-source-remove']").click((event) => {
+      const dataset = event.currentTarget.dataset;
+      thiz._updateBlendSources(dataset.id, blendSources => {
+        blendSources.splice(parseInt(dataset.index), 1);
+      });
+    });
+    html.find("[data-action='blend-source-id']").change((event) => {
+      const dataset = event.currentTarget.dataset;
+      const value = event.currentTarget.value;
+      thiz._updateBlendSources(dataset.id, blendSources => {
+        blendSources[parseInt(dataset.index)].id = value;
+      });
+    });
+    html.find("[data-action='blend-source-weight']").change((event) => {
+      const dataset = event.currentTarget.dataset;
+      const value = parseFloat(event.currentTarget.value);
+      thiz._updateBlendSources(dataset.id, blendSources => {
+        blendSources[parseInt(dataset.index)].weight = value;
+      });
+    });
+    html.find("[data-action='update-setting']").change((event) => {
+      const target = event.currentTarget;
+      const value = (target.type === "checkbox") ? target.checked : parseFloat(target.value);
+      if (typeof value === "number" && isNaN(value)) return;
+
+      thiz._updateSettings(target.dataset.id, settings => {
+        settings[target.dataset.property] = value;
+      });
+    });
+    html.find("#classify-word").click(() => {
+      thiz._classifyWord();
+    });
+    html.find("[data-action='generate']").click((event) => {
+      thiz._generateWords(event.currentTarget.dataset.id);
+    });
+    html.find("[data-action='vary']").click((event) => {
+      thiz._varyWord(event.currentTarget.dataset.id);
+    });
+    html.find("[data-action='estimate-capacity']").click((event) => {
+      thiz._estimateCapacity(html, event.currentTarget.dataset.id);
+    });
     html.find("#move-sort-alpha-desc").click(() => {
       thiz._sort(SORTING_ORDERS.DESC);
     });
@@ -59,11 +123,53 @@ export default class WordGeneratorApplication extends Application {
 
   /** @override */
   async getData(options) {
+    const settings = new LoadGeneratorsUseCase().invoke(game.userId);
     return {
-      settings: new LoadGeneratorsUseCase().invoke(game.userId),
+      settings: settings,
+      generatorOptions: settings
+        .filter(it => it.type !== GENERATOR_TYPES.BLEND)
+        .map(it => ({ id: it.id, name: it.name ?? it.id })),
+      lengthModes: [
+        { value: LENGTH_MODES.UNIFORM, label: game.i18n.localize("wg.generator.lengthModes.uniform") },
+        { value: LENGTH_MODES.SAMPLE_SET, label: game.i18n.localize("wg.generator.lengthModes.sampleSet") },
+      ],
     }
   }
 
+  /**
+   * Click-Handler to estimate the capacity of a generator and show it in its list item. 
+   * 
+   * Estimating builds the generator's whole chain, which is why it is only done on request. 
+   * @param {JQuery} html 
+   * @param {String} id The id of the generator's settings. 
+   * @private
+   */
+  _estimateCapacity(html, id) {
+    const capacity = new EstimateCapacityUseCase().invoke({
+      userId: game.userId,
+      id: id,
+    });
+    html.find(`#${id}-capacity`).text(this._formatCapacity(capacity));
+  }
+
+  /**
+   * Returns the given estimated capacity, formatted for display. 
+   * 
+   * Very large capacities are cut off, as the estimate is an upper bound, anyway. 
+   * @param {Number | undefined} capacity 
+   * @returns {String}
+   * @private
+   */
+  _formatCapacity(capacity) {
+    const maxCapacity = 1000000;
+    if (capacity === undefined) {
+      return "?";
+    } else if (capacity > maxCapacity) {
+      return `${maxCapacity.toLocaleString()}+`;
+    }
+    return `~${capacity.toLocaleString()}`;
+  }
+
   /**
    * Click-Handler to create a new generator. 
    * @private
@@ -76,6 +182,90 @@ export default class WordGeneratorApplication extends Application {
     });
   }
 
+  /**
+   * Click-Handler to create a new blend of generators. 
+   * @private
+   */
+  _createBlend() {
+    const newSetting = new GeneratorSettings({
+      type: GENERATOR_TYPES.BLEND,
+    });
+    new AddGeneratorUseCase().invoke({
+      userId: game.userId,
+      generatorSettings: newSetting,
+    });
+    this.render();
+  }
+
+  /**
+   * Change-Handler to edit the generators of a blend. 
+   * @param {String} id The id of the blend's settings. 
+   * @param {Function} update Receives the blend's list of `BlendSource`s, to change in place, 
+   * and the list of all generator settings. 
+   * @private
+   */
+  _updateBlendSources(id, update) {
+    this._updateSettings(id, (settings, generatorSettings) => {
+      update(settings.blendSources, generatorSettings);
+    });
+  }
+
+  /**
+   * Change-Handler to edit the settings of a generator. 
+   * 
+   * Inputs with `data-action="update-setting"` set the property of the generator's settings 
+   * named by their `data-property` to their value. Checkboxes set it to whether they are 
+   * checked, all other inputs to their value as a number. 
+   * @param {String} id The id of the generator's settings. 
+   * @param {Function} update Receives the generator's settings, to change in place, and the 
+   * list of all generator settings. 
+   * @private
+   */
+  _updateSettings(id, update) {
+    const generatorSettings = new LoadGeneratorsUseCase().invoke(game.userId);
+    const settings = generatorSettings.find(it => it.id === id);
+    if (settings === undefined) return;
+
+    update(settings, generatorSettings);
+    new AddGeneratorUseCase().invoke({
+      userId: game.userId,
+      generatorSettings: settings,
+    });
+    this.render();
+  }
+
+  /**
+   * Click-Handler to classify a word against the generators. 
+   * @private
+   */
+  _classifyWord() {
+    new ClassifyWordDialog().show();
+  }
+
+  /**
+   * Click-Handler to generate words with a generator. 
+   * @param {String} id The id of the generator's settings. 
+   * @private
+   */
+  _generateWords(id) {
+    const settings = new LoadGeneratorsUseCase().invoke(game.userId).find(it => it.id === id);
+    if (settings === undefined) return;
+
+    new GenerateWordsDialog({
+      generatorId: id,
+      canAddSamples: settings.type !== GENERATOR_TYPES.BLEND,
+    }).show();
+  }
+
+  /**
+   * Click-Handler to generate variations of a word with a generator. 
+   * @param {String} id The id of the generator's settings. 
+   * @private
+   */
+  _varyWord(id) {
+    new VaryWordDialog({ generatorId: id }).show();
+  }
+
   /**
    * Click-Handler to sort generators. 
    * @param {SORTING_ORDERS} sortingOrder 
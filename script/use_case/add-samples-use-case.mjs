@@ -0,0 +1,33 @@
+import AbstractUseCase from "./abstract-use-case.mjs";
+import AddGeneratorUseCase from "./add-generator-use-case.mjs";
+import LoadGeneratorsUseCase from "./load-generators-use-case.mjs";
+
+/**
+ * Adds words to the sample set of one of the saved generators and saves it. 
+ * 
+ * Returns the number of added words. See `GeneratorSettings.addSamples`. 
+ */
+export default class AddSamplesUseCase extends AbstractUseCase {
+  /**
+   * @param {Object} args 
+   * @param {String} args.userId The id of the user whose generator to change. 
+   * @param {String} args.id The id of the generator to add the words to. 
+   * @param {Array<String>} args.words The words to add. 
+   * @param {Number | undefined} args.weight Optional. The weight of the added samples. Default `1`. 
+   * @returns {Number}
+   * @throws {Error} Thrown, if there is no generator with the given id. 
+   */
+  invoke(args) {
+    const settings = new LoadGeneratorsUseCase().invoke(args.userId).find(it => it.id === args.id);
+    if (settings === undefined) {
+      throw new Error(`Generator '${args.id}' does not exist!`);
+    }
+
+    const count = settings.addSamples(args.words, args.weight);
+    new AddGeneratorUseCase().invoke({
+      userId: args.userId,
+      generatorSettings: settings,
+    });
+    return count;
+  }
+}
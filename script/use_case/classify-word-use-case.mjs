@@ -0,0 +1,68 @@
+import GeneratorSettings from "../generator/data/generator-settings.mjs";
+import { GENERATOR_TYPES } from "../generator/data/generator-settings.mjs";
+import AbstractUseCase from "./abstract-use-case.mjs";
+import LoadGeneratorsUseCase from "./load-generators-use-case.mjs";
+
+/**
+ * Determines which of the saved generators would most likely have produced a given word. 
+ * 
+ * Returns a list of `WordClassification`s, one per generator with a non-empty sample set 
+ * and one per blend with any generators, ordered by descending score. Generators that can't 
+ * be created from their settings, e. g. a blend of a deleted generator, are skipped. 
+ */
+export default class ClassifyWordUseCase extends AbstractUseCase {
+  /**
+   * @param {Object} args 
+   * @param {String} args.userId The id of the user whose generators to classify against. 
+   * @param {String} args.word The word to classify. 
+   * @param {Array<GeneratorSettings> | undefined} args.generatorSettings Optional. The generators 
+   * to classify against. If undefined, the user's generators are loaded. 
+   * @returns {Array<WordClassification>}
+   */
+  invoke(args) {
+    const generatorSettings = args.generatorSettings ?? new LoadGeneratorsUseCase().invoke(args.userId);
+
+    const classifications = [];
+    for (const settings of generatorSettings) {
+      const isEmpty = (settings.type === GENERATOR_TYPES.BLEND)
+        ? settings.blendSources.length === 0
+        : (settings.sampleSet === undefined || settings.sampleSet.length === 0);
+      if (isEmpty === true) continue;
+
+      let generator;
+      try {
+        generator = settings.toGenerator({ generatorSettings: generatorSettings });
+      } catch (error) {
+        continue;
+      }
+
+      const wordScore = generator.score(args.word);
+      classifications.push(new WordClassification({
+        generatorSettings: settings,
+        score: wordScore.score,
+        logProbability: wordScore.logProbability,
+      }));
+    }
+
+    return classifications.sort((a, b) => b.score - a.score);
+  }
+}
+
+/**
+ * Represents how likely a word is to have been produced by a specific generator. 
+ * @property {GeneratorSettings} generatorSettings The settings of the generator. 
+ * @property {Number} score A per-sequence normalized score between 0 and 1. 
+ * @property {Number} logProbability The natural logarithm of the word's probability. 
+ */
+export class WordClassification {
+  /**
+   * @param {GeneratorSettings} args.generatorSettings The settings of the generator. 
+   * @param {Number} args.score A per-sequence normalized score between 0 and 1. 
+   * @param {Number} args.logProbability The natural logarithm of the word's probability. 
+   */
+  constructor(args = {}) {
+    this.generatorSettings = args.generatorSettings;
+    this.score = args.score;
+    this.logProbability = args.logProbability;
+  }
+}
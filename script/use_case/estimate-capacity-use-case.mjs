@@ -0,0 +1,32 @@
+import AbstractUseCase from "./abstract-use-case.mjs";
+import LoadGeneratorsUseCase from "./load-generators-use-case.mjs";
+
+/**
+ * Estimates the number of distinct words one of the saved generators can produce. 
+ * 
+ * See `WordGenerator.estimateCapacity`. 
+ */
+export default class EstimateCapacityUseCase extends AbstractUseCase {
+  /**
+   * @param {Object} args 
+   * @param {String} args.userId The id of the user whose generator to use. 
+   * @param {String} args.id The id of the generator to estimate the capacity of. 
+   * @param {Array<GeneratorSettings> | undefined} args.generatorSettings Optional. The generators 
+   * to look up the generator and, for a blend, its sources in. If undefined, the user's 
+   * generators are loaded. 
+   * @returns {Number | undefined} The estimate, or `undefined`, if there is no generator with 
+   * the given id, or a generator can't be created from its settings, e. g. a blend without 
+   * generators. 
+   */
+  invoke(args) {
+    const generatorSettings = args.generatorSettings ?? new LoadGeneratorsUseCase().invoke(args.userId);
+    const settings = generatorSettings.find(it => it.id === args.id);
+    if (settings === undefined) return undefined;
+
+    try {
+      return settings.toGenerator({ generatorSettings: generatorSettings }).estimateCapacity();
+    } catch (error) {
+      return undefined;
+    }
+  }
+}
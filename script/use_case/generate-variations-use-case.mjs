@@ -0,0 +1,32 @@
+import AbstractUseCase from "./abstract-use-case.mjs";
+import LoadGeneratorsUseCase from "./load-generators-use-case.mjs";
+
+/**
+ * Generates variations of a given word, with one of the saved generators. 
+ * 
+ * Returns a list of the variations, closest to the word first. 
+ */
+export default class GenerateVariationsUseCase extends AbstractUseCase {
+  /**
+   * @param {Object} args 
+   * @param {String} args.userId The id of the user whose generator to use. 
+   * @param {String} args.id The id of the generator to vary the word with. 
+   * @param {String} args.word The word to vary. 
+   * @param {Number | undefined} args.count Optional. The number of variations. Default `10`. 
+   * @param {Array<GeneratorSettings> | undefined} args.generatorSettings Optional. The generators 
+   * to look up the generator and, for a blend, its sources in. If undefined, the user's 
+   * generators are loaded. 
+   * @returns {Array<String>}
+   * @throws {Error} Thrown, if there is no generator with the given id. 
+   */
+  invoke(args) {
+    const generatorSettings = args.generatorSettings ?? new LoadGeneratorsUseCase().invoke(args.userId);
+    const settings = generatorSettings.find(it => it.id === args.id);
+    if (settings === undefined) {
+      throw new Error(`Generator '${args.id}' does not exist!`);
+    }
+
+    return settings.toGenerator({ generatorSettings: generatorSettings })
+      .generateVariations(args.word, args.count ?? 10);
+  }
+}
@@ -0,0 +1,43 @@
+import AbstractUseCase from "./abstract-use-case.mjs";
+import LoadGeneratorsUseCase from "./load-generators-use-case.mjs";
+
+/**
+ * Generates words with one of the saved generators, without blocking the user interface. 
+ * 
+ * Reports its progress and can be cancelled. If cancelled, the result contains the words 
+ * generated so far. 
+ */
+export default class GenerateWordsAsyncUseCase extends AbstractUseCase {
+  /**
+   * @param {Object} args 
+   * @param {String} args.userId The id of the user whose generator to use. 
+   * @param {String} args.id The id of the generator to generate with. 
+   * @param {Number | undefined} args.count Optional. The number of words. Default `10`. 
+   * @param {Array<String> | undefined} args.liked Optional. Words to generate more like. 
+   * @param {Array<String> | undefined} args.disliked Optional. Words to generate fewer like. 
+   * @param {AbortSignal | undefined} args.signal Optional. A signal to cancel the generation with. 
+   * @param {Function | undefined} args.onProgress Optional. Called after every generated word, 
+   * with the number of words generated so far and the number of words to generate. 
+   * @param {Array<GeneratorSettings> | undefined} args.generatorSettings Optional. The generators 
+   * to look up the generator and, for a blend, its sources in. If undefined, the user's 
+   * generators are loaded. 
+   * @returns {Promise<GenerationResult>}
+   * @throws {Error} Thrown, if there is no generator with the given id. 
+   * @async
+   */
+  async invoke(args) {
+    const generatorSettings = args.generatorSettings ?? new LoadGeneratorsUseCase().invoke(args.userId);
+    const settings = generatorSettings.find(it => it.id === args.id);
+    if (settings === undefined) {
+      throw new Error(`Generator '${args.id}' does not exist!`);
+    }
+
+    return settings.toGenerator({ generatorSettings: generatorSettings })
+      .generateAsync(args.count ?? 10, {
+        liked: args.liked,
+        disliked: args.disliked,
+        signal: args.signal,
+        onProgress: args.onProgress,
+      });
+  }
+}
@@ -0,0 +1,134 @@
+import { getLevenshteinDistance } from "./levenshtein.mjs";
+
+/**
+ * A Burkhard-Keller tree, which indexes words by their Levenshtein distance to one another. 
+ * 
+ * Finds all words within a given distance of a word, without comparing it to every 
+ * indexed word. 
+ * @property {Number} size The number of distinct words in the tree. 
+ */
+export default class BKTree {
+  /**
+   * @type {BKTreeNode | undefined}
+   * @private
+   */
+  _root = undefined;
+
+  /**
+   * @private
+   */
+  _size = 0;
+  /**
+   * Returns the number of distinct words in the tree. 
+   * @type {Number}
+   * @readonly
+   */
+  get size() { return this._size; }
+
+  /**
+   * @param {Array<String> | undefined} words Optional. Words to add to the tree. 
+   */
+  constructor(words = []) {
+    for (const word of words) {
+      this.add(word);
+    }
+  }
+
+  /**
+   * Adds the given word to the tree, unless it is already contained. 
+   * @param {String} word 
+   */
+  add(word) {
+    if (this._root === undefined) {
+      this._root = new BKTreeNode(word);
+      this._size++;
+      return;
+    }
+
+    let node = this._root;
+    while (true) {
+      const distance = getLevenshteinDistance(word, node.word);
+      if (distance === 0) return;
+
+      const child = node.children.get(distance);
+      if (child === undefined) {
+        node.children.set(distance, new BKTreeNode(word));
+        this._size++;
+        return;
+      }
+      node = child;
+    }
+  }
+
+  /**
+   * Returns all words of the tree within the given distance of the given word. 
+   * @param {String} word 
+   * @param {Number} maxDistance The maximum Levenshtein distance (inclusive). 
+   * @returns {Array<Object>} A list of objects of the form `{ word: String, distance: Number }`. 
+   */
+  search(word, maxDistance) {
+    const results = [];
+    this._visitWithin(word, maxDistance, (match, distance) => {
+      results.push({ word: match, distance: distance });
+      return false;
+    });
+    return results;
+  }
+
+  /**
+   * Returns true, if the tree contains any word within the given distance of the given word. 
+   * @param {String} word 
+   * @param {Number} maxDistance The maximum Levenshtein distance (inclusive). 
+   * @returns {Boolean}
+   */
+  hasWithin(word, maxDistance) {
+    let found = false;
+    this._visitWithin(word, maxDistance, () => {
+      found = true;
+      return true;
+    });
+    return found;
+  }
+
+  /**
+   * Calls the given function for every word of the tree within the given distance of the given word. 
+   * 
+   * As the Levenshtein distance satisfies the triangle inequality, only the children whose 
+   * distance to their parent differs from the parent's distance by at most `maxDistance` 
+   * can contain matches. 
+   * @param {String} word 
+   * @param {Number} maxDistance The maximum Levenshtein distance (inclusive). 
+   * @param {Function} visitor Is called with a matching word and its distance. If it returns 
+   * true, the search is stopped. 
+   * @private
+   */
+  _visitWithin(word, maxDistance, visitor) {
+    if (this._root === undefined) return;
+
+    const stack = [this._root];
+    while (stack.length > 0) {
+      const node = stack.pop();
+      const distance = getLevenshteinDistance(word, node.word);
+
+      if (distance <= maxDistance && visitor(node.word, distance) === true) return;
+
+      for (const [childDistance, child] of node.children) {
+        if (childDistance >= distance - maxDistance && childDistance <= distance + maxDistance) {
+          stack.push(child);
+        }
+      }
+    }
+  }
+}
+
+/**
+ * @property {String} word
+ * @property {Map<Number, BKTreeNode>} children The child nodes, by their distance to this node. 
+ * @private
+ */
+class BKTreeNode {
+  constructor(word) {
+    this.word = word;
+    this.children = new Map();
+  }
+}
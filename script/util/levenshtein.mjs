@@ -0,0 +1,36 @@
+/**
+ * Returns the Levenshtein distance between the two given strings. 
+ * 
+ * That is the minimum number of single character insertions, deletions and substitutions 
+ * required to change one string into the other. 
+ * @param {String} a 
+ * @param {String} b 
+ * @returns {Number}
+ */
+export function getLevenshteinDistance(a, b) {
+  if (a === b) return 0;
+  if (a.length === 0) return b.length;
+  if (b.length === 0) return a.length;
+
+  // Only the previous row of the distance matrix is needed to compute the current row. 
+  let previousRow = new Array(b.length + 1);
+  let currentRow = new Array(b.length + 1);
+  for (let j = 0; j <= b.length; j++) {
+    previousRow[j] = j;
+  }
+
+  for (let i = 1; i <= a.length; i++) {
+    currentRow[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const substitutionCost = (a[i - 1] === b[j - 1]) ? 0 : 1;
+      currentRow[j] = Math.min(
+        previousRow[j] + 1, // Deletion
+        currentRow[j - 1] + 1, // Insertion
+        previousRow[j - 1] + substitutionCost, // Substitution
+      );
+    }
+    [previousRow, currentRow] = [currentRow, previousRow];
+  }
+
+  return previousRow[b.length];
+}
@@ -0,0 +1,105 @@
+/**
+ * A priority queue, based on a binary heap. 
+ * 
+ * The item with the highest priority is always returned first. Items of equal 
+ * priority are returned in no particular order. 
+ * @property {Number} size The number of items in the queue. 
+ */
+export default class PriorityQueue {
+  /**
+   * The heap of items. The item with the highest priority is always at index `0`. 
+   * @type {Array<Any>}
+   * @private
+   */
+  _heap = [];
+
+  /**
+   * Returns the number of items in the queue. 
+   * @type {Number}
+   * @readonly 
+   */
+  get size() { return this._heap.length; }
+
+  /**
+   * @param {Function} compare Returns a number greater than 0, if the first given item has 
+   * a higher priority than the second, a number less than 0, if it has a lower priority and 
+   * `0`, if both have the same priority. 
+   */
+  constructor(compare) {
+    this.compare = compare;
+  }
+
+  /**
+   * Adds the given item to the queue. 
+   * @param {Any} item 
+   */
+  push(item) {
+    const heap = this._heap;
+    heap.push(item);
+
+    // Move the item up, until its parent has a higher or the same priority. 
+    let index = heap.length - 1;
+    while (index > 0) {
+      const parentIndex = (index - 1) >>> 1;
+      if (this.compare(heap[index], heap[parentIndex]) <= 0) break;
+
+      this._swap(index, parentIndex);
+      index = parentIndex;
+    }
+  }
+
+  /**
+   * Removes and returns the item with the highest priority. 
+   * @returns {Any | undefined} The item, or `undefined`, if the queue is empty. 
+   */
+  pop() {
+    const heap = this._heap;
+    if (heap.length === 0) return undefined;
+
+    const top = heap[0];
+    const last = heap.pop();
+    if (heap.length === 0) return top;
+
+    heap[0] = last;
+
+    // Move the item down, until both its children have a lower or the same priority. 
+    let index = 0;
+    while (true) {
+      const leftIndex = index * 2 + 1;
+      const rightIndex = leftIndex + 1;
+      let highestIndex = index;
+
+      if (leftIndex < heap.length && this.compare(heap[leftIndex], heap[highestIndex]) > 0) {
+        highestIndex = leftIndex;
+      }
+      if (rightIndex < heap.length && this.compare(heap[rightIndex], heap[highestIndex]) > 0) {
+        highestIndex = rightIndex;
+      }
+      if (highestIndex === index) break;
+
+      this._swap(index, highestIndex);
+      index = highestIndex;
+    }
+    return top;
+  }
+
+  /**
+   * Returns the item with the highest priority, without removing it. 
+   * @returns {Any | undefined} The item, or `undefined`, if the queue is empty. 
+   */
+  peek() {
+    return this._heap[0];
+  }
+
+  /**
+   * Swaps the items at the given indices of the heap. 
+   * @param {Number} a 
+   * @param {Number} b 
+   * @private
+   */
+  _swap(a, b) {
+    const item = this._heap[a];
+    this._heap[a] = this._heap[b];
+    this._heap[b] = item;
+  }
+}
@@ -0,0 +1,35 @@
+/**
+ * The characters considered vowels, when determining the rhyme of a word. 
+ * @type {String}
+ * @constant
+ * @private
+ */
+const VOWELS = "aeiouyäöüàáâèéêìíîòóôùúû";
+
+/**
+ * Returns the part of the given word that other words must end with, to rhyme with it. 
+ * 
+ * That is the last group of consecutive vowels, along with all characters that follow it. 
+ * E. g. "eim" for "Bornheim" or "in" for "Tarrin". If the word contains no vowels, 
+ * the whole word is returned. 
+ * 
+ * The result is in lower case. 
+ * @param {String} word 
+ * @returns {String}
+ */
+export function getRhymeOf(word) {
+  const lowerCaseWord = word.toLowerCase();
+
+  let i = lowerCaseWord.length - 1;
+  // Skip the trailing consonants. 
+  while (i >= 0 && VOWELS.includes(lowerCaseWord[i]) !== true) {
+    i--;
+  }
+  if (i < 0) return lowerCaseWord;
+
+  // Include the whole group of vowels. 
+  while (i > 0 && VOWELS.includes(lowerCaseWord[i - 1]) === true) {
+    i--;
+  }
+  return lowerCaseWord.substring(i);
+}
@@ -0,0 +1,60 @@
+import should from 'should';
+import GenerationConstraints from "../../script/generator/concatenation/generation-constraints.mjs";
+
+describe('GenerationConstraints', function() {
+  describe('isViable', function() {
+    it('Returns true for partial words that may still reach the prefix', function() {
+      // Given
+      const constraints = new GenerationConstraints({ prefix: "Ael" });
+      // When
+      // Then
+      constraints.isViable("a").should.be.equal(true);
+      constraints.isViable("aelin").should.be.equal(true);
+      constraints.isViable("ab").should.be.equal(false);
+    });
+
+    it('Returns false for partial words with forbidden or disallowed characters', function() {
+      // Given
+      const constraints = new GenerationConstraints({
+        allowedChars: "abcq",
+        forbiddenChars: ["Q"],
+      });
+      // When
+      // Then
+      constraints.isViable("abc").should.be.equal(true);
+      constraints.isViable("abq").should.be.equal(false);
+      constraints.isViable("abd").should.be.equal(false);
+    });
+  });
+
+  describe('isViableEnding', function() {
+    it('Returns true for word endings that may still reach the suffix', function() {
+      // Given
+      const constraints = new GenerationConstraints({ suffix: "heim" });
+      // When
+      // Then
+      constraints.isViableEnding("im").should.be.equal(true);
+      constraints.isViableEnding("nheim").should.be.equal(true);
+      constraints.isViableEnding("om").should.be.equal(false);
+    });
+  });
+
+  describe('isSatisfiedBy', function() {
+    it('Returns true only for words satisfying every constraint', function() {
+      // Given
+      const constraints = new GenerationConstraints({
+        prefix: "ta",
+        suffix: "in",
+        contains: "rr",
+        pattern: "^[a-z]+$",
+      });
+      // When
+      // Then
+      constraints.isSatisfiedBy("tarrin").should.be.equal(true);
+      constraints.isSatisfiedBy("ta").should.be.equal(false);
+      constraints.isSatisfiedBy("tarkin").should.be.equal(false);
+      constraints.isSatisfiedBy("tarrim").should.be.equal(false);
+      constraints.isSatisfiedBy("Tarrin").should.be.equal(false);
+    });
+  });
+});
@@ -1,8 +1,14 @@
+import sinon from 'sinon';
 import SequenceConcatenator from "../../script/generator/concatenation/sequence-concatenator.mjs"
 import { ENDING_PICK_MODES } from "../../script/generator/concatenation/sequence-concatenator.mjs";
+import { LENGTH_MODES } from "../../script/generator/concatenation/sequence-concatenator.mjs";
+import { PICK_SOURCES } from "../../script/generator/concatenation/sequence-concatenator.mjs";
+import { SearchLimitError } from "../../script/generator/concatenation/sequence-concatenator.mjs";
 import { ProbableSequence } from "../../script/generator/probability-building/sequence-probability-builder.mjs";
 import { ProbableSequenceBranch } from "../../script/generator/probability-building/sequence-probability-builder.mjs";
 import { SequenceProbabilities } from "../../script/generator/probability-building/sequence-probability-builder.mjs";
+import SequenceProbabilityBuilder from "../../script/generator/probability-building/sequence-probability-builder.mjs";
+import CharDepthSequencingStrategy from "../../script/generator/sequencing/char-depth-sequencing-strategy.mjs";
 
 describe('SequenceConcatenator', function() {
   describe('generate', function() {
@@ -184,5 +190,432 @@ describe('SequenceConcatenator', function() {
       // Then
       word.should.be.equal("bob");
     });
+
+    it('correctly generates "abcd" with order 2', function() {
+      // Given
+      // With an order of 1, "b" could be followed by both "c" and "a". 
+      // With an order of 2, "a" -> "b" can only be followed by "c". 
+      const sequencesList = new CharDepthSequencingStrategy(1).getSequencesOfSet([
+        "abcd",
+        "cbad",
+      ]);
+      const probabilities = new SequenceProbabilityBuilder({ order: 2 }).build(sequencesList);
+      probabilities.starts = probabilities.starts.filter(it => it.sequenceChars === "a");
+      probabilities.starts[0].probability = 1;
+      const concatenator = new SequenceConcatenator({
+        probabilities: probabilities,
+        seed: TEST_SEED,
+        endingPickMode: ENDING_PICK_MODES.NONE,
+      });
+      // When
+      const words = [];
+      for (let i = 0; i < 10; i++) {
+        words.push(concatenator.generate(4, 4));
+      }
+      // Then
+      words.forEach(it => it.should.be.equal("abcd"));
+    });
+
+    it('correctly generates "abc" with order 2 and backoff', function() {
+      // Given
+      // The context "a" -> "b" has no following sequence, so the 
+      // context "b" must be used, instead. 
+      const sequencesList = new CharDepthSequencingStrategy(1).getSequencesOfSet([
+        "ab",
+        "bc",
+      ]);
+      const probabilities = new SequenceProbabilityBuilder({
+        order: 2,
+        backoff: true,
+      }).build(sequencesList);
+      probabilities.starts = probabilities.starts.filter(it => it.sequenceChars === "a");
+      probabilities.starts[0].probability = 1;
+      const concatenator = new SequenceConcatenator({
+        probabilities: probabilities,
+        seed: TEST_SEED,
+        endingPickMode: ENDING_PICK_MODES.NONE,
+      });
+      // When
+      const word = concatenator.generate(3, 3);
+      // Then
+      word.should.be.equal("abc");
+      concatenator.backoffStatistics.should.be.eql({ 1: 2 });
+    });
+
+    it('picks the starting sequence whose stacked probability matches', function() {
+      // Given
+      const probabilities = new SequenceProbabilities({
+        branches: [],
+        starts: [
+          new ProbableSequence({ sequenceChars: "a", frequency: 1, probability: 0.25 }),
+          new ProbableSequence({ sequenceChars: "b", frequency: 1, probability: 0.5 }),
+          new ProbableSequence({ sequenceChars: "c", frequency: 1, probability: 0.75 }),
+          new ProbableSequence({ sequenceChars: "d", frequency: 1, probability: 1 }),
+        ],
+        endings: [],
+      });
+      const concatenator = new SequenceConcatenator({
+        probabilities: probabilities,
+        seed: TEST_SEED,
+        endingPickMode: ENDING_PICK_MODES.NONE,
+      });
+      const rngValues = [0, 0.25, 0.2501, 0.75, 0.9999];
+      const rngStub = sinon.stub(concatenator._rng, "generate");
+      // The first generated number decides whether to pick entirely at random. 
+      rngValues.forEach((value, index) => {
+        rngStub.onCall(index * 2).returns(1);
+        rngStub.onCall(index * 2 + 1).returns(value);
+      });
+      // When
+      const picked = rngValues.map(() => concatenator._pickStart().sequenceChars);
+      // Then
+      picked.should.be.eql(["a", "a", "b", "c", "d"]);
+    });
+
+    it('correctly generates "abc" with ending mode LEARNED', function() {
+      // Given
+      const sequencesList = new CharDepthSequencingStrategy(1).getSequencesOfSet(["abc"]);
+      const probabilities = new SequenceProbabilityBuilder({ endToken: true }).build(sequencesList);
+      const concatenator = new SequenceConcatenator({
+        probabilities: probabilities,
+        seed: TEST_SEED,
+        endingPickMode: ENDING_PICK_MODES.LEARNED,
+      });
+      // When
+      const word = concatenator.generate(1, 10);
+      // Then
+      word.should.be.equal("abc");
+    });
+
+    it('generates words that end on a learned end with ending mode LEARNED and entropy', function() {
+      // Given
+      const sequencesList = new CharDepthSequencingStrategy(1).getSequencesOfSet(["abc"]);
+      const probabilities = new SequenceProbabilityBuilder({ endToken: true }).build(sequencesList);
+      const concatenator = new SequenceConcatenator({
+        probabilities: probabilities,
+        seed: TEST_SEED,
+        endingPickMode: ENDING_PICK_MODES.LEARNED,
+        entropyMiddle: 0.5,
+      });
+      // When
+      const words = [];
+      for (let i = 0; i < 10; i++) {
+        words.push(concatenator.generate(1, 30));
+      }
+      // Then
+      words.forEach(it => it.should.endWith("c"));
+      words.some(it => it !== "abc").should.be.true();
+    });
+
+    it('correctly generates "aax" with positional probabilities', function() {
+      // Given
+      // Without positional probabilities, "a" could be followed by "x" at the start, as well. 
+      const sequencesList = new CharDepthSequencingStrategy(1).getSequencesOfSet(["aax"]);
+      const probabilities = new SequenceProbabilityBuilder({ positional: true }).build(sequencesList);
+      const concatenator = new SequenceConcatenator({
+        probabilities: probabilities,
+        seed: TEST_SEED,
+        endingPickMode: ENDING_PICK_MODES.NONE,
+      });
+      // When
+      const words = [];
+      for (let i = 0; i < 10; i++) {
+        words.push(concatenator.generate(3, 3));
+      }
+      // Then
+      words.forEach(it => it.should.be.equal("aax"));
+    });
+
+    it('generates words of the sample set\'s lengths with length mode SAMPLE_SET', function() {
+      // Given
+      const sequencesList = new CharDepthSequencingStrategy(1).getSequencesOfSet(["abcd", "bcda", "cdabcd"]);
+      const probabilities = new SequenceProbabilityBuilder().build(sequencesList);
+      const concatenator = new SequenceConcatenator({
+        probabilities: probabilities,
+        seed: TEST_SEED,
+        endingPickMode: ENDING_PICK_MODES.NONE,
+        lengthMode: LENGTH_MODES.SAMPLE_SET,
+      });
+      // When
+      const words = [];
+      for (let i = 0; i < 20; i++) {
+        words.push(concatenator.generate(1, 10));
+      }
+      // Then
+      words.forEach(it => [4, 6].should.containEql(it.length));
+    });
+
+    it('generates words of clamped sample set lengths with length mode SAMPLE_SET', function() {
+      // Given
+      const sequencesList = new CharDepthSequencingStrategy(1).getSequencesOfSet(["abcd", "bcda", "cdabcd"]);
+      const probabilities = new SequenceProbabilityBuilder().build(sequencesList);
+      const concatenator = new SequenceConcatenator({
+        probabilities: probabilities,
+        seed: TEST_SEED,
+        endingPickMode: ENDING_PICK_MODES.NONE,
+        lengthMode: LENGTH_MODES.SAMPLE_SET,
+        clampLength: true,
+      });
+      // When
+      const words = [];
+      for (let i = 0; i < 20; i++) {
+        words.push(concatenator.generate(5, 10));
+      }
+      // Then
+      words.forEach(it => it.length.should.be.equal(6));
+    });
+
+    it('reshapes probabilities by the temperature', function() {
+      // Given
+      const sequences = [
+        new ProbableSequence({ sequenceChars: "a", frequency: 3, probability: 0.75 }),
+        new ProbableSequence({ sequenceChars: "b", frequency: 1, probability: 1 }),
+      ];
+      const coldConcatenator = new SequenceConcatenator({
+        probabilities: new SequenceProbabilities({ branches: [], starts: [], endings: [] }),
+        seed: TEST_SEED,
+        temperature: 0.5,
+      });
+      const hotConcatenator = new SequenceConcatenator({
+        probabilities: new SequenceProbabilities({ branches: [], starts: [], endings: [] }),
+        seed: TEST_SEED,
+        temperature: 1000,
+      });
+      // When
+      const cold = coldConcatenator._getTemperedOf(sequences);
+      const hot = hotConcatenator._getTemperedOf(sequences);
+      // Then
+      cold.map(it => it.sequenceChars).should.be.eql(["a", "b"]);
+      cold[0].probability.should.be.approximately(0.9, 0.0001);
+      cold[1].probability.should.be.equal(1);
+      hot[0].probability.should.be.approximately(0.5, 0.001);
+      sequences[0].probability.should.be.equal(0.75);
+    });
+
+    it('generates reproducible words with a temperature', function() {
+      // Given
+      const sequencesList = new CharDepthSequencingStrategy(1).getSequencesOfSet(["abcd", "bcda", "cdab", "dabc"]);
+      const probabilities = new SequenceProbabilityBuilder().build(sequencesList);
+      const createConcatenator = () => new SequenceConcatenator({
+        probabilities: probabilities,
+        seed: TEST_SEED,
+        temperature: 2,
+      });
+      const concatenator1 = createConcatenator();
+      const concatenator2 = createConcatenator();
+      // When
+      const words1 = [];
+      const words2 = [];
+      for (let i = 0; i < 10; i++) {
+        words1.push(concatenator1.generate(3, 6));
+        words2.push(concatenator2.generate(3, 6));
+      }
+      // Then
+      words1.should.be.eql(words2);
+    });
+
+    it('throws for a temperature of 0', function() {
+      // Given
+      // When
+      // Then
+      (() => new SequenceConcatenator({ temperature: 0 })).should.throw();
+    });
+
+    it('strictly generates "abcde" within the length bounds', function() {
+      // Given
+      const sequencesList = new CharDepthSequencingStrategy(1).getSequencesOfSet(["abc", "abcde"]);
+      const probabilities = new SequenceProbabilityBuilder().build(sequencesList);
+      const concatenator = new SequenceConcatenator({
+        probabilities: probabilities,
+        seed: TEST_SEED,
+      });
+      // When
+      const word = concatenator.generateStrict(4, 6);
+      // Then
+      word.should.be.equal("abcde");
+    });
+
+    it('strictly generates words that are not excluded', function() {
+      // Given
+      const sequencesList = new CharDepthSequencingStrategy(1).getSequencesOfSet(["abc", "abcde"]);
+      const probabilities = new SequenceProbabilityBuilder().build(sequencesList);
+      const concatenator = new SequenceConcatenator({
+        probabilities: probabilities,
+        seed: TEST_SEED,
+      });
+      // When
+      const word = concatenator.generateStrict(1, 10, new Set(["abc"]));
+      // Then
+      word.should.be.equal("abcde");
+      (() => concatenator.generateStrict(1, 10, new Set(["abc", "abcde"]))).should.throw(/No word/);
+    });
+
+    it('throws when strictly generating, if no word within the length bounds exists', function() {
+      // Given
+      const sequencesList = new CharDepthSequencingStrategy(1).getSequencesOfSet(["abc", "abcde"]);
+      const probabilities = new SequenceProbabilityBuilder().build(sequencesList);
+      const concatenator = new SequenceConcatenator({
+        probabilities: probabilities,
+        seed: TEST_SEED,
+      });
+      // When
+      // Then
+      (() => concatenator.generateStrict(4, 4)).should.throw(/No word/);
+    });
+
+    it('throws when strictly generating, if the search limit is exceeded', function() {
+      // Given
+      const sequencesList = new CharDepthSequencingStrategy(1).getSequencesOfSet(["abc", "abcde"]);
+      const probabilities = new SequenceProbabilityBuilder().build(sequencesList);
+      const concatenator = new SequenceConcatenator({
+        probabilities: probabilities,
+        seed: TEST_SEED,
+        strictSearchLimit: 2,
+      });
+      // When
+      // Then
+      (() => concatenator.generateStrict(4, 6)).should.throw(/gave up/);
+      (() => concatenator.generateStrict(4, 6)).should.throw(SearchLimitError);
+    });
+
+    it('generates words satisfying the constraints', function() {
+      // Given
+      const sequencesList = new CharDepthSequencingStrategy(1).getSequencesOfSet([
+        "tarrin",
+        "tarkin",
+        "bobby",
+        "gobob",
+      ]);
+      const probabilities = new SequenceProbabilityBuilder().build(sequencesList);
+      const concatenator = new SequenceConcatenator({
+        probabilities: probabilities,
+        seed: TEST_SEED,
+      });
+      const constraints = {
+        prefix: "go",
+        suffix: "b",
+        forbiddenChars: "y",
+      };
+      // When
+      const words = [];
+      for (let i = 0; i < 10; i++) {
+        words.push(concatenator.generate(3, 8, constraints));
+      }
+      // Then
+      for (const word of words) {
+        word.startsWith("go").should.be.equal(true);
+        word.endsWith("b").should.be.equal(true);
+        word.includes("y").should.be.equal(false);
+        word.length.should.be.within(3, 8);
+      }
+    });
+
+    it('throws, if the constraints cannot be satisfied by the chain', function() {
+      // Given
+      const sequencesList = new CharDepthSequencingStrategy(1).getSequencesOfSet(["tarrin", "bobby"]);
+      const probabilities = new SequenceProbabilityBuilder().build(sequencesList);
+      const concatenator = new SequenceConcatenator({
+        probabilities: probabilities,
+        seed: TEST_SEED,
+      });
+      // When
+      // Then
+      (() => concatenator.generate(3, 8, { contains: "q" })).should.throw(/constraints/);
+    });
+
+    it('generates words ending with "rin" by growing them backwards', function() {
+      // Given
+      const sequencesList = new CharDepthSequencingStrategy(1).getSequencesOfSet([
+        "tarrin",
+        "tarkin",
+        "bobby",
+        "gobob",
+      ]);
+      const probabilities = new SequenceProbabilityBuilder({ reverse: true }).build(sequencesList);
+      const concatenator = new SequenceConcatenator({
+        probabilities: probabilities,
+        seed: TEST_SEED,
+      });
+      // When
+      const words = [];
+      for (let i = 0; i < 10; i++) {
+        words.push(concatenator.generateEndingWith("rin", 4, 8));
+      }
+      // Then
+      for (const word of words) {
+        word.endsWith("rin").should.be.equal(true);
+        ["t", "b", "g"].should.containEql(word[0]);
+        word.length.should.be.within(4, 8);
+      }
+    });
+
+    it('throws when generating backward without a reverse chain', function() {
+      // Given
+      const sequencesList = new CharDepthSequencingStrategy(1).getSequencesOfSet(["tarrin"]);
+      const probabilities = new SequenceProbabilityBuilder().build(sequencesList);
+      const concatenator = new SequenceConcatenator({
+        probabilities: probabilities,
+        seed: TEST_SEED,
+      });
+      // When
+      // Then
+      (() => concatenator.generateEndingWith("rin", 4, 8)).should.throw(/reverse/);
+    });
+
+    it('explains the picks of "abcd" with explain', function() {
+      // Given
+      const sequencesList = new CharDepthSequencingStrategy(1).getSequencesOfSet(["abcd", "xbcy"]);
+      const probabilities = new SequenceProbabilityBuilder({ provenance: true }).build(sequencesList);
+      const concatenator = new SequenceConcatenator({
+        probabilities: probabilities,
+        seed: TEST_SEED,
+        endingPickMode: ENDING_PICK_MODES.NONE,
+        explain: true,
+      });
+      // When
+      const word = concatenator.generateStrict(4, 4, new Set(["xbcy", "xbcd", "abcy"]));
+      // Then
+      word.should.be.equal("abcd");
+      concatenator.trace.map(it => [it.sequenceChars, it.probability, it.source, it.context, it.sampleIndices]).should.be.eql([
+        ["a", 0.5, PICK_SOURCES.WEIGHTED, undefined, [0]],
+        ["b", 1, PICK_SOURCES.WEIGHTED, ["a"], [0]],
+        ["c", 1, PICK_SOURCES.WEIGHTED, ["b"], [0, 1]],
+        ["d", 0.5, PICK_SOURCES.WEIGHTED, ["c"], [0]],
+      ]);
+    });
+
+    it('records a fallback pick with explain', function() {
+      // Given
+      const sequencesList = new CharDepthSequencingStrategy(1).getSequencesOfSet(["ab"]);
+      const probabilities = new SequenceProbabilityBuilder({ provenance: true }).build(sequencesList);
+      const concatenator = new SequenceConcatenator({
+        probabilities: probabilities,
+        seed: TEST_SEED,
+        endingPickMode: ENDING_PICK_MODES.NONE,
+        explain: true,
+      });
+      // When
+      const word = concatenator.generate(3, 3);
+      // Then
+      word.should.startWith("ab");
+      concatenator.trace.length.should.be.equal(3);
+      concatenator.trace[2].source.should.be.equal(PICK_SOURCES.FALLBACK);
+      concatenator.trace[2].sampleIndices.should.be.eql([0]);
+    });
+
+    it('throws with ending mode LEARNED, if the end is outside the length bounds', function() {
+      // Given
+      const sequencesList = new CharDepthSequencingStrategy(1).getSequencesOfSet(["abc"]);
+      const probabilities = new SequenceProbabilityBuilder({ endToken: true }).build(sequencesList);
+      const concatenator = new SequenceConcatenator({
+        probabilities: probabilities,
+        seed: TEST_SEED,
+        endingPickMode: ENDING_PICK_MODES.LEARNED,
+      });
+      // When
+      // Then
+      (() => concatenator.generate(1, 2)).should.throw();
+      (() => concatenator.generate(4, 10)).should.throw();
+    });
   });
 });
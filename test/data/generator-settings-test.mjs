@@ -0,0 +1,184 @@
+import should from 'should';
+import GeneratorSettings from "../../script/generator/data/generator-settings.mjs";
+import WeightedSample from "../../script/generator/data/weighted-sample.mjs";
+import { SEQUENCING_STRATEGIES } from "../../script/generator/data/generator-settings.mjs";
+import { GENERATOR_TYPES } from "../../script/generator/data/generator-settings.mjs";
+import { SPELLING_STRATEGIES } from "../../script/generator/data/generator-settings.mjs";
+import CharDepthSequencingStrategy from "../../script/generator/sequencing/char-depth-sequencing-strategy.mjs";
+import DelimiterSequencingStrategy from "../../script/generator/sequencing/delimiter-sequencing-strategy.mjs";
+import BeginningCapitalsSpellingStrategy from "../../script/generator/postprocessing/beginning-capitals-strategy.mjs";
+
+describe('GeneratorSettings', function() {
+  describe('toObject and fromObject', function() {
+    it('round-trips the settings', function() {
+      // Given
+      const settings = new GeneratorSettings({
+        id: "abc",
+        name: "Test",
+        sampleSet: ["Bob", "Bobby"],
+        depth: 2,
+        order: 2,
+        sequencingStrategy: SEQUENCING_STRATEGIES.DELIMITER,
+        delimiter: "-",
+        spellingStrategy: SPELLING_STRATEGIES.CAPITALIZE_FIRST_LETTER,
+        temperature: 0.5,
+      });
+      // When
+      const result = GeneratorSettings.fromObject(settings.toObject());
+      // Then
+      result.should.be.eql(settings);
+    });
+
+    it('round-trips weighted samples', function() {
+      // Given
+      const settings = new GeneratorSettings({
+        id: "abc",
+        sampleSet: ["Bob", new WeightedSample({ text: "John", weight: 5 })],
+      });
+      // When
+      const obj = settings.toObject();
+      const result = GeneratorSettings.fromObject(obj);
+      // Then
+      obj.sampleSet.should.be.eql(["Bob", { text: "John", weight: 5 }]);
+      result.should.be.eql(settings);
+    });
+
+    it('round-trips a blend', function() {
+      // Given
+      const settings = new GeneratorSettings({
+        id: "abc",
+        type: GENERATOR_TYPES.BLEND,
+        blendSources: [{ id: "elvish", weight: 70 }, { id: "human", weight: 30 }],
+      });
+      // When
+      const result = GeneratorSettings.fromObject(settings.toObject());
+      // Then
+      result.should.be.eql(settings);
+    });
+
+    it('reads the depth and delimiter of settings persisted in the old shape', function() {
+      // Given
+      const obj = {
+        id: "abc",
+        sampleSet: ["Bob", "Bobby"],
+        sequencingStrategy: SEQUENCING_STRATEGIES.DELIMITER,
+        sequencingStrategySettings: { depth: 2, delimiter: "-" },
+        spellingStrategy: SPELLING_STRATEGIES.NONE,
+        spellingStrategySettings: undefined,
+      };
+      // When
+      const result = GeneratorSettings.fromObject(obj);
+      // Then
+      result.depth.should.be.equal(2);
+      result.delimiter.should.be.equal("-");
+      result.sequencingStrategy.should.be.equal(SEQUENCING_STRATEGIES.DELIMITER);
+      result.toGenerator().sequencingStrategy.should.be.instanceOf(DelimiterSequencingStrategy);
+    });
+
+    it('reads a sample set of plain strings', function() {
+      // Given
+      const obj = {
+        id: "abc",
+        sampleSet: ["Bob", "Bobby"],
+      };
+      // When
+      const result = GeneratorSettings.fromObject(obj);
+      // Then
+      result.sampleSet.should.be.eql(["Bob", "Bobby"]);
+      result.toObject().sampleSet.should.be.eql(["Bob", "Bobby"]);
+    });
+  });
+
+  describe('toGenerator', function() {
+    it('creates a generator with a char depth sequencing strategy', function() {
+      // Given
+      const settings = new GeneratorSettings({
+        id: "abc",
+        sampleSet: ["Bob", "Bobby"],
+        depth: 2,
+        spellingStrategy: SPELLING_STRATEGIES.CAPITALIZE_FIRST_LETTER,
+      });
+      // When
+      const result = settings.toGenerator();
+      // Then
+      result.sampleSet.should.be.eql(["Bob", "Bobby"]);
+      result.sequencingStrategy.should.be.instanceOf(CharDepthSequencingStrategy);
+      result.sequencingStrategy.depth.should.be.equal(2);
+      result.spellingStrategy.should.be.instanceOf(BeginningCapitalsSpellingStrategy);
+    });
+
+    it('creates a generator of a blend from the current sample sets', function() {
+      // Given
+      const elvish = new GeneratorSettings({ id: "elvish", sampleSet: ["Aelar", "Aerin"] });
+      const human = new GeneratorSettings({ id: "human", sampleSet: ["Thomas"] });
+      const blend = new GeneratorSettings({
+        id: "half-elvish",
+        type: GENERATOR_TYPES.BLEND,
+        blendSources: [{ id: "elvish", weight: 70 }, { id: "human", weight: 30 }],
+      });
+      // When
+      human.sampleSet = ["Thomas", "Theodore"];
+      const result = blend.toGenerator({ generatorSettings: [elvish, human, blend] });
+      // Then
+      result.sampleSet.should.be.eql(["Aelar", "Aerin", "Thomas", "Theodore"]);
+      result.generate(3).words.length.should.be.equal(3);
+    });
+
+    it('throws for a blend of a generator without id', function() {
+      // Given
+      const elvish = new GeneratorSettings({ id: "elvish", sampleSet: ["Aelar", "Aerin"] });
+      const blend = new GeneratorSettings({
+        id: "half-elvish",
+        type: GENERATOR_TYPES.BLEND,
+        blendSources: [{ id: "elvish", weight: 70 }, { id: undefined, weight: 30 }],
+      });
+      // When
+      const toGenerator = () => blend.toGenerator({ generatorSettings: [elvish, blend] });
+      // Then
+      toGenerator.should.throw(/has no id/);
+    });
+
+    it('throws for a blend of a missing generator', function() {
+      // Given
+      const blend = new GeneratorSettings({
+        id: "half-elvish",
+        type: GENERATOR_TYPES.BLEND,
+        blendSources: [{ id: "elvish", weight: 1 }],
+      });
+      // When
+      // Then
+      (() => blend.toGenerator({ generatorSettings: [blend] })).should.throw(/elvish/);
+    });
+
+    it('creates a generator with a delimiter sequencing strategy', function() {
+      // Given
+      const settings = new GeneratorSettings({
+        id: "abc",
+        sampleSet: ["Bo-b", "Bo-b-by"],
+        sequencingStrategy: SEQUENCING_STRATEGIES.DELIMITER,
+        delimiter: "-",
+      });
+      // When
+      const result = settings.toGenerator();
+      // Then
+      result.sequencingStrategy.should.be.instanceOf(DelimiterSequencingStrategy);
+      result.sequencingStrategy.delimiter.should.be.equal("-");
+      should.not.exist(result.spellingStrategy);
+    });
+  });
+
+  describe('addSamples', function() {
+    it('adds "Bobbin" with a weight of 3 and skips "bob"', function() {
+      // Given
+      const settings = new GeneratorSettings({
+        id: "abc",
+        sampleSet: ["Bob"],
+      });
+      // When
+      const result = settings.addSamples(["Bobbin", "bob"], 3);
+      // Then
+      result.should.be.equal(1);
+      settings.toObject().sampleSet.should.be.eql(["Bob", { text: "Bobbin", weight: 3 }]);
+    });
+  });
+});
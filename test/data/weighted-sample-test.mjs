@@ -0,0 +1,80 @@
+import should from 'should';
+import WeightedSample from "../../script/generator/data/weighted-sample.mjs";
+
+describe('WeightedSample', function() {
+  describe('from', function() {
+    it('returns a sample with a weight of 1 for "Bob"', function() {
+      // Given
+      // When
+      const result = WeightedSample.from("Bob");
+      // Then
+      result.text.should.be.equal("Bob");
+      result.weight.should.be.equal(1);
+    });
+
+    it('returns a sample with a weight of 3 for { text: "Bob", weight: 3 }', function() {
+      // Given
+      // When
+      const result = WeightedSample.from({ text: "Bob", weight: 3 });
+      // Then
+      result.text.should.be.equal("Bob");
+      result.weight.should.be.equal(3);
+    });
+
+    it('throws for a weight of 0', function() {
+      // Given
+      // When
+      // Then
+      (() => WeightedSample.from({ text: "Bob", weight: 0 })).should.throw();
+    });
+  });
+
+  describe('toObject', function() {
+    it('returns the text alone for a weight of 1', function() {
+      // Given
+      const sample = new WeightedSample({ text: "Bob" });
+      // When
+      const result = sample.toObject();
+      // Then
+      result.should.be.equal("Bob");
+    });
+
+    it('returns text and weight for a weight of 2', function() {
+      // Given
+      const sample = new WeightedSample({ text: "Bob", weight: 2 });
+      // When
+      const result = sample.toObject();
+      // Then
+      result.should.be.eql({ text: "Bob", weight: 2 });
+    });
+
+    it('returns text, weight and tags for a tagged sample', function() {
+      // Given
+      const sample = new WeightedSample({ text: "Mary", tags: ["female"] });
+      // When
+      const result = sample.toObject();
+      // Then
+      result.should.be.eql({ text: "Mary", weight: 1, tags: ["female"] });
+    });
+  });
+
+  describe('hasAnyOf', function() {
+    it('returns true for a tag of a different case', function() {
+      // Given
+      const sample = WeightedSample.from({ text: "Mary", tags: ["Female", "old"] });
+      // When
+      const result = sample.hasAnyOf(["female"]);
+      // Then
+      result.should.be.equal(true);
+    });
+
+    it('returns false for none of the tags', function() {
+      // Given
+      const sample = WeightedSample.from({ text: "Mary", tags: ["female"] });
+      // When
+      const result = sample.hasAnyOf(["male", "neutral"]);
+      // Then
+      result.should.be.equal(false);
+    });
+  });
+});
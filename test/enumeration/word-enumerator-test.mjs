@@ -0,0 +1,111 @@
+import should from 'should';
+import WordEnumerator from "../../script/generator/enumeration/word-enumerator.mjs";
+import SequenceProbabilityBuilder from "../../script/generator/probability-building/sequence-probability-builder.mjs";
+import CharDepthSequencingStrategy from "../../script/generator/sequencing/char-depth-sequencing-strategy.mjs";
+
+describe('WordEnumerator', function() {
+  const sequencingStrategy = new CharDepthSequencingStrategy(1);
+
+  function getProbabilitiesOf(sampleSet, args = {}) {
+    return new SequenceProbabilityBuilder(args).build(
+      sequencingStrategy.getSequencesOfSet(sampleSet)
+    );
+  }
+
+  describe('enumerate', function() {
+    it('returns "ab" and "ac", most probable first', function() {
+      // Given
+      const enumerator = new WordEnumerator({
+        probabilities: getProbabilitiesOf(["ab", "ab", "ac"]),
+      });
+      // When
+      const result = Array.from(enumerator.enumerate({ minLength: 1, maxLength: 5 }));
+      // Then
+      result.map(it => it.word).should.be.eql(["ab", "ac"]);
+      result[0].probability.should.be.approximately(2 / 3, 0.0001);
+      result[1].probability.should.be.approximately(1 / 3, 0.0001);
+    });
+
+    it('returns every word of a looping chain within the lengths', function() {
+      // Given
+      const enumerator = new WordEnumerator({
+        probabilities: getProbabilitiesOf(["aba"]),
+      });
+      // When
+      const result = Array.from(enumerator.enumerate({ minLength: 1, maxLength: 5 }));
+      // Then
+      result.map(it => it.word).sort().should.be.eql(["a", "aba", "ababa"]);
+    });
+
+    it('returns only words within the lengths', function() {
+      // Given
+      const enumerator = new WordEnumerator({
+        probabilities: getProbabilitiesOf(["aba"]),
+      });
+      // When
+      const result = Array.from(enumerator.enumerate({ minLength: 2, maxLength: 4 }));
+      // Then
+      result.map(it => it.word).should.be.eql(["aba"]);
+    });
+
+    it('includes the probability of ending, with endToken', function() {
+      // Given
+      const enumerator = new WordEnumerator({
+        probabilities: getProbabilitiesOf(["aba"], { endToken: true }),
+      });
+      // When
+      const result = Array.from(enumerator.enumerate({ minLength: 1, maxLength: 5 }));
+      // Then
+      result.map(it => it.word).should.be.eql(["a", "aba", "ababa"]);
+      result[0].probability.should.be.approximately(0.5, 0.0001);
+      result[1].probability.should.be.approximately(0.25, 0.0001);
+      result[2].probability.should.be.approximately(0.125, 0.0001);
+    });
+
+    it('returns no more words than the limit', function() {
+      // Given
+      const enumerator = new WordEnumerator({
+        probabilities: getProbabilitiesOf(["ab", "ab", "ac"]),
+      });
+      // When
+      const result = Array.from(enumerator.enumerate({ minLength: 1, maxLength: 5, limit: 1 }));
+      // Then
+      result.map(it => it.word).should.be.eql(["ab"]);
+    });
+
+    it('returns no words less probable than the minimum probability', function() {
+      // Given
+      const enumerator = new WordEnumerator({
+        probabilities: getProbabilitiesOf(["aba"], { endToken: true }),
+      });
+      // When
+      const result = Array.from(enumerator.enumerate({ minLength: 1, maxLength: 9, minProbability: 0.2 }));
+      // Then
+      result.map(it => it.word).should.be.eql(["a", "aba"]);
+    });
+
+    it('produces words lazily', function() {
+      // Given
+      const enumerator = new WordEnumerator({
+        probabilities: getProbabilitiesOf(["ab", "ab", "ac"]),
+      });
+      // When
+      const iterator = enumerator.enumerate({ minLength: 1, maxLength: 5 });
+      // Then
+      iterator.next().value.word.should.be.equal("ab");
+      iterator.next().value.word.should.be.equal("ac");
+      iterator.next().done.should.be.equal(true);
+    });
+
+    it('throws for a maximum length of 0', function() {
+      // Given
+      const enumerator = new WordEnumerator({
+        probabilities: getProbabilitiesOf(["ab"]),
+      });
+      // When
+      const enumerate = () => enumerator.enumerate({ minLength: 1, maxLength: 0 }).next();
+      // Then
+      enumerate.should.throw(/maxLength/);
+    });
+  });
+});
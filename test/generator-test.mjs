@@ -2,14 +2,57 @@ import should from 'should';
 import sinon from 'sinon';
 import 'should-sinon';
 import WordGenerator from '../script/generator/generator.mjs';
+import { STOP_REASONS } from '../script/generator/generator.mjs';
 import BeginningCapitalsSpellingStrategy from '../script/generator/postprocessing/beginning-capitals-strategy.mjs';
 import CharDepthSequencingStrategy from '../script/generator/sequencing/char-depth-sequencing-strategy.mjs';
+import SequenceConcatenator from '../script/generator/concatenation/sequence-concatenator.mjs';
 import { ENDING_PICK_MODES } from '../script/generator/concatenation/sequence-concatenator.mjs';
+import { SearchLimitError } from '../script/generator/concatenation/sequence-concatenator.mjs';
+import { getLevenshteinDistance } from '../script/util/levenshtein.mjs';
 
 describe('WordGenerator', function() {
   const testSeed = "Test1234567890";
 
   describe('generate', function() {
+    const regressionSampleSet = [
+      "Tarrin",
+      "Tarkis",
+      "Terrin",
+      "Tederis",
+      "Teszederin",
+      "Dódàrin",
+      "Dànyis",
+      "Karis",
+      "Aelar",
+      "Bob",
+    ];
+    // Generated by the generator before `order` was introduced. 
+    const regressionWords = [
+      { depth: 2, endingPickMode: ENDING_PICK_MODES.NONE, words: ["dódàri", "tarrinri", "tarrintarr", "karista", "aelarsz", "teszed", "terrin", "tark"] },
+      { depth: 2, endingPickMode: ENDING_PICK_MODES.RANDOM, words: ["dódàin", "teis", "tarrintais", "tederinn", "dódànyin", "teszeds", "tarrintab", "teszedb"] },
+      { depth: 2, endingPickMode: ENDING_PICK_MODES.FOLLOW_BRANCH, words: ["dódàde", "dódànyka", "tarrindóny", "karistedà", "aelarta", "dànyisnyte", "dàrisdó", "kariny"] },
+      { depth: 3, endingPickMode: ENDING_PICK_MODES.NONE, words: ["dódàri", "dànyis", "tederi", "karisdàn", "tarrintes", "terrintar", "aelardód", "terrinaelar"] },
+      { depth: 3, endingPickMode: ENDING_PICK_MODES.RANDOM, words: ["dódrin", "tarrinn", "tarrinrin", "teszedyis", "dódàriyis", "terrinaelis", "terrinis", "tedrin"] },
+      { depth: 3, endingPickMode: ENDING_PICK_MODES.FOLLOW_BRANCH, words: ["dódter", "tesàri", "karisdód", "dànael", "tederinted", "teszedzed", "tarrinkareri", "dódàrinael"] },
+    ];
+    for (const regression of regressionWords) {
+      it(`should generate the same seeded words as before, at depth ${regression.depth} and ending pick mode ${regression.endingPickMode}`, function() {
+        // Given
+        const generator = new WordGenerator({
+          sampleSet: regressionSampleSet,
+          sequencingStrategy: new CharDepthSequencingStrategy(regression.depth),
+          targetLengthMin: 4,
+          targetLengthMax: 10,
+          seed: testSeed,
+          endingPickMode: regression.endingPickMode,
+        });
+        // When
+        const words = generator.generate(8).words;
+        // Then
+        words.should.be.eql(regression.words);
+      });
+    }
+
     it('should generate 1 word without spelling strategy', function() {
       // Given
       const sampleSet = [
@@ -29,7 +72,7 @@ describe('WordGenerator', function() {
         endingPickMode: ENDING_PICK_MODES.NONE,
       });
       // When
-      const generated = generator.generate(1);
+      const generated = generator.generate(1).words;
       // Then
       generated.length.should.be.equal(1);
     });
@@ -53,7 +96,7 @@ describe('WordGenerator', function() {
         endingPickMode: ENDING_PICK_MODES.NONE,
       });
       // When
-      const generated = generator.generate(3);
+      const generated = generator.generate(3).words;
       // Then
       generated.length.should.be.equal(3);
     });
@@ -79,7 +122,7 @@ describe('WordGenerator', function() {
         endingPickMode: ENDING_PICK_MODES.NONE,
       });
       // When
-      const generated = generator.generate(3);
+      const generated = generator.generate(3).words;
       // Then
       generated.length.should.be.equal(3);
     });
@@ -123,10 +166,873 @@ describe('WordGenerator', function() {
         endingPickMode: ENDING_PICK_MODES.NONE,
       });
       // When
-      const generated = generator.generate(100);
+      const generated = generator.generate(100).words;
       // Then
       generated.length.should.be.equal(100);
     });
+
+    it('should generate 10 words with order 3', function() {
+      // Given
+      const sampleSet = [
+        "Tarrin",
+        "Tarkin",
+        "Terrin",
+        "Tederin",
+        "Teszederin",
+      ];
+      const sequencingStrategy = new CharDepthSequencingStrategy(1);
+      const generator = new WordGenerator({
+        sampleSet: sampleSet,
+        sequencingStrategy: sequencingStrategy,
+        order: 3,
+        targetLengthMin: 5,
+        targetLengthMax: 10,
+        seed: testSeed,
+        endingPickMode: ENDING_PICK_MODES.NONE,
+      });
+      // When
+      const generated = generator.generate(10).words;
+      // Then
+      generated.length.should.be.equal(10);
+    });
+
+    it('should throw for order 0', function() {
+      // Given
+      const sequencingStrategy = new CharDepthSequencingStrategy(1);
+      // When
+      // Then
+      (() => new WordGenerator({
+        sampleSet: ["Bob"],
+        sequencingStrategy: sequencingStrategy,
+        order: 0,
+        targetLengthMin: 3,
+        targetLengthMax: 4,
+      })).should.throw();
+    });
+
+    it('should throw for a negative temperature', function() {
+      // Given
+      const sequencingStrategy = new CharDepthSequencingStrategy(1);
+      // When
+      // Then
+      (() => new WordGenerator({
+        sampleSet: ["Bob"],
+        sequencingStrategy: sequencingStrategy,
+        temperature: -1,
+        targetLengthMin: 3,
+        targetLengthMax: 4,
+      })).should.throw();
+    });
+
+    it('should strictly generate 10 words within the target lengths', function() {
+      // Given
+      const sampleSet = [
+        "Tarrin",
+        "Tarkin",
+        "Terrin",
+        "Tederin",
+        "Bob",
+        "Bobby",
+        "Gobob",
+      ];
+      const min = 4;
+      const max = 6;
+      const generator = new WordGenerator({
+        sampleSet: sampleSet,
+        sequencingStrategy: new CharDepthSequencingStrategy(1),
+        targetLengthMin: min,
+        targetLengthMax: max,
+        seed: testSeed,
+        strict: true,
+      });
+      const endings = ["n", "b", "y"];
+      // When
+      const words = generator.generate(10).words;
+      // Then
+      words.length.should.be.equal(10);
+      new Set(words).size.should.be.equal(10);
+      for (const word of words) {
+        word.length.should.be.within(min, max);
+        endings.should.containEql(word[word.length - 1]);
+      }
+    });
+
+    it('should reject copies and near-copies of samples with novelty', function() {
+      // Given
+      const sampleSet = [
+        "Bob",
+        "Bobby",
+        "Gobob",
+      ];
+      const generator = new WordGenerator({
+        sampleSet: sampleSet,
+        sequencingStrategy: new CharDepthSequencingStrategy(1),
+        targetLengthMin: 3,
+        targetLengthMax: 6,
+        seed: testSeed,
+        endingPickMode: ENDING_PICK_MODES.NONE,
+        novelty: true,
+        noveltyDistance: 1,
+      });
+      // When
+      const words = generator.generate(10).words;
+      // Then
+      for (const word of words) {
+        for (const sample of sampleSet) {
+          getLevenshteinDistance(word.toLowerCase(), sample.toLowerCase()).should.be.above(1);
+        }
+      }
+      const statistics = generator.rejectionStatistics;
+      (statistics.sampleCopies + statistics.nearCopies).should.be.above(0);
+    });
+
+    it('should generate 5 words starting with "te" with constraints', function() {
+      // Given
+      const sampleSet = [
+        "Tarrin",
+        "Tarkin",
+        "Terrin",
+        "Tederin",
+        "Bob",
+        "Bobby",
+      ];
+      const generator = new WordGenerator({
+        sampleSet: sampleSet,
+        sequencingStrategy: new CharDepthSequencingStrategy(1),
+        targetLengthMin: 4,
+        targetLengthMax: 8,
+        seed: testSeed,
+        spellingStrategy: new BeginningCapitalsSpellingStrategy(),
+      });
+      // When
+      const words = generator.generate(5, { constraints: { prefix: "Te" } }).words;
+      // Then
+      words.length.should.be.equal(5);
+      words.forEach(it => it.startsWith("Te").should.be.equal(true));
+    });
+
+    it('should generate 5 words rhyming with "Bornheim"', function() {
+      // Given
+      const sampleSet = [
+        "Bornheim",
+        "Mannheim",
+        "Tarrin",
+        "Terrin",
+        "Tederin",
+        "Bobby",
+      ];
+      const generator = new WordGenerator({
+        sampleSet: sampleSet,
+        sequencingStrategy: new CharDepthSequencingStrategy(1),
+        targetLengthMin: 4,
+        targetLengthMax: 10,
+        seed: testSeed,
+      });
+      // When
+      const words = generator.generate(5, { rhymesWith: "Bornheim" }).words;
+      // Then
+      words.length.should.be.equal(5);
+      words.forEach(it => it.endsWith("eim").should.be.equal(true));
+      words.should.not.containEql("bornheim");
+    });
+
+    it('should generate 5 words ranked by their score', function() {
+      // Given
+      const sampleSet = [
+        "Tarrin",
+        "Tarkin",
+        "Terrin",
+        "Tederin",
+        "Bob",
+        "Bobby",
+      ];
+      const generator = new WordGenerator({
+        sampleSet: sampleSet,
+        sequencingStrategy: new CharDepthSequencingStrategy(1),
+        targetLengthMin: 3,
+        targetLengthMax: 8,
+        seed: testSeed,
+        entropy: 0.2,
+      });
+      // When
+      const words = generator.generate(5, { ranked: true, oversampling: 4 }).words;
+      // Then
+      words.length.should.be.equal(5);
+      const scores = words.map(it => generator.score(it).score);
+      for (let i = 1; i < scores.length; i++) {
+        scores[i - 1].should.be.aboveOrEqual(scores[i]);
+      }
+    });
+
+    it('should report backoff statistics with order 3 and backoff', function() {
+      // Given
+      const sampleSet = [
+        "Tarrin",
+        "Tarkin",
+        "Terrin",
+        "Tederin",
+        "Teszederin",
+      ];
+      const sequencingStrategy = new CharDepthSequencingStrategy(1);
+      const generator = new WordGenerator({
+        sampleSet: sampleSet,
+        sequencingStrategy: sequencingStrategy,
+        order: 3,
+        backoff: true,
+        backoffSmoothing: 0.2,
+        targetLengthMin: 5,
+        targetLengthMax: 10,
+        seed: testSeed,
+        endingPickMode: ENDING_PICK_MODES.NONE,
+      });
+      // When
+      const generated = generator.generate(10).words;
+      // Then
+      generated.length.should.be.equal(10);
+      generator.backoffStatistics[3].should.be.greaterThan(0);
+      generator.backoffStatistics[2].should.be.greaterThan(0);
+    });
+
+    it('should generate the same words from an exported model', function() {
+      // Given
+      const sampleSet = [
+        "Tarrin",
+        "Tarkin",
+        "Terrin",
+        "Tederin",
+        "Teszederin",
+      ];
+      const args = {
+        targetLengthMin: 4,
+        targetLengthMax: 8,
+        seed: testSeed,
+        endingPickMode: ENDING_PICK_MODES.RANDOM,
+      };
+      const generator = new WordGenerator({
+        ...args,
+        sampleSet: sampleSet,
+        sequencingStrategy: new CharDepthSequencingStrategy(2),
+        order: 2,
+      });
+      const model = JSON.parse(JSON.stringify(generator.exportModel()));
+      // When
+      const restoredGenerator = WordGenerator.fromModel(model, args);
+      // Then
+      restoredGenerator.order.should.be.equal(2);
+      restoredGenerator.generate(5).words.should.be.eql(generator.generate(5).words);
+    });
+
+    it('should restore a model built with ending mode LEARNED and generate the same words', function() {
+      // Given
+      const sampleSet = [
+        "Tarrin",
+        "Tarkin",
+        "Terrin",
+        "Tederin",
+        "Teszederin",
+      ];
+      const args = {
+        targetLengthMin: 4,
+        targetLengthMax: 12,
+        seed: testSeed,
+      };
+      const generator = new WordGenerator({
+        ...args,
+        sampleSet: sampleSet,
+        sequencingStrategy: new CharDepthSequencingStrategy(2),
+        endingPickMode: ENDING_PICK_MODES.LEARNED,
+      });
+      const model = JSON.parse(JSON.stringify(generator.exportModel()));
+      // When
+      const restoredGenerator = WordGenerator.fromModel(model, args);
+      // Then
+      restoredGenerator.endingPickMode.should.be.equal(ENDING_PICK_MODES.LEARNED);
+      const words = restoredGenerator.generate(5).words;
+      words.should.be.eql(generator.generate(5).words);
+      words.forEach(it => it.should.not.containEql("\u0003"));
+    });
+
+    it('should throw for a model built with ending mode LEARNED and a different ending mode', function() {
+      // Given
+      const generator = new WordGenerator({
+        sampleSet: ["Tarrin", "Tarkin", "Terrin"],
+        sequencingStrategy: new CharDepthSequencingStrategy(1),
+        targetLengthMin: 4,
+        targetLengthMax: 8,
+        endingPickMode: ENDING_PICK_MODES.LEARNED,
+      });
+      // When
+      const restore = () => WordGenerator.fromModel(generator.exportModel(), {
+        targetLengthMin: 4,
+        targetLengthMax: 8,
+        endingPickMode: ENDING_PICK_MODES.RANDOM,
+      });
+      // Then
+      restore.should.throw(/LEARNED/);
+    });
+
+    it('should throw for an ending with a model without a reverse chain, rather than report a shortfall', function() {
+      // Given
+      const generator = new WordGenerator({
+        sampleSet: ["Tarrin", "Tarkin", "Terrin"],
+        sequencingStrategy: new CharDepthSequencingStrategy(1),
+        targetLengthMin: 4,
+        targetLengthMax: 8,
+        seed: testSeed,
+      });
+      const restoredGenerator = WordGenerator.fromModel(generator.exportModel(), {
+        targetLengthMin: 4,
+        targetLengthMax: 8,
+        seed: testSeed,
+      });
+      // When
+      const generate = () => restoredGenerator.generate(5, { endingWith: "in" });
+      // Then
+      generate.should.throw(/reverse/);
+    });
+
+    it('should generate 10000 unique words within the time budget, the same as before indexing the picks', function() {
+      // Given
+      // The budget is generous, so that only a return to linear scans of the picks fails it. 
+      const timeBudget = 30000;
+      this.timeout(timeBudget * 2);
+
+      const sampleSet = [
+        "Cáîn",
+        "Crellin",
+        "Czéllis",
+        "Dódàrin",
+        "Dànyis",
+        "Tarkin",
+        "Terris",
+        "Tzerin",
+        "Tederis",
+        "Teszederin",
+      ];
+      const generator = new WordGenerator({
+        sampleSet: sampleSet,
+        sequencingStrategy: new CharDepthSequencingStrategy(1),
+        targetLengthMin: 6,
+        targetLengthMax: 14,
+        seed: testSeed,
+        endingPickMode: ENDING_PICK_MODES.RANDOM,
+      });
+      // When
+      const startTime = Date.now();
+      const generated = generator.generate(10000).words;
+      const elapsed = Date.now() - startTime;
+      // Then
+      elapsed.should.be.lessThan(timeBudget);
+      new Set(generated).size.should.be.equal(10000);
+      // Generated by the generator before its branches were indexed and its picks binary-searched. 
+      generated.slice(0, 12).should.be.eql([
+        "tzélllin",
+        "teriszeliszn",
+        "tzéllliszés",
+        "teriszélinn",
+        "tzerisn",
+        "tzerinyiszeszs",
+        "terinyins",
+        "czerinyinys",
+        "terinyiszéln",
+        "cáînyinyis",
+        "dederiszeszes",
+        "czerkiszen",
+      ]);
+      generated[1999].should.be.equal("dàrkinyis");
+    });
+
+    it('should score a heavily weighted sample higher', function() {
+      // Given
+      const createGenerator = (sampleSet) => new WordGenerator({
+        sampleSet: sampleSet,
+        sequencingStrategy: new CharDepthSequencingStrategy(2),
+        targetLengthMin: 4,
+        targetLengthMax: 8,
+        seed: testSeed,
+      });
+      const unweighted = createGenerator(["John", "Jebediah", "Mary"]);
+      const weighted = createGenerator([{ text: "John", weight: 100 }, "Jebediah", "Mary"]);
+      // When
+      const unweightedScore = unweighted.score("John");
+      const weightedScore = weighted.score("John");
+      // Then
+      weightedScore.score.should.be.greaterThan(unweightedScore.score);
+    });
+
+    it('should generate words from a blend of two sample sets', function() {
+      // Given
+      const generator = WordGenerator.fromBlend([
+        { sampleSet: ["Aelar", "Aerin", "Aelwen"], weight: 1 },
+        { sampleSet: ["Thorin", "Thrain"], weight: 1 },
+      ], {
+        sequencingStrategy: new CharDepthSequencingStrategy(1),
+        targetLengthMin: 4,
+        targetLengthMax: 6,
+        seed: testSeed,
+      });
+      // When
+      const generated = generator.generate(10).words;
+      // Then
+      generated.length.should.be.equal(10);
+      const starts = new Set(generated.map(it => it[0]));
+      starts.has("a").should.be.equal(true);
+      starts.has("t").should.be.equal(true);
+    });
+
+    it('should generate 20 words starting mostly like the tagged samples with tags', function() {
+      // Given
+      const sampleSet = [
+        { text: "Zaria", tags: ["female"] },
+        { text: "Zelda", tags: ["female"] },
+        { text: "Zora", tags: ["female"] },
+        "Bran",
+        "Borin",
+        "Bertram",
+        "Baldric",
+        "Bodo",
+      ];
+      const generator = new WordGenerator({
+        sampleSet: sampleSet,
+        sequencingStrategy: new CharDepthSequencingStrategy(1),
+        targetLengthMin: 4,
+        targetLengthMax: 6,
+        seed: testSeed,
+      });
+      // When
+      const generated = generator.generate(20, { tags: ["female"], tagStrength: 0.9 }).words;
+      // Then
+      const tagged = generated.filter(it => it.startsWith("z"));
+      tagged.length.should.be.greaterThan(generated.length / 2);
+    });
+
+    it('should generate 20 words starting mostly like the liked words with liked', function() {
+      // Given
+      const sampleSet = [
+        "Zaria",
+        "Zelda",
+        "Bran",
+        "Borin",
+        "Bertram",
+        "Baldric",
+        "Bodo",
+        "Bilbo",
+      ];
+      const generator = new WordGenerator({
+        sampleSet: sampleSet,
+        sequencingStrategy: new CharDepthSequencingStrategy(1),
+        targetLengthMin: 4,
+        targetLengthMax: 6,
+        seed: testSeed,
+      });
+      // When
+      const generated = generator.generate(20, { liked: ["Zora", "Zelia"], likeStrength: 0.8 }).words;
+      // Then
+      const liked = generated.filter(it => it.startsWith("z"));
+      liked.length.should.be.greaterThan(generated.length / 2);
+    });
+
+    it('should generate 20 words starting mostly unlike the disliked words with disliked', function() {
+      // Given
+      const sampleSet = [
+        "Zaria",
+        "Zelda",
+        "Zora",
+        "Zelia",
+        "Bran",
+        "Borin",
+        "Bodo",
+        "Bilbo",
+      ];
+      const generator = new WordGenerator({
+        sampleSet: sampleSet,
+        sequencingStrategy: new CharDepthSequencingStrategy(1),
+        targetLengthMin: 4,
+        targetLengthMax: 6,
+        seed: testSeed,
+      });
+      // When
+      const generated = generator.generate(20, { disliked: ["Zara"], liked: ["Bodo"], dislikeFactor: 0.05 }).words;
+      // Then
+      const disliked = generated.filter(it => it.startsWith("z"));
+      disliked.length.should.be.lessThan(generated.length / 4);
+    });
+
+    it('should throw for liked words with a model and no sequencing strategy', function() {
+      // Given
+      const generator = new WordGenerator({
+        sampleSet: ["Tarrin", "Tarkin", "Terrin"],
+        sequencingStrategy: new CharDepthSequencingStrategy(1),
+        targetLengthMin: 4,
+        targetLengthMax: 8,
+        seed: testSeed,
+      });
+      const restoredGenerator = WordGenerator.fromModel(generator.exportModel(), {
+        targetLengthMin: 4,
+        targetLengthMax: 8,
+        seed: testSeed,
+      });
+      // When
+      const generate = () => restoredGenerator.generate(5, { liked: ["Tarrin"] });
+      // Then
+      generate.should.throw(/sequencing strategy/);
+    });
+
+    it('should return 1 of 5 words and a report, if no further unique word exists', function() {
+      // Given
+      const generator = new WordGenerator({
+        sampleSet: ["ab"],
+        sequencingStrategy: new CharDepthSequencingStrategy(1),
+        targetLengthMin: 2,
+        targetLengthMax: 2,
+        seed: testSeed,
+      });
+      // When
+      const result = generator.generate(5);
+      // Then
+      result.words.should.be.eql(["ab"]);
+      result.report.requested.should.be.equal(5);
+      result.report.generated.should.be.equal(1);
+      result.report.duplicates.should.be.greaterThan(0);
+      result.report.attempts.should.be.greaterThan(result.report.duplicates);
+      result.report.stopReason.should.be.equal(STOP_REASONS.MAX_ATTEMPTS);
+      should.exist(result.report.error);
+    });
+
+    it('should report an exhausted search, if strict and no further unique word exists', function() {
+      // Given
+      const generator = new WordGenerator({
+        sampleSet: ["ab"],
+        sequencingStrategy: new CharDepthSequencingStrategy(1),
+        targetLengthMin: 2,
+        targetLengthMax: 2,
+        strict: true,
+        seed: testSeed,
+      });
+      // When
+      const result = generator.generate(5);
+      // Then
+      result.words.length.should.be.equal(1);
+      result.report.stopReason.should.be.equal(STOP_REASONS.EXHAUSTED);
+      result.report.constraintFailures.should.be.equal(1);
+    });
+
+    it('should report a search limit, if strict and the search gave up', function() {
+      // Given
+      const generator = new WordGenerator({
+        sampleSet: ["Tarrin", "Tarkin", "Terrin"],
+        sequencingStrategy: new CharDepthSequencingStrategy(1),
+        targetLengthMin: 4,
+        targetLengthMax: 8,
+        strict: true,
+        seed: testSeed,
+      });
+      const generateStrict = sinon.stub(SequenceConcatenator.prototype, "generateStrict")
+        .throws(new SearchLimitError("gave up"));
+      // When
+      let result;
+      try {
+        result = generator.generate(5);
+      } finally {
+        generateStrict.restore();
+      }
+      // Then
+      result.words.length.should.be.equal(0);
+      result.report.stopReason.should.be.equal(STOP_REASONS.SEARCH_LIMIT);
+      result.report.constraintFailures.should.be.equal(1);
+    });
+
+    it('should throw with throwOnShortfall, if no further unique word exists', function() {
+      // Given
+      const generator = new WordGenerator({
+        sampleSet: ["ab"],
+        sequencingStrategy: new CharDepthSequencingStrategy(1),
+        targetLengthMin: 2,
+        targetLengthMax: 2,
+        seed: testSeed,
+      });
+      // When
+      const generate = () => generator.generate(5, { throwOnShortfall: true });
+      // Then
+      generate.should.throw(/Maximum number of tries/);
+    });
+
+    it('should estimate the capacity as the number of words a strict generator finds', function() {
+      // Given
+      const generator = new WordGenerator({
+        sampleSet: ["Bob", "Bobby", "Steve"],
+        sequencingStrategy: new CharDepthSequencingStrategy(1),
+        targetLengthMin: 3,
+        targetLengthMax: 5,
+        strict: true,
+        seed: testSeed,
+      });
+      // When
+      const capacity = generator.estimateCapacity();
+      // Then
+      const result = generator.generate(capacity + 5);
+      result.words.length.should.be.equal(capacity);
+      result.report.stopReason.should.be.equal(STOP_REASONS.EXHAUSTED);
+    });
+
+    it('should enumerate as many words as the estimated capacity, most probable first', function() {
+      // Given
+      const generator = new WordGenerator({
+        sampleSet: ["Bob", "Bobby", "Steve"],
+        sequencingStrategy: new CharDepthSequencingStrategy(1),
+        targetLengthMin: 3,
+        targetLengthMax: 5,
+        seed: testSeed,
+      });
+      // When
+      const enumerated = Array.from(generator.enumerate());
+      // Then
+      enumerated.length.should.be.equal(generator.estimateCapacity());
+      enumerated.map(it => it.word).should.containEql("bob");
+      for (let i = 1; i < enumerated.length; i++) {
+        enumerated[i].probability.should.be.belowOrEqual(enumerated[i - 1].probability);
+      }
+    });
+
+    it('should enumerate only the 2 most probable words with a limit of 2', function() {
+      // Given
+      const generator = new WordGenerator({
+        sampleSet: ["Bob", "Bobby", "Steve"],
+        sequencingStrategy: new CharDepthSequencingStrategy(1),
+        targetLengthMin: 3,
+        targetLengthMax: 5,
+        seed: testSeed,
+      });
+      const all = Array.from(generator.enumerate());
+      // When
+      const enumerated = Array.from(generator.enumerate({ limit: 2 }));
+      // Then
+      enumerated.should.be.eql(all.slice(0, 2));
+    });
+
+    it('should iterate the same words as generate, lazily', function() {
+      // Given
+      const generator = new WordGenerator({
+        sampleSet: ["Tarrin", "Tarkis", "Terrin", "Tederis", "Dànyis", "Karis"],
+        sequencingStrategy: new CharDepthSequencingStrategy(1),
+        targetLengthMin: 4,
+        targetLengthMax: 8,
+        seed: testSeed,
+      });
+      const expected = generator.generate(5).words;
+      // When
+      const iterator = generator.iterate();
+      const words = [];
+      for (let i = 0; i < 5; i++) {
+        words.push(iterator.next().value);
+      }
+      // Then
+      words.should.be.eql(expected);
+    });
+
+    it('should iterate until no further unique word exists and return a report', function() {
+      // Given
+      const generator = new WordGenerator({
+        sampleSet: ["Bob", "Bobby", "Steve"],
+        sequencingStrategy: new CharDepthSequencingStrategy(1),
+        targetLengthMin: 3,
+        targetLengthMax: 5,
+        strict: true,
+        seed: testSeed,
+      });
+      const iterator = generator.iterate();
+      // When
+      const words = [];
+      let step = iterator.next();
+      while (step.done !== true) {
+        words.push(step.value);
+        step = iterator.next();
+      }
+      // Then
+      words.length.should.be.equal(generator.estimateCapacity());
+      new Set(words).size.should.be.equal(words.length);
+      step.value.generated.should.be.equal(words.length);
+      step.value.stopReason.should.be.equal(STOP_REASONS.EXHAUSTED);
+    });
+
+    it('should count the rejections of an iteration that is stopped early', function() {
+      // Given
+      const generator = new WordGenerator({
+        sampleSet: ["Bob", "Bobby", "Steve"],
+        sequencingStrategy: new CharDepthSequencingStrategy(1),
+        targetLengthMin: 3,
+        targetLengthMax: 5,
+        seed: testSeed,
+      });
+      const countRejectionsInto = sinon.spy(generator, "_countRejectionsInto");
+      // When
+      for (const word of generator.iterate()) {
+        break;
+      }
+      // Then
+      countRejectionsInto.should.be.calledOnce();
+      const generation = countRejectionsInto.firstCall.args[0];
+      generation.report.duplicates.should.be.equal(generation.rejectionStatistics.duplicates);
+    });
+
+    it('should generate the same words asynchronously and report progress', async function() {
+      // Given
+      const generator = new WordGenerator({
+        sampleSet: ["Tarrin", "Tarkis", "Terrin", "Tederis", "Dànyis", "Karis"],
+        sequencingStrategy: new CharDepthSequencingStrategy(1),
+        targetLengthMin: 4,
+        targetLengthMax: 8,
+        seed: testSeed,
+      });
+      const expected = generator.generate(5).words;
+      const onProgress = sinon.spy();
+      // When
+      const result = await generator.generateAsync(5, { onProgress: onProgress });
+      // Then
+      result.words.should.be.eql(expected);
+      result.report.stopReason.should.be.equal(STOP_REASONS.COMPLETED);
+      onProgress.should.have.callCount(5);
+      onProgress.should.be.calledWith(5, 5);
+    });
+
+    it('should return the words generated so far, when aborted', async function() {
+      // Given
+      const generator = new WordGenerator({
+        sampleSet: ["Tarrin", "Tarkis", "Terrin", "Tederis", "Dànyis", "Karis"],
+        sequencingStrategy: new CharDepthSequencingStrategy(1),
+        targetLengthMin: 4,
+        targetLengthMax: 8,
+        seed: testSeed,
+      });
+      const controller = new AbortController();
+      const onProgress = (generated) => {
+        if (generated === 2) controller.abort();
+      };
+      // When
+      const result = await generator.generateAsync(5, { signal: controller.signal, onProgress: onProgress });
+      // Then
+      result.words.length.should.be.equal(2);
+      result.report.stopReason.should.be.equal(STOP_REASONS.ABORTED);
+    });
+
+    it('should throw when aborted, with throwOnShortfall', async function() {
+      // Given
+      const generator = new WordGenerator({
+        sampleSet: ["Tarrin", "Tarkis", "Terrin", "Tederis", "Dànyis", "Karis"],
+        sequencingStrategy: new CharDepthSequencingStrategy(1),
+        targetLengthMin: 4,
+        targetLengthMax: 8,
+        seed: testSeed,
+      });
+      const controller = new AbortController();
+      controller.abort();
+      // When
+      const generate = generator.generateAsync(5, { signal: controller.signal, throwOnShortfall: true });
+      // Then
+      await generate.should.be.rejectedWith(/aborted/);
+    });
+
+    it('should throw for a tag strength of 1', function() {
+      // Given
+      const generator = new WordGenerator({
+        sampleSet: [{ text: "Zaria", tags: ["female"] }, "Bran"],
+        sequencingStrategy: new CharDepthSequencingStrategy(1),
+        targetLengthMin: 4,
+        targetLengthMax: 6,
+        seed: testSeed,
+      });
+      // When
+      const generate = () => generator.generate(1, { tags: ["female"], tagStrength: 1 });
+      // Then
+      generate.should.throw(/tagStrength/);
+    });
+
+    it('should generate 5 variations of "Tarrin", closest first', function() {
+      // Given
+      const sampleSet = [
+        "Tarrin",
+        "Tarkis",
+        "Terrin",
+        "Tederis",
+        "Dànyis",
+        "Karis",
+      ];
+      const generator = new WordGenerator({
+        sampleSet: sampleSet,
+        sequencingStrategy: new CharDepthSequencingStrategy(1),
+        targetLengthMin: 4,
+        targetLengthMax: 8,
+        seed: testSeed,
+      });
+      // When
+      const variations = generator.generateVariations("Tarrin", 5);
+      // Then
+      variations.length.should.be.equal(5);
+      variations.should.not.containEql("tarrin");
+      const distances = variations.map(it => getLevenshteinDistance("tarrin", it));
+      distances.should.be.eql(distances.slice().sort((a, b) => a - b));
+    });
+
+    it('should explain 5 words with explain', function() {
+      // Given
+      const sampleSet = [
+        "Tarrin",
+        "Tarkis",
+        "Terrin",
+        "Tederis",
+        "Dànyis",
+      ];
+      const generator = new WordGenerator({
+        sampleSet: sampleSet,
+        sequencingStrategy: new CharDepthSequencingStrategy(2),
+        targetLengthMin: 4,
+        targetLengthMax: 8,
+        seed: testSeed,
+      });
+      // When
+      const explanations = generator.generate(5, { explain: true }).words;
+      // Then
+      explanations.length.should.be.equal(5);
+      for (const explanation of explanations) {
+        explanation.picks.map(it => it.sequenceChars).join("").should.be.equal(explanation.word);
+        for (const pick of explanation.picks) {
+          const transition = (pick.context ?? []).join("") + pick.sequenceChars;
+          pick.samples.some(it => it.toLowerCase().includes(transition)).should.be.equal(true);
+        }
+      }
+    });
+
+    it('should generate 12 words ending like the samples with ending mode LEARNED', function() {
+      // Given
+      const sampleSet = [
+        "Tarrin",
+        "Tarkis",
+        "Terrin",
+        "Tederis",
+        "Teszederin",
+        "Dódàrin",
+        "Dànyis",
+      ];
+      const min = 4;
+      const max = 10;
+      const generator = new WordGenerator({
+        sampleSet: sampleSet,
+        sequencingStrategy: new CharDepthSequencingStrategy(1),
+        order: 2,
+        targetLengthMin: min,
+        targetLengthMax: max,
+        seed: testSeed,
+        endingPickMode: ENDING_PICK_MODES.LEARNED,
+      });
+      // When
+      const generated = generator.generate(12).words;
+      // Then
+      generated.length.should.be.equal(12);
+      generated.forEach(it => {
+        it.length.should.be.within(min, max);
+        (it.endsWith("in") || it.endsWith("is")).should.be.equal(true);
+      });
+    });
   });
 
 });
@@ -0,0 +1,114 @@
+import should from 'should';
+import SequenceProbabilityBlender from "../../script/generator/probability-building/sequence-probability-blender.mjs";
+import SequenceProbabilityBuilder from "../../script/generator/probability-building/sequence-probability-builder.mjs";
+import CharDepthSequencingStrategy from "../../script/generator/sequencing/char-depth-sequencing-strategy.mjs";
+
+describe('SequenceProbabilityBlender', function() {
+  const build = (sampleSet, args = {}) => new SequenceProbabilityBuilder(args).build(
+    new CharDepthSequencingStrategy(1).getSequencesOfSet(sampleSet)
+  );
+  const unstack = (list) => list.map((it, index) => it.probability - (index > 0 ? list[index - 1].probability : 0));
+
+  describe('blend', function() {
+    it('interpolates the following sequences of ["ab"] and ["ac"] with the weights 0.7 and 0.3', function() {
+      // Given
+      const blender = new SequenceProbabilityBlender();
+      // When
+      const blended = blender.blend([
+        { probabilities: build(["ab"]), weight: 0.7 },
+        { probabilities: build(["ac"]), weight: 0.3 },
+      ]);
+      // Then
+      blended.branches.length.should.be.equal(1);
+      blended.branches[0].sequenceChars.should.be.equal("a");
+      blended.branches[0].branches.map(it => it.sequenceChars).should.be.eql(["b", "c"]);
+      unstack(blended.branches[0].branches)[0].should.be.approximately(0.7, 0.0001);
+      unstack(blended.branches[0].branches)[1].should.be.approximately(0.3, 0.0001);
+      blended.endings.map(it => it.sequenceChars).should.be.eql(["b", "c"]);
+      unstack(blended.endings)[0].should.be.approximately(0.7, 0.0001);
+    });
+
+    it('keeps the probabilities of a context known to only one chain', function() {
+      // Given
+      const blender = new SequenceProbabilityBlender();
+      // When
+      const blended = blender.blend([
+        { probabilities: build(["ab", "ac"]), weight: 1 },
+        { probabilities: build(["xy"]), weight: 3 },
+      ]);
+      // Then
+      const branchOfA = blended.branches.find(it => it.sequenceChars === "a");
+      unstack(branchOfA.branches)[0].should.be.approximately(0.5, 0.0001);
+      unstack(branchOfA.branches)[1].should.be.approximately(0.5, 0.0001);
+      unstack(blended.starts).should.be.eql([0.25, 0.75]);
+    });
+
+    it('blends the reverse and positional branches', function() {
+      // Given
+      const blender = new SequenceProbabilityBlender();
+      const args = { reverse: true, positional: true };
+      // When
+      const blended = blender.blend([
+        { probabilities: build(["abc"], args), weight: 1 },
+        { probabilities: build(["abd"], args), weight: 1 },
+      ]);
+      // Then
+      blended.reverseBranches.map(it => it.sequenceChars).should.be.eql(["c", "b", "d"]);
+      Object.keys(blended.positionalBranches).should.be.eql(Object.keys(build(["abc"], args).positionalBranches));
+    });
+
+    it('throws for chains of different orders', function() {
+      // Given
+      const blender = new SequenceProbabilityBlender();
+      // When
+      // Then
+      (() => blender.blend([
+        { probabilities: build(["ab"]), weight: 1 },
+        { probabilities: build(["ab"], { order: 2 }), weight: 1 },
+      ])).should.throw();
+    });
+
+    it('throws for a weight of 0', function() {
+      // Given
+      const blender = new SequenceProbabilityBlender();
+      // When
+      // Then
+      (() => blender.blend([
+        { probabilities: build(["ab"]), weight: 0 },
+      ])).should.throw();
+    });
+  });
+
+  describe('suppress', function() {
+    it('suppresses the transition "a" to "c" of ["ac", "ad"], but keeps "a" to "d" of ["ad"]', function() {
+      // Given
+      const blender = new SequenceProbabilityBlender();
+      const probabilities = build(["ab", "ac", "ad"]);
+      // When
+      const suppressed = blender.suppress(probabilities, {
+        suppressed: build(["ac", "ad"]),
+        kept: build(["ad"]),
+        factor: 0.5,
+      });
+      // Then
+      const branchOfA = suppressed.branches.find(it => it.sequenceChars === "a");
+      branchOfA.branches.map(it => it.sequenceChars).should.be.eql(["b", "c", "d"]);
+      unstack(branchOfA.branches)[0].should.be.approximately(0.4, 0.0001);
+      unstack(branchOfA.branches)[1].should.be.approximately(0.2, 0.0001);
+      unstack(branchOfA.branches)[2].should.be.approximately(0.4, 0.0001);
+      unstack(suppressed.endings).map(it => Math.round(it * 10) / 10).should.be.eql([0.4, 0.2, 0.4]);
+      suppressed.sequences.should.be.equal(probabilities.sequences);
+    });
+
+    it('throws for a factor of 1', function() {
+      // Given
+      const blender = new SequenceProbabilityBlender();
+      // When
+      // Then
+      (() => blender.suppress(build(["ab"]), {
+        suppressed: build(["ab"]),
+        factor: 1,
+      })).should.throw(/factor/);
+    });
+  });
+});
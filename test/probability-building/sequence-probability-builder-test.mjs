@@ -1,5 +1,13 @@
+import { readFileSync } from "fs";
 import SequenceProbabilityBuilder from "../../script/generator/probability-building/sequence-probability-builder.mjs";
+import { getContextKey } from "../../script/generator/probability-building/sequence-probability-builder.mjs";
+import { END_TOKEN } from "../../script/generator/probability-building/sequence-probability-builder.mjs";
+import { SequenceProbabilities } from "../../script/generator/probability-building/sequence-probability-builder.mjs";
+import { ProbableSequenceBranch } from "../../script/generator/probability-building/sequence-probability-builder.mjs";
+import { TRANSITION_POSITIONS } from "../../script/generator/probability-building/sequence-probability-builder.mjs";
 import Sequence from "../../script/generator/sequencing/sequence.mjs";
+import CharDepthSequencingStrategy from "../../script/generator/sequencing/char-depth-sequencing-strategy.mjs";
+import RandomSeeded from "../../script/util/random-seed.mjs";
 
 describe('SequenceProbabilityBuilder', function() {
   describe('build', function() {
@@ -307,5 +315,305 @@ describe('SequenceProbabilityBuilder', function() {
       built.starts.length.should.be.equal(3);
       built.endings.length.should.be.equal(5);
     });
+
+    it('builds probabilities for ["bobby"] with order 2 correctly', function() {
+      // Given
+      const sequencesList = new CharDepthSequencingStrategy(1).getSequencesOfSet(["bobby"]);
+      const builder = new SequenceProbabilityBuilder({
+        order: 2,
+      });
+      // When
+      const built = builder.build(sequencesList);
+      // Then
+      built.order.should.be.equal(2);
+      built.branches.map(it => it.sequenceChars).should.be.eql([
+        "b",
+        getContextKey(["b", "o"]),
+        getContextKey(["o", "b"]),
+        getContextKey(["b", "b"]),
+      ]);
+      built.branches[3].branches.length.should.be.equal(1);
+      built.branches[3].branches[0].sequenceChars.should.be.equal("y");
+
+      built.sequences.map(it => it.sequenceChars).should.be.eql(["b", "o", "y"]);
+      built.sequences[0].frequency.should.be.equal(3);
+    });
+
+    it('builds probabilities for ["bob", "bo"] with end token correctly', function() {
+      // Given
+      const sequencesList = new CharDepthSequencingStrategy(1).getSequencesOfSet(["bob", "bo"]);
+      const builder = new SequenceProbabilityBuilder({
+        endToken: true,
+      });
+      // When
+      const built = builder.build(sequencesList);
+      // Then
+      built.endToken.should.be.equal(true);
+      built.branches.map(it => it.sequenceChars).should.be.eql(["b", "o"]);
+      built.branches[0].branches.map(it => it.sequenceChars).should.be.eql(["o", END_TOKEN]);
+      built.branches[1].branches.map(it => it.sequenceChars).should.be.eql(["b", END_TOKEN]);
+    });
+
+    it('builds probabilities for 20000 random samples within the time budget', function() {
+      // Given
+      // The budget is generous, so that only a return to quadratic building fails it. 
+      const timeBudget = 20000;
+      this.timeout(timeBudget * 2);
+
+      const rng = new RandomSeeded("Benchmark");
+      const alphabet = "abcdefghijklmnopqrstuvwxyz";
+      const sampleSet = [];
+      for (let i = 0; i < 20000; i++) {
+        let sample = "";
+        const length = Math.round(rng.generate(4, 10));
+        for (let j = 0; j < length; j++) {
+          sample += alphabet[Math.floor(rng.generate() * alphabet.length)];
+        }
+        sampleSet.push(sample);
+      }
+      const sequencesList = new CharDepthSequencingStrategy(2).getSequencesOfSet(sampleSet);
+      const builder = new SequenceProbabilityBuilder({
+        order: 2,
+        backoff: true,
+      });
+      // When
+      const startTime = Date.now();
+      const built = builder.build(sequencesList);
+      const elapsed = Date.now() - startTime;
+      // Then
+      elapsed.should.be.lessThan(timeBudget);
+      built.starts.length.should.be.greaterThan(0);
+    });
+
+    // Built by the builder before its chain entries, branches and tallies were indexed. 
+    const legacy = JSON.parse(readFileSync(new URL("./legacy-sequence-probabilities.json", import.meta.url), "utf8"));
+    const toComparable = (probableSequence) => ({
+      sequenceChars: probableSequence.sequenceChars,
+      frequency: probableSequence.frequency,
+      probability: probableSequence.probability,
+    });
+    for (const chain of legacy.chains) {
+      it(`builds the same probabilities as before indexing, at depth ${chain.depth}, order ${chain.order} and backoff ${chain.backoff}`, function() {
+        // Given
+        const sequencesList = new CharDepthSequencingStrategy(chain.depth).getSequencesOfSet(legacy.sampleSet);
+        const builder = new SequenceProbabilityBuilder({
+          order: chain.order,
+          backoff: chain.backoff,
+        });
+        // When
+        const built = builder.build(sequencesList);
+        // Then
+        built.starts.map(toComparable).should.be.eql(chain.probabilities.starts);
+        built.endings.map(toComparable).should.be.eql(chain.probabilities.endings);
+        built.sequences.map(toComparable).should.be.eql(chain.probabilities.sequences);
+        built.branches.map(it => ({
+          ...toComparable(it),
+          branches: it.branches.map(toComparable),
+        })).should.be.eql(chain.probabilities.branches);
+      });
+    }
+
+    it('throws for order 0', function() {
+      // Given
+      // When
+      // Then
+      (() => new SequenceProbabilityBuilder({ order: 0 })).should.throw();
+    });
+
+    it('builds probabilities for ["bob"] with order 2 and backoff correctly', function() {
+      // Given
+      const sequencesList = new CharDepthSequencingStrategy(1).getSequencesOfSet(["bob"]);
+      const builder = new SequenceProbabilityBuilder({
+        order: 2,
+        backoff: true,
+      });
+      // When
+      const built = builder.build(sequencesList);
+      // Then
+      built.backoff.should.be.equal(true);
+      built.branches.map(it => it.sequenceChars).should.be.eql([
+        "b",
+        getContextKey(["b", "o"]),
+        "o",
+      ]);
+    });
+
+    it('builds lengths for ["bob", "bo", "ab", "bobby"] correctly', function() {
+      // Given
+      const sequencesList = new CharDepthSequencingStrategy(1).getSequencesOfSet(["bob", "bo", "ab", "bobby"]);
+      const builder = new SequenceProbabilityBuilder();
+      // When
+      const built = builder.build(sequencesList);
+      // Then
+      built.lengths.map(it => [it.length, it.frequency, it.probability]).should.be.eql([
+        [3, 1, 0.25],
+        [2, 2, 0.75],
+        [5, 1, 1],
+      ]);
+    });
+
+    it('builds reverse probabilities for ["abc", "abd"] correctly', function() {
+      // Given
+      const sequencesList = new CharDepthSequencingStrategy(1).getSequencesOfSet(["abc", "abd"]);
+      const builder = new SequenceProbabilityBuilder({ reverse: true, endToken: true });
+      // When
+      const built = builder.build(sequencesList);
+      // Then
+      built.reverseBranches.map(it => [it.sequenceChars, it.branches.map(b => b.sequenceChars)]).should.be.eql([
+        ["c", ["b"]],
+        ["b", ["a"]],
+        ["a", [END_TOKEN]],
+        ["d", ["b"]],
+      ]);
+    });
+
+    it('builds positional probabilities for ["abcd"] correctly', function() {
+      // Given
+      const sequencesList = new CharDepthSequencingStrategy(1).getSequencesOfSet(["abcd"]);
+      const builder = new SequenceProbabilityBuilder({ positional: true });
+      // When
+      const built = builder.build(sequencesList);
+      // Then
+      built.branches.length.should.be.equal(3);
+
+      const toPairs = (branches) => branches.map(it => [it.sequenceChars, it.branches.map(b => b.sequenceChars)]);
+      toPairs(built.positionalBranches[TRANSITION_POSITIONS.START]).should.be.eql([["a", ["b"]]]);
+      toPairs(built.positionalBranches[TRANSITION_POSITIONS.MIDDLE]).should.be.eql([["b", ["c"]]]);
+      toPairs(built.positionalBranches[TRANSITION_POSITIONS.END]).should.be.eql([["c", ["d"]]]);
+    });
+
+    it('multiplies the frequencies of ["ab", "cd"] by the weights [3, 1]', function() {
+      // Given
+      const sequencesList = new CharDepthSequencingStrategy(1).getSequencesOfSet(["ab", "cd"]);
+      const builder = new SequenceProbabilityBuilder();
+      // When
+      const built = builder.build(sequencesList, [3, 1]);
+      // Then
+      built.starts.map(it => [it.sequenceChars, it.frequency, it.probability]).should.be.eql([
+        ["a", 3, 0.75],
+        ["c", 1, 1],
+      ]);
+      built.endings.map(it => [it.sequenceChars, it.frequency]).should.be.eql([
+        ["b", 3],
+        ["d", 1],
+      ]);
+      built.branches.map(it => [it.sequenceChars, it.branches.map(b => b.frequency)]).should.be.eql([
+        ["a", [3]],
+        ["c", [1]],
+      ]);
+      built.lengths.map(it => [it.length, it.frequency, it.probability]).should.be.eql([
+        [2, 4, 1],
+      ]);
+    });
+
+    it('records the sample indices of ["ab", "cb", "ab"] with provenance', function() {
+      // Given
+      const sequencesList = new CharDepthSequencingStrategy(1).getSequencesOfSet(["ab", "cb", "ab"]);
+      const builder = new SequenceProbabilityBuilder({ provenance: true });
+      // When
+      const built = builder.build(sequencesList);
+      // Then
+      built.branches.map(it => [it.sequenceChars, it.branches.map(b => b.sampleIndices)]).should.be.eql([
+        ["a", [[0, 2]]],
+        ["c", [[1]]],
+      ]);
+      built.starts.map(it => [it.sequenceChars, it.sampleIndices]).should.be.eql([
+        ["a", [0, 2]],
+        ["c", [1]],
+      ]);
+      built.endings.map(it => [it.sequenceChars, it.sampleIndices]).should.be.eql([
+        ["b", [0, 1, 2]],
+      ]);
+    });
+  });
+
+describe('SequenceProbabilities', function() {
+  describe('estimateCapacity', function() {
+    it('counts 2 words of length 2 for ["ab", "ac"]', function() {
+      // Given
+      const sequencesList = new CharDepthSequencingStrategy(1).getSequencesOfSet(["ab", "ac"]);
+      const built = new SequenceProbabilityBuilder().build(sequencesList);
+      // When
+      const capacity = built.estimateCapacity(2, 2);
+      // Then
+      capacity.should.be.equal(2);
+    });
+
+    it('counts "a", "aba" and "ababa" for ["aba"] with lengths between 1 and 5', function() {
+      // Given
+      const sequencesList = new CharDepthSequencingStrategy(1).getSequencesOfSet(["aba"]);
+      const built = new SequenceProbabilityBuilder().build(sequencesList);
+      // When
+      const capacity = built.estimateCapacity(1, 5);
+      // Then
+      capacity.should.be.equal(3);
+    });
+
+    it('counts words ending on the end token for ["ab", "ac"] with endToken', function() {
+      // Given
+      const sequencesList = new CharDepthSequencingStrategy(1).getSequencesOfSet(["ab", "ac"]);
+      const built = new SequenceProbabilityBuilder({ endToken: true }).build(sequencesList);
+      // When
+      const capacity = built.estimateCapacity(1, 5);
+      // Then
+      capacity.should.be.equal(2);
+    });
+
+    it('throws for a maximum length of 0', function() {
+      // Given
+      const sequencesList = new CharDepthSequencingStrategy(1).getSequencesOfSet(["ab"]);
+      const built = new SequenceProbabilityBuilder().build(sequencesList);
+      // When
+      // Then
+      (() => built.estimateCapacity(1, 0)).should.throw();
+    });
+  });
+
+  describe('toObject & fromObject', function() {
+    it('round-trips built probabilities of ["Bob", "Bobby", "Steve"] correctly', function() {
+      // Given
+      const sequencesList = new CharDepthSequencingStrategy(1).getSequencesOfSet(["Bob", "Bobby", "Steve"]);
+      const built = new SequenceProbabilityBuilder({ order: 2, backoff: true }).build(sequencesList);
+      // When
+      const json = JSON.stringify(built.toObject());
+      const restored = SequenceProbabilities.fromObject(json);
+      // Then
+      restored.should.be.instanceOf(SequenceProbabilities);
+      restored.should.be.eql(built);
+      restored.toObject().version.should.be.equal(SequenceProbabilities.MODEL_VERSION);
+    });
+
+    it('round-trips positional probabilities of ["Bob", "Bobby", "Steve"] correctly', function() {
+      // Given
+      const sequencesList = new CharDepthSequencingStrategy(1).getSequencesOfSet(["Bob", "Bobby", "Steve"]);
+      const built = new SequenceProbabilityBuilder({ positional: true }).build(sequencesList);
+      // When
+      const restored = SequenceProbabilities.fromObject(JSON.stringify(built.toObject()));
+      // Then
+      restored.should.be.eql(built);
+      restored.positionalBranches[TRANSITION_POSITIONS.END][0].should.be.instanceOf(ProbableSequenceBranch);
+    });
+
+    it('round-trips reverse probabilities of ["Bob", "Bobby", "Steve"] correctly', function() {
+      // Given
+      const sequencesList = new CharDepthSequencingStrategy(1).getSequencesOfSet(["Bob", "Bobby", "Steve"]);
+      const built = new SequenceProbabilityBuilder({ reverse: true }).build(sequencesList);
+      // When
+      const restored = SequenceProbabilities.fromObject(JSON.stringify(built.toObject()));
+      // Then
+      restored.should.be.eql(built);
+      restored.reverseBranches[0].should.be.instanceOf(ProbableSequenceBranch);
+    });
+
+    it('throws for an unsupported version', function() {
+      // Given
+      const sequencesList = new CharDepthSequencingStrategy(1).getSequencesOfSet(["Bob"]);
+      const obj = new SequenceProbabilityBuilder().build(sequencesList).toObject();
+      obj.version = SequenceProbabilities.MODEL_VERSION + 1;
+      // When
+      // Then
+      (() => SequenceProbabilities.fromObject(obj)).should.throw();
+    });
   });
+});
 });
\ No newline at end of file
@@ -0,0 +1,64 @@
+import should from 'should';
+import WordScorer from "../../script/generator/scoring/word-scorer.mjs";
+import SequenceProbabilityBuilder from "../../script/generator/probability-building/sequence-probability-builder.mjs";
+import CharDepthSequencingStrategy from "../../script/generator/sequencing/char-depth-sequencing-strategy.mjs";
+
+describe('WordScorer', function() {
+  describe('score', function() {
+    it('scores "abc" of ["abc", "abd"] correctly', function() {
+      // Given
+      const sequencingStrategy = new CharDepthSequencingStrategy(1);
+      const probabilities = new SequenceProbabilityBuilder().build(
+        sequencingStrategy.getSequencesOfSet(["abc", "abd"])
+      );
+      const scorer = new WordScorer({
+        probabilities: probabilities,
+        sequencingStrategy: sequencingStrategy,
+      });
+      // When
+      const result = scorer.score("abc");
+      // Then
+      // P(a) * P(b | a) * P(c | b) = 1 * 1 * 0.5
+      result.logProbability.should.be.approximately(Math.log(0.5), 0.0001);
+      result.sequenceCount.should.be.equal(3);
+      result.score.should.be.approximately(Math.pow(0.5, 1 / 3), 0.0001);
+    });
+
+    it('scores words with unknown transitions lower', function() {
+      // Given
+      const sequencingStrategy = new CharDepthSequencingStrategy(1);
+      const probabilities = new SequenceProbabilityBuilder().build(
+        sequencingStrategy.getSequencesOfSet(["abc", "abd"])
+      );
+      const scorer = new WordScorer({
+        probabilities: probabilities,
+        sequencingStrategy: sequencingStrategy,
+        unseenProbability: 0.001,
+      });
+      // When
+      const known = scorer.score("abd");
+      const unknown = scorer.score("adb");
+      // Then
+      unknown.logProbability.should.be.approximately(Math.log(0.001) * 2, 0.0001);
+      known.score.should.be.above(unknown.score);
+    });
+
+    it('includes the probability of ending with an end token', function() {
+      // Given
+      const sequencingStrategy = new CharDepthSequencingStrategy(1);
+      const probabilities = new SequenceProbabilityBuilder({ endToken: true }).build(
+        sequencingStrategy.getSequencesOfSet(["ab", "abc"])
+      );
+      const scorer = new WordScorer({
+        probabilities: probabilities,
+        sequencingStrategy: sequencingStrategy,
+      });
+      // When
+      const result = scorer.score("ab");
+      // Then
+      // P(a) * P(b | a) * P(END | b) = 1 * 1 * 0.5
+      result.logProbability.should.be.approximately(Math.log(0.5), 0.0001);
+      result.sequenceCount.should.be.equal(3);
+    });
+  });
+});
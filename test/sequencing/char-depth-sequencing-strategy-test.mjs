@@ -48,6 +48,20 @@ describe('CharDepthSequencingStrategy', function() {
       sequences[1].isMiddle.should.be.equal(false);
       sequences[1].isEnding.should.be.equal(true);
     });
+
+    it('Correctly flags the ending sequence of "Bobb" at depth 2', function() {
+      // Given
+      const strategy = new CharDepthSequencingStrategy(2);
+      const sample = "Bobb";
+      // When
+      const sequences = strategy.getSequencesOfSample(sample);
+      // Then
+      sequences.length.should.be.equal(2);
+
+      sequences[0].isEnding.should.be.equal(false);
+      sequences[1].isMiddle.should.be.equal(false);
+      sequences[1].isEnding.should.be.equal(true);
+    });
   });
 
   describe('getSequencesOfSet', function() {
@@ -0,0 +1,73 @@
+import should from 'should';
+import ClassifyWordUseCase from "../../script/use_case/classify-word-use-case.mjs";
+import GeneratorSettings from "../../script/generator/data/generator-settings.mjs";
+import { GENERATOR_TYPES } from "../../script/generator/data/generator-settings.mjs";
+
+describe('ClassifyWordUseCase', function() {
+  describe('invoke', function() {
+    it('ranks the generator whose samples resemble the word first', function() {
+      // Given
+      const elvish = new GeneratorSettings({
+        id: "elvish",
+        sampleSet: ["Aelar", "Aerin", "Elaria", "Faelar", "Laerin"],
+        depth: 1,
+      });
+      const dwarvish = new GeneratorSettings({
+        id: "dwarvish",
+        sampleSet: ["Thorin", "Dorgrim", "Brundor", "Gromdur", "Thrundin"],
+        depth: 1,
+      });
+      // When
+      const result = new ClassifyWordUseCase().invoke({
+        word: "Baelin",
+        generatorSettings: [dwarvish, elvish],
+      });
+      // Then
+      result.length.should.be.equal(2);
+      result[0].generatorSettings.id.should.be.equal("elvish");
+      result[1].generatorSettings.id.should.be.equal("dwarvish");
+      result[0].score.should.be.greaterThan(result[1].score);
+    });
+
+    it('skips generators without samples', function() {
+      // Given
+      const empty = new GeneratorSettings({
+        id: "empty",
+        sampleSet: [],
+      });
+      const filled = new GeneratorSettings({
+        id: "filled",
+        sampleSet: ["Bob", "Bobby"],
+      });
+      // When
+      const result = new ClassifyWordUseCase().invoke({
+        word: "Bob",
+        generatorSettings: [empty, filled],
+      });
+      // Then
+      result.length.should.be.equal(1);
+      result[0].generatorSettings.id.should.be.equal("filled");
+    });
+
+    it('skips a blend of a missing generator', function() {
+      // Given
+      const blend = new GeneratorSettings({
+        id: "blend",
+        type: GENERATOR_TYPES.BLEND,
+        blendSources: [{ id: "missing", weight: 1 }],
+      });
+      const filled = new GeneratorSettings({
+        id: "filled",
+        sampleSet: ["Bob", "Bobby"],
+      });
+      // When
+      const result = new ClassifyWordUseCase().invoke({
+        word: "Bob",
+        generatorSettings: [blend, filled],
+      });
+      // Then
+      result.length.should.be.equal(1);
+      result[0].generatorSettings.id.should.be.equal("filled");
+    });
+  });
+});
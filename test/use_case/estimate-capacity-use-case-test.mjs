@@ -0,0 +1,42 @@
+import should from 'should';
+import EstimateCapacityUseCase from "../../script/use_case/estimate-capacity-use-case.mjs";
+import GeneratorSettings from "../../script/generator/data/generator-settings.mjs";
+import { GENERATOR_TYPES } from "../../script/generator/data/generator-settings.mjs";
+
+describe('EstimateCapacityUseCase', function() {
+  describe('invoke', function() {
+    it('estimates 2 words for ["ab", "ac"] with lengths of 2', function() {
+      // Given
+      const settings = new GeneratorSettings({
+        id: "abc",
+        sampleSet: ["ab", "ac"],
+        depth: 1,
+        targetLengthMin: 2,
+        targetLengthMax: 2,
+      });
+      // When
+      const result = new EstimateCapacityUseCase().invoke({
+        id: "abc",
+        generatorSettings: [settings],
+      });
+      // Then
+      result.should.be.equal(2);
+    });
+
+    it('returns undefined for a blend of a missing generator', function() {
+      // Given
+      const blend = new GeneratorSettings({
+        id: "blend",
+        type: GENERATOR_TYPES.BLEND,
+        blendSources: [{ id: "missing" }],
+      });
+      // When
+      const result = new EstimateCapacityUseCase().invoke({
+        id: "blend",
+        generatorSettings: [blend],
+      });
+      // Then
+      should.not.exist(result);
+    });
+  });
+});
@@ -0,0 +1,42 @@
+import should from 'should';
+import GenerateVariationsUseCase from "../../script/use_case/generate-variations-use-case.mjs";
+import GeneratorSettings from "../../script/generator/data/generator-settings.mjs";
+
+describe('GenerateVariationsUseCase', function() {
+  describe('invoke', function() {
+    it('generates 3 variations of "Aelar" with the generator of the given id', function() {
+      // Given
+      const elvish = new GeneratorSettings({
+        id: "elvish",
+        sampleSet: ["Aelar", "Aerin", "Elaria", "Faelar", "Laerin"],
+        depth: 1,
+      });
+      // When
+      const result = new GenerateVariationsUseCase().invoke({
+        id: "elvish",
+        word: "Aelar",
+        count: 3,
+        generatorSettings: [elvish],
+      });
+      // Then
+      result.length.should.be.equal(3);
+      result.should.not.containEql("aelar");
+    });
+
+    it('throws for an unknown id', function() {
+      // Given
+      const elvish = new GeneratorSettings({
+        id: "elvish",
+        sampleSet: ["Aelar", "Aerin"],
+      });
+      // When
+      const invoke = () => new GenerateVariationsUseCase().invoke({
+        id: "dwarvish",
+        word: "Aelar",
+        generatorSettings: [elvish],
+      });
+      // Then
+      invoke.should.throw(/dwarvish/);
+    });
+  });
+});
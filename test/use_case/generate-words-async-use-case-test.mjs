@@ -0,0 +1,83 @@
+import should from 'should';
+import GenerateWordsAsyncUseCase from "../../script/use_case/generate-words-async-use-case.mjs";
+import GeneratorSettings from "../../script/generator/data/generator-settings.mjs";
+import { STOP_REASONS } from "../../script/generator/generator.mjs";
+
+describe('GenerateWordsAsyncUseCase', function() {
+  describe('invoke', function() {
+    it('generates 5 words and reports progress', async function() {
+      // Given
+      const elvish = new GeneratorSettings({
+        id: "elvish",
+        sampleSet: ["Aelar", "Aerin", "Elaria", "Faelar", "Laerin"],
+        depth: 1,
+      });
+      const progress = [];
+      // When
+      const result = await new GenerateWordsAsyncUseCase().invoke({
+        id: "elvish",
+        count: 5,
+        onProgress: (generated, requested) => progress.push(`${generated}/${requested}`),
+        generatorSettings: [elvish],
+      });
+      // Then
+      result.words.length.should.be.equal(5);
+      progress.should.be.eql(["1/5", "2/5", "3/5", "4/5", "5/5"]);
+    });
+
+    it('generates 5 words, more like the liked words', async function() {
+      // Given
+      const elvish = new GeneratorSettings({
+        id: "elvish",
+        sampleSet: ["Aelar", "Aerin", "Elaria", "Faelar", "Laerin"],
+        depth: 1,
+      });
+      // When
+      const result = await new GenerateWordsAsyncUseCase().invoke({
+        id: "elvish",
+        count: 5,
+        liked: ["Aelwen"],
+        disliked: ["Laerin"],
+        generatorSettings: [elvish],
+      });
+      // Then
+      result.words.length.should.be.equal(5);
+    });
+
+    it('generates no words, if cancelled', async function() {
+      // Given
+      const elvish = new GeneratorSettings({
+        id: "elvish",
+        sampleSet: ["Aelar", "Aerin", "Elaria", "Faelar", "Laerin"],
+        depth: 1,
+      });
+      const controller = new AbortController();
+      controller.abort();
+      // When
+      const result = await new GenerateWordsAsyncUseCase().invoke({
+        id: "elvish",
+        count: 5,
+        signal: controller.signal,
+        generatorSettings: [elvish],
+      });
+      // Then
+      result.words.length.should.be.equal(0);
+      result.report.stopReason.should.be.equal(STOP_REASONS.ABORTED);
+    });
+
+    it('throws for an unknown id', async function() {
+      // Given
+      const elvish = new GeneratorSettings({
+        id: "elvish",
+        sampleSet: ["Aelar", "Aerin"],
+      });
+      // When
+      const invoke = new GenerateWordsAsyncUseCase().invoke({
+        id: "dwarvish",
+        generatorSettings: [elvish],
+      });
+      // Then
+      await invoke.should.be.rejectedWith(/dwarvish/);
+    });
+  });
+});
@@ -0,0 +1,48 @@
+import should from 'should';
+import BKTree from '../../script/util/bk-tree.mjs';
+
+describe('BKTree', function() {
+  const words = ["book", "books", "cake", "boo", "cape", "cart", "boon", "cook"];
+
+  describe('add', function() {
+    it('Ignores duplicate words', function() {
+      // Given
+      const tree = new BKTree(words);
+      // When
+      tree.add("book");
+      // Then
+      tree.size.should.be.equal(words.length);
+    });
+  });
+
+  describe('search', function() {
+    it('Returns all words within distance 1 of "book"', function() {
+      // Given
+      const tree = new BKTree(words);
+      // When
+      const result = tree.search("book", 1);
+      // Then
+      result.map(it => it.word).sort().should.be.eql(["boo", "book", "books", "boon", "cook"]);
+    });
+
+    it('Returns all words within distance 2 of "cane"', function() {
+      // Given
+      const tree = new BKTree(words);
+      // When
+      const result = tree.search("cane", 2);
+      // Then
+      result.map(it => it.word).sort().should.be.eql(["cake", "cape", "cart"]);
+    });
+  });
+
+  describe('hasWithin', function() {
+    it('Returns false, if no word is within the distance', function() {
+      // Given
+      const tree = new BKTree(words);
+      // When
+      // Then
+      tree.hasWithin("zebra", 2).should.be.equal(false);
+      tree.hasWithin("cakes", 1).should.be.equal(true);
+    });
+  });
+});
@@ -0,0 +1,38 @@
+import should from 'should';
+import { getLevenshteinDistance } from '../../script/util/levenshtein.mjs';
+
+describe('levenshtein', function() {
+  describe('getLevenshteinDistance', function() {
+    it('Returns 0 for equal strings', function() {
+      // Given
+      // When
+      const result = getLevenshteinDistance("Bob", "Bob");
+      // Then
+      result.should.be.equal(0);
+    });
+
+    it('Returns the length of the other string for an empty string', function() {
+      // Given
+      // When
+      const result = getLevenshteinDistance("", "Bobby");
+      // Then
+      result.should.be.equal(5);
+    });
+
+    it('Returns 3 for "kitten" and "sitting"', function() {
+      // Given
+      // When
+      const result = getLevenshteinDistance("kitten", "sitting");
+      // Then
+      result.should.be.equal(3);
+    });
+
+    it('Returns 1 for "Bob" and "Bobb"', function() {
+      // Given
+      // When
+      const result = getLevenshteinDistance("Bob", "Bobb");
+      // Then
+      result.should.be.equal(1);
+    });
+  });
+});
@@ -0,0 +1,41 @@
+import should from 'should';
+import PriorityQueue from '../../script/util/priority-queue.mjs';
+
+describe('PriorityQueue', function() {
+  describe('pop', function() {
+    it('Returns items by descending priority', function() {
+      // Given
+      const queue = new PriorityQueue((a, b) => a - b);
+      [5, 1, 8, 3, 9, 2, 7].forEach(it => queue.push(it));
+      // When
+      const result = [];
+      while (queue.size > 0) {
+        result.push(queue.pop());
+      }
+      // Then
+      result.should.be.eql([9, 8, 7, 5, 3, 2, 1]);
+    });
+
+    it('Returns undefined, if the queue is empty', function() {
+      // Given
+      const queue = new PriorityQueue((a, b) => a - b);
+      // When
+      const result = queue.pop();
+      // Then
+      should.not.exist(result);
+    });
+  });
+
+  describe('peek', function() {
+    it('Returns the item with the highest priority, without removing it', function() {
+      // Given
+      const queue = new PriorityQueue((a, b) => b.length - a.length);
+      ["abc", "a", "ab"].forEach(it => queue.push(it));
+      // When
+      const result = queue.peek();
+      // Then
+      result.should.be.equal("a");
+      queue.size.should.be.equal(3);
+    });
+  });
+});
@@ -0,0 +1,30 @@
+import should from 'should';
+import { getRhymeOf } from '../../script/util/rhyme.mjs';
+
+describe('rhyme', function() {
+  describe('getRhymeOf', function() {
+    it('Returns "eim" for "Bornheim"', function() {
+      // Given
+      // When
+      const result = getRhymeOf("Bornheim");
+      // Then
+      result.should.be.equal("eim");
+    });
+
+    it('Returns "y" for "Bobby"', function() {
+      // Given
+      // When
+      const result = getRhymeOf("Bobby");
+      // Then
+      result.should.be.equal("y");
+    });
+
+    it('Returns the whole word for "Hm"', function() {
+      // Given
+      // When
+      const result = getRhymeOf("Hm");
+      // Then
+      result.should.be.equal("hm");
+    });
+  });
+});
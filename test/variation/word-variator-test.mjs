@@ -0,0 +1,74 @@
+import should from 'should';
+import WordVariator from "../../script/generator/variation/word-variator.mjs";
+import SequenceProbabilityBuilder from "../../script/generator/probability-building/sequence-probability-builder.mjs";
+import CharDepthSequencingStrategy from "../../script/generator/sequencing/char-depth-sequencing-strategy.mjs";
+import { getLevenshteinDistance } from "../../script/util/levenshtein.mjs";
+
+describe('WordVariator', function() {
+  const sampleSet = [
+    "Tarrin",
+    "Tarkis",
+    "Terrin",
+    "Tederis",
+    "Dórin",
+    "Dànyis",
+    "Karis",
+  ];
+  const sequencingStrategy = new CharDepthSequencingStrategy(1);
+  const probabilities = new SequenceProbabilityBuilder().build(
+    sequencingStrategy.getSequencesOfSet(sampleSet)
+  );
+
+  describe('getVariationsOf', function() {
+    it('returns 5 variations of "Tarrin", ranked by distance', function() {
+      // Given
+      const variator = new WordVariator({
+        probabilities: probabilities,
+        sequencingStrategy: sequencingStrategy,
+        seed: "abc",
+      });
+      // When
+      const result = variator.getVariationsOf("Tarrin", 5);
+      // Then
+      result.length.should.be.equal(5);
+      new Set(result.map(it => it.word)).size.should.be.equal(5);
+      for (let i = 0; i < result.length; i++) {
+        result[i].word.should.not.be.equal("tarrin");
+        result[i].distance.should.be.equal(getLevenshteinDistance("tarrin", result[i].word));
+        result[i].distance.should.be.within(1, 2);
+        if (i > 0) {
+          result[i].distance.should.be.aboveOrEqual(result[i - 1].distance);
+        }
+      }
+    });
+
+    it('returns no variations, if the chain allows none', function() {
+      // Given
+      const singleSequencingStrategy = new CharDepthSequencingStrategy(1);
+      const variator = new WordVariator({
+        probabilities: new SequenceProbabilityBuilder().build(
+          singleSequencingStrategy.getSequencesOfSet(["ab"])
+        ),
+        sequencingStrategy: singleSequencingStrategy,
+        seed: "abc",
+      });
+      // When
+      const result = variator.getVariationsOf("ab", 5);
+      // Then
+      result.length.should.be.equal(0);
+    });
+
+    it('throws for a maximum of 0 mutations', function() {
+      // Given
+      const maxMutations = 0;
+      // When
+      const createVariator = () => new WordVariator({
+        probabilities: probabilities,
+        sequencingStrategy: sequencingStrategy,
+        maxMutations: maxMutations,
+      });
+      // Then
+      createVariator.should.throw(/maxMutations/);
+    });
+  });
+});